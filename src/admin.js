@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * HTTP 管理 / 状态接口
+ * - 挂载在 WS / WSS 监听端口上（路径前缀 /admin），也可单独监听管理端口
+ * - /admin/health、/admin/ready 无需鉴权，供负载均衡 / 容器探针使用
+ * - 其余接口需在请求头携带管理令牌：Authorization: Bearer <token> 或 X-Admin-Token: <token>
+ * - 提供运行状态、在线客户端列表、踢出客户端、HTTP 推送广播 / 定向消息等功能
+ * - 所有响应均为 JSON
+ */
+
+const crypto = require('crypto');
+
+// 管理接口路径前缀
+const BASE_PATH = '/admin';
+
+// 请求体最大字节数
+const MAX_BODY_BYTES = 1024 * 1024; // 1 MB
+
+/**
+ * 发送 JSON 响应
+ * @param {http.ServerResponse} res
+ * @param {number}              status - HTTP 状态码
+ * @param {object}              body   - 响应对象
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type':   'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control':  'no-store',
+  });
+  res.end(payload);
+}
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>} 请求体为空时返回空对象
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('请求体过大'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (_) {
+        reject(Object.assign(new Error('请求体不是合法的 JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 创建管理接口
+ * @param {object}   options
+ * @param {string}   options.token   - 管理令牌
+ * @param {object}   options.logger  - 日志模块实例
+ * @param {object}   options.service - 由主程序提供的服务操作：
+ *   getStatus() / isReady() / listClients() / getClient(id) /
+ *   kickClient(id, reason) / broadcast({ message, room })（返回 Promise）/ sendTo(target, message)
+ * @returns {{ handle: Function }}
+ */
+function createAdminApi({ token, logger, service }) {
+  const tokenHash = crypto.createHash('sha256').update(token).digest();
+
+  /**
+   * 校验请求携带的管理令牌
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   */
+  function isAuthorized(req) {
+    let provided = req.headers['x-admin-token'];
+    const authHeader = req.headers['authorization'];
+    if (!provided && authHeader) {
+      const match = /^Bearer\s+(.+)$/i.exec(authHeader.trim());
+      provided = match ? match[1].trim() : '';
+    }
+    if (!provided) return false;
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    return crypto.timingSafeEqual(tokenHash, providedHash);
+  }
+
+  /**
+   * 分发已鉴权的管理请求
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse}  res
+   * @param {string}               route - 去掉前缀后的路径
+   */
+  async function dispatch(req, res, route) {
+    const method = req.method;
+
+    if (method === 'GET' && route === '/status') {
+      sendJson(res, 200, service.getStatus());
+      return;
+    }
+
+    if (method === 'GET' && route === '/clients') {
+      const clients = service.listClients();
+      sendJson(res, 200, { count: clients.length, clients });
+      return;
+    }
+
+    if (method === 'POST' && route === '/broadcast') {
+      const body = await readJsonBody(req);
+      if (body.message === undefined) {
+        sendJson(res, 400, { error: 'missing_message' });
+        return;
+      }
+      const result = await service.broadcast({ message: body.message, room: body.room });
+      sendJson(res, result.ok ? 200 : 400, result);
+      return;
+    }
+
+    // /clients/:id 与 /clients/:id/messages
+    const clientMatch = /^\/clients\/([^/]+)(\/messages)?$/.exec(route);
+    if (clientMatch) {
+      let target;
+      try {
+        target = decodeURIComponent(clientMatch[1]);
+      } catch (_) {
+        // 非法的 % 转义
+        sendJson(res, 400, { error: 'invalid_client_id' });
+        return;
+      }
+
+      if (!clientMatch[2] && method === 'GET') {
+        const client = service.getClient(target);
+        sendJson(res, client ? 200 : 404, client || { error: 'client_not_found' });
+        return;
+      }
+
+      if (!clientMatch[2] && method === 'DELETE') {
+        const kicked = service.kickClient(target, '管理员断开');
+        sendJson(res, kicked ? 200 : 404, kicked ? { ok: true } : { error: 'client_not_found' });
+        return;
+      }
+
+      if (clientMatch[2] && method === 'POST') {
+        const body = await readJsonBody(req);
+        if (body.message === undefined) {
+          sendJson(res, 400, { error: 'missing_message' });
+          return;
+        }
+        const sent = service.sendTo(target, body.message);
+        sendJson(res, sent ? 200 : 404, sent ? { ok: true } : { error: 'target_not_found' });
+        return;
+      }
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  }
+
+  /**
+   * 处理一个 HTTP 请求
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse}  res
+   * @returns {boolean} 请求路径属于管理接口时返回 true（已处理），否则返回 false
+   */
+  function handle(req, res) {
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (_) {
+      return false;
+    }
+    if (pathname !== BASE_PATH && !pathname.startsWith(`${BASE_PATH}/`)) {
+      return false;
+    }
+
+    const route = pathname.slice(BASE_PATH.length) || '/';
+
+    // ── 探针接口（无需鉴权） ────────────────────────────────────
+    if (req.method === 'GET' && route === '/health') {
+      sendJson(res, 200, { status: 'ok' });
+      return true;
+    }
+    if (req.method === 'GET' && route === '/ready') {
+      const ready = service.isReady();
+      sendJson(res, ready ? 200 : 503, { ready });
+      return true;
+    }
+
+    if (!isAuthorized(req)) {
+      logger.warn(`管理接口鉴权失败 → ${req.method} ${pathname}，IP：${req.socket.remoteAddress}`);
+      sendJson(res, 401, { error: 'unauthorized' });
+      return true;
+    }
+
+    dispatch(req, res, route).catch((err) => {
+      if (!res.headersSent) {
+        sendJson(res, err.status || 500, { error: err.message });
+      }
+      if (!err.status) {
+        logger.error(`管理接口处理失败 → ${req.method} ${pathname}，错误：${err.message}`);
+      }
+    });
+    return true;
+  }
+
+  return { handle };
+}
+
+module.exports = { createAdminApi, sendJson, BASE_PATH };
@@ -0,0 +1,274 @@
+'use strict';
+
+/**
+ * 握手鉴权模块
+ * - 在 WebSocket 升级之前校验客户端令牌，未通过的握手不会建立连接
+ * - 支持两种鉴权方式（可同时启用）：
+ *    1. 静态 API Key：与 config.json 中登记的密钥逐一比对
+ *    2. JWT：本地校验签名（HS* 使用共享密钥，RS* / PS* / ES* 使用公钥）及 exp / nbf / iss / aud
+ * - 令牌来源（按优先级）：Authorization 请求头、URL 查询参数、Sec-WebSocket-Protocol 请求头
+ * - 鉴权成功后返回客户端身份，供日志和消息路由使用
+ */
+
+const crypto = require('crypto');
+
+// JWT 算法 → Node.js 摘要算法
+const JWT_DIGESTS = {
+  HS256: 'sha256', HS384: 'sha384', HS512: 'sha512',
+  RS256: 'sha256', RS384: 'sha384', RS512: 'sha512',
+  PS256: 'sha256', PS384: 'sha384', PS512: 'sha512',
+  ES256: 'sha256', ES384: 'sha384', ES512: 'sha512',
+};
+
+/**
+ * 构造一个鉴权失败结果
+ * @param {number} status - HTTP 状态码（401 / 403）
+ * @param {string} reason - 失败原因代码
+ * @returns {{ ok: false, status: number, reason: string }}
+ */
+function fail(status, reason) {
+  return { ok: false, status, reason };
+}
+
+/**
+ * 常量时间比较两个字符串，避免时序攻击
+ * 先做 SHA-256 摘要，保证参与比较的缓冲区长度一致
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * 解码 base64url 字符串为 JSON 对象
+ * @param {string} segment
+ * @returns {object}
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * 从升级请求中提取令牌
+ * @param {http.IncomingMessage} req
+ * @param {object} options
+ * @param {string} options.queryParam     - 查询参数名
+ * @param {string} options.protocolPrefix - 子协议前缀（如 'token.'）
+ * @returns {{ token: string, source: string }|null}
+ */
+function extractToken(req, { queryParam, protocolPrefix }) {
+  // 1. Authorization: Bearer <token>
+  const authHeader = req.headers['authorization'];
+  if (authHeader) {
+    const match = /^Bearer\s+(.+)$/i.exec(authHeader.trim());
+    if (match) {
+      return { token: match[1].trim(), source: 'header' };
+    }
+  }
+
+  // 2. 查询参数 ?token=<token>
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const value = url.searchParams.get(queryParam);
+    if (value) {
+      return { token: value, source: 'query' };
+    }
+  } catch (_) {
+    // URL 非法时忽略，继续尝试其他来源
+  }
+
+  // 3. Sec-WebSocket-Protocol: token.<token>（浏览器无法自定义请求头时使用）
+  const protocolHeader = req.headers['sec-websocket-protocol'];
+  if (protocolHeader) {
+    const entry = protocolHeader.split(',')
+      .map((p) => p.trim())
+      .find((p) => p.startsWith(protocolPrefix) && p.length > protocolPrefix.length);
+    if (entry) {
+      return { token: entry.slice(protocolPrefix.length), source: 'protocol' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 创建子协议协商函数（供 WebSocket.Server 的 handleProtocols 选项使用）
+ * - 配置了支持的子协议列表时，按客户端给出的顺序选择第一个受支持的子协议
+ * - 未配置时优先选择客户端提供的非令牌子协议
+ * - 若客户端仅提供了令牌子协议，则原样回显，保证浏览器握手成功
+ * @param {string}   protocolPrefix
+ * @param {string[]} [supported] - 服务端支持的子协议（upgrade.subprotocols），为空表示不限
+ * @returns {Function} (protocols: Set<string>) => string|false
+ */
+function createProtocolSelector(protocolPrefix, supported = []) {
+  return function handleProtocols(protocols) {
+    let tokenProtocol = false;
+    for (const protocol of protocols) {
+      if (!protocol.startsWith(protocolPrefix)) {
+        if (supported.length === 0 || supported.includes(protocol)) {
+          return protocol;
+        }
+        continue;
+      }
+      if (!tokenProtocol) {
+        tokenProtocol = protocol;
+      }
+    }
+    return tokenProtocol;
+  };
+}
+
+/**
+ * 创建鉴权器
+ * @param {object}   authConfig - 经 loadConfig() 校验后的 auth 配置
+ * @returns {{ enabled: boolean, authenticate: Function }}
+ */
+function createAuthenticator(authConfig) {
+  const { enabled, methods, queryParam, protocolPrefix, apiKeys, jwt } = authConfig;
+
+  /**
+   * 使用静态 API Key 鉴权
+   * @param {string} token
+   * @returns {object|null} 身份对象，未匹配时返回 null
+   */
+  function verifyApiKey(token) {
+    // 遍历全部密钥（不提前退出），保持耗时与匹配位置无关
+    let matched = null;
+    apiKeys.forEach((entry) => {
+      if (safeEqual(entry.key, token) && !matched) {
+        matched = entry;
+      }
+    });
+    return matched ? { method: 'apiKey', name: matched.name } : null;
+  }
+
+  /**
+   * 校验 JWT 签名与声明
+   * @param {string} token
+   * @returns {{ ok: true, identity: object }|{ ok: false, status: number, reason: string }|null}
+   *   令牌不是 JWT 格式（无法解码）时返回 null
+   */
+  function verifyJwt(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch (_) {
+      // 无法解码为 JWT，交由其他鉴权方式处理
+      return null;
+    }
+
+    const alg = header && header.alg;
+    if (!jwt.algorithms.includes(alg) || !JWT_DIGESTS[alg]) {
+      return fail(401, 'unsupported_algorithm');
+    }
+
+    const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature    = Buffer.from(parts[2], 'base64url');
+    const digest       = JWT_DIGESTS[alg];
+    let valid = false;
+
+    try {
+      if (alg.startsWith('HS')) {
+        if (!jwt.secret) return fail(401, 'unsupported_algorithm');
+        const expected = crypto.createHmac(digest, jwt.secret).update(signingInput).digest();
+        valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+      } else {
+        if (!jwt.publicKey) return fail(401, 'unsupported_algorithm');
+        const key = { key: jwt.publicKey };
+        if (alg.startsWith('ES')) {
+          key.dsaEncoding = 'ieee-p1363';
+        } else if (alg.startsWith('PS')) {
+          key.padding    = crypto.constants.RSA_PKCS1_PSS_PADDING;
+          key.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+        }
+        valid = crypto.verify(digest, signingInput, key, signature);
+      }
+    } catch (_) {
+      valid = false;
+    }
+
+    if (!valid) {
+      return fail(401, 'invalid_signature');
+    }
+
+    // ── 声明校验 ────────────────────────────────────────────────
+    const nowSec = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && nowSec - jwt.clockTolerance >= claims.exp) {
+      return fail(401, 'token_expired');
+    }
+    if (typeof claims.nbf === 'number' && nowSec + jwt.clockTolerance < claims.nbf) {
+      return fail(401, 'token_not_active');
+    }
+    if (jwt.issuer && claims.iss !== jwt.issuer) {
+      return fail(403, 'issuer_mismatch');
+    }
+    if (jwt.audience) {
+      const audList = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audList.includes(jwt.audience)) {
+        return fail(403, 'audience_mismatch');
+      }
+    }
+
+    const name = claims[jwt.identityClaim] !== undefined
+      ? String(claims[jwt.identityClaim])
+      : String(claims.sub || '');
+
+    // 没有身份声明（或为空）的令牌无法区分客户端，不予接受
+    if (name === '') {
+      return fail(401, 'missing_identity');
+    }
+
+    return { ok: true, identity: { method: 'jwt', name, claims } };
+  }
+
+  /**
+   * 对一个升级请求执行鉴权
+   * @param {http.IncomingMessage} req
+   * @returns {{ ok: true, identity: object|null }|{ ok: false, status: number, reason: string }}
+   */
+  function authenticate(req) {
+    if (!enabled) {
+      return { ok: true, identity: null };
+    }
+
+    const found = extractToken(req, { queryParam, protocolPrefix });
+    if (!found) {
+      return fail(401, 'missing_token');
+    }
+
+    const { token, source } = found;
+
+    if (methods.includes('jwt')) {
+      const result = verifyJwt(token);
+      if (result && result.ok) {
+        result.identity.source = source;
+        return result;
+      }
+      // 是 JWT 格式但校验失败：不再尝试 API Key，直接返回具体原因
+      if (result) return result;
+    }
+
+    if (methods.includes('apiKey')) {
+      const identity = verifyApiKey(token);
+      if (identity) {
+        identity.source = source;
+        return { ok: true, identity };
+      }
+    }
+
+    return fail(401, 'invalid_token');
+  }
+
+  return { enabled, authenticate };
+}
+
+module.exports = { createAuthenticator, createProtocolSelector, extractToken };
@@ -0,0 +1,395 @@
+'use strict';
+
+/**
+ * 集群背板模块
+ * - 在多个服务实例（节点）之间传递消息信封（JSON 对象），信封内容由 src/cluster.js 决定
+ * - redis：所有节点订阅同一个 Redis 频道，发布的信封送达全部节点（含发布者自身，由上层按节点 ID 过滤）
+ * - mesh ：节点之间直接建立 TCP 连接（需全互联），每行一个 JSON 信封；信封只发给对端，不转发，
+ *   因此不会形成环路。连接双方各出一个随机数，用共享密钥互相完成挑战应答认证
+ * - 背板只做尽力投递：断线期间发布的信封被丢弃，不缓存、不重放
+ */
+
+const crypto = require('crypto');
+const net    = require('net');
+
+const { createRedisClient } = require('./redis');
+
+// mesh 重连等待时间（毫秒）：逐次翻倍，最长 MESH_RECONNECT_MAX_MS
+const MESH_RECONNECT_MIN_MS = 1000;
+const MESH_RECONNECT_MAX_MS = 30000;
+
+// mesh 认证超时（毫秒）
+const MESH_AUTH_TIMEOUT_MS = 5000;
+
+// mesh 认证完成前单行数据的最大字节数（挑战 / 应答信封很小，避免未认证的连接占用大块内存）
+const MESH_HANDSHAKE_MAX_LINE_BYTES = 4 * 1024;
+
+// mesh 同时处于认证阶段的被动连接数上限，超过时直接断开新连接
+const MESH_MAX_PENDING_HANDSHAKES = 64;
+
+// mesh 单个连接允许积压的待发送字节数，超过时丢弃新的信封（对端过慢或已失联）
+const MESH_MAX_PENDING_BYTES = 64 * 1024 * 1024;
+
+/**
+ * 解析一行 JSON 信封（格式错误时返回 null）
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseEnvelope(text) {
+  try {
+    const envelope = JSON.parse(text);
+    return envelope !== null && typeof envelope === 'object' && typeof envelope.type === 'string' ? envelope : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 按行读取 TCP 连接上的数据
+ * @param {net.Socket} socket
+ * @param {Function}   maxLineBytes - () => 当前允许的单行最大字节数，超过时断开连接（认证前后不同）
+ * @param {Function}   onLine       - (line: string) => void
+ */
+function readLines(socket, maxLineBytes, onLine) {
+  let buffered = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+    let start = 0;
+    let end;
+    while ((end = buffered.indexOf(0x0a, start)) !== -1) {
+      onLine(buffered.toString('utf8', start, end));
+      if (socket.destroyed) return;
+      start = end + 1;
+    }
+    buffered = start >= buffered.length ? Buffer.alloc(0) : buffered.subarray(start);
+    if (buffered.length > maxLineBytes()) {
+      socket.destroy(new Error('单行数据超过上限'));
+    }
+  });
+}
+
+// mesh 认证随机数：16 字节的十六进制串
+const MESH_NONCE_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * 计算挑战应答的 MAC
+ * 覆盖双方的随机数与节点 ID，并以 role（'hello' / 'welcome'）区分方向，
+ * 避免把对端发来的应答原样反射回去冒充认证
+ * @param {string}   secret
+ * @param {string}   role  - 'hello'（连接方）或 'welcome'（监听方）
+ * @param {string[]} parts - [监听方随机数, 连接方随机数, 连接方节点 ID, (监听方节点 ID)]
+ * @returns {string}
+ */
+function computeMac(secret, role, parts) {
+  return crypto.createHmac('sha256', secret).update(JSON.stringify([role, ...parts])).digest('hex');
+}
+
+/**
+ * 以固定时间比较收到的 MAC 与期望值
+ * @param {*}      mac
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function macMatches(mac, expected) {
+  return typeof mac === 'string' && mac.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected));
+}
+
+/**
+ * 创建 Redis 发布 / 订阅背板
+ * @param {object}   options
+ * @param {object}   options.settings  - cluster.redis 配置：host / port / password / channel
+ * @param {object}   options.logger
+ * @param {Function} options.onMessage - 收到信封的回调 (envelope)
+ * @param {Function} options.onConnected - 背板（重新）可用时的回调
+ * @returns {{ publish: Function, close: Function, describe: Function }}
+ */
+function createRedisBackplane({ settings, logger, onMessage, onConnected }) {
+  const { host, port, password, channel } = settings;
+  let closing = false;
+
+  const subscriber = createRedisClient({
+    host, port, password, logger,
+    label:     '集群订阅',
+    onMessage: (from, message) => {
+      if (from !== channel) return;
+      const envelope = parseEnvelope(message);
+      if (envelope) onMessage(envelope);
+    },
+  });
+  subscriber.subscribe(channel);
+
+  const publisher = createRedisClient({ host, port, password, logger, label: '集群发布', onReady: onConnected });
+
+  return {
+    /**
+     * 发布信封
+     * @param {object} envelope
+     * @returns {boolean} 未连接（信封被丢弃）时返回 false
+     */
+    publish(envelope) {
+      if (!publisher.connected) return false;
+      publisher.command(['PUBLISH', channel, JSON.stringify(envelope)]).catch((err) => {
+        if (!closing) logger.warn(`集群消息发布失败：${err.message}`);
+      });
+      return true;
+    },
+
+    close() {
+      closing = true;
+      publisher.close();
+      subscriber.close();
+    },
+
+    describe() {
+      return `redis ${host}:${port}，频道 ${channel}`;
+    },
+  };
+}
+
+/**
+ * 创建 TCP 全互联背板
+ * @param {object}   options
+ * @param {object}   options.settings     - cluster.mesh 配置：host / port / peers / secret
+ * @param {string}   options.nodeId       - 本节点 ID
+ * @param {number}   options.maxLineBytes - 单个信封最大字节数
+ * @param {object}   options.logger
+ * @param {Function} options.onMessage    - 收到信封的回调 (envelope)
+ * @param {Function} options.onConnected  - 新的对端节点连接完成时的回调
+ * @returns {{ publish: Function, close: Function, describe: Function }}
+ */
+function createMeshBackplane({ settings, nodeId, maxLineBytes, logger, onMessage, onConnected }) {
+  const { host, port, peers, secret } = settings;
+  let closed = false;
+
+  // Map: 对端节点 ID → 已认证的连接列表 [{ socket, outbound }]
+  const links = new Map();
+
+  // 全部连接（含未认证的），关闭时统一断开
+  const sockets = new Set();
+
+  // 主动连接的重连定时器
+  const retryTimers = new Set();
+
+  /**
+   * 登记已认证的连接
+   * @param {string}     peerId
+   * @param {net.Socket} socket
+   * @param {boolean}    outbound - 是否为本节点主动发起的连接
+   * @returns {boolean} 对端 ID 与本节点相同时返回 false（配置错误）
+   */
+  function addLink(peerId, socket, outbound) {
+    if (peerId === nodeId) {
+      logger.error(`集群对端 ${socket.remoteAddress}:${socket.remotePort} 的节点 ID 与本节点相同（${nodeId}），已断开`);
+      socket.destroy();
+      return false;
+    }
+    const list = links.get(peerId) || [];
+    const isNew = list.length === 0;
+    list.push({ socket, outbound });
+    links.set(peerId, list);
+    if (isNew) {
+      logger.info(`集群对端已连接 → 节点：${peerId}，地址：${socket.remoteAddress}:${socket.remotePort}`);
+      onConnected();
+    }
+    socket.once('close', () => {
+      const rest = (links.get(peerId) || []).filter((link) => link.socket !== socket);
+      if (rest.length > 0) {
+        links.set(peerId, rest);
+      } else {
+        links.delete(peerId);
+        if (!closed) logger.warn(`集群对端已断开 → 节点：${peerId}`);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * 处理认证完成后的信封
+   * 信封的 node 必须是该连接认证时的节点 ID，防止已认证的节点冒充其他节点
+   * @param {string}     line
+   * @param {string}     peerId - 连接认证得到的对端节点 ID
+   * @param {net.Socket} socket
+   */
+  function onLine(line, peerId, socket) {
+    const envelope = parseEnvelope(line);
+    if (!envelope) return;
+    if (envelope.node !== peerId) {
+      logger.warn(`集群对端 ${peerId} 发送的信封节点 ID 不符（${String(envelope.node)}），已断开`);
+      socket.destroy();
+      return;
+    }
+    onMessage(envelope);
+  }
+
+  /**
+   * 初始化连接的通用设置
+   * @param {net.Socket} socket
+   */
+  function track(socket) {
+    sockets.add(socket);
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true, 10000);
+    socket.on('error', () => {});
+    socket.on('close', () => sockets.delete(socket));
+  }
+
+  // ── 被动连接：发送挑战，校验对端应答，再以本节点的应答回复 ──────
+  // 处于认证阶段的被动连接数
+  let pendingHandshakes = 0;
+
+  const server = net.createServer((socket) => {
+    if (pendingHandshakes >= MESH_MAX_PENDING_HANDSHAKES) {
+      logger.warn(`集群 mesh 待认证连接过多 → 地址：${socket.remoteAddress}:${socket.remotePort}，已断开`);
+      socket.destroy();
+      return;
+    }
+    track(socket);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    let peerId = null;
+    pendingHandshakes++;
+    let handshaking = true;
+    const endHandshake = () => {
+      if (handshaking) pendingHandshakes--;
+      handshaking = false;
+    };
+    const timer = setTimeout(() => socket.destroy(), MESH_AUTH_TIMEOUT_MS);
+    socket.on('close', () => {
+      clearTimeout(timer);
+      endHandshake();
+    });
+
+    readLines(socket, () => (peerId !== null ? maxLineBytes : MESH_HANDSHAKE_MAX_LINE_BYTES), (line) => {
+      if (peerId !== null) {
+        onLine(line, peerId, socket);
+        return;
+      }
+      const hello = parseEnvelope(line);
+      const valid = hello && hello.type === 'hello' && typeof hello.node === 'string' &&
+        typeof hello.nonce === 'string' && MESH_NONCE_PATTERN.test(hello.nonce);
+      if (!valid || !macMatches(hello.mac, computeMac(secret, 'hello', [nonce, hello.nonce, hello.node]))) {
+        logger.warn(`集群对端认证失败 → 地址：${socket.remoteAddress}:${socket.remotePort}，已断开`);
+        socket.destroy();
+        return;
+      }
+      clearTimeout(timer);
+      endHandshake();
+      peerId = hello.node;
+      if (addLink(peerId, socket, false)) {
+        const mac = computeMac(secret, 'welcome', [nonce, hello.nonce, hello.node, nodeId]);
+        socket.write(JSON.stringify({ type: 'welcome', node: nodeId, mac }) + '\n');
+      }
+    });
+    socket.write(JSON.stringify({ type: 'challenge', nonce }) + '\n');
+  });
+
+  server.on('error', (err) => {
+    logger.error(`集群 mesh 监听失败（${host}:${port}）：${err.message}`);
+  });
+  server.listen(port, host, () => {
+    logger.info(`集群 mesh 监听已启动 → ${host}:${port}`);
+  });
+
+  // ── 主动连接：逐个连接配置的对端，校验对端应答后才登记，断开后重连 ──
+  /**
+   * 连接一个对端
+   * @param {{ host: string, port: number }} peer
+   * @param {number} delay - 本次失败后的重连等待时间
+   */
+  function connectPeer(peer, delay) {
+    if (closed) return;
+    const socket = net.connect({ host: peer.host, port: peer.port });
+    track(socket);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    let peerId = null;
+    // 对端的挑战随机数；收到挑战之前不接受 welcome
+    let challenge = null;
+    const timer = setTimeout(() => socket.destroy(), MESH_AUTH_TIMEOUT_MS);
+
+    readLines(socket, () => (peerId !== null ? maxLineBytes : MESH_HANDSHAKE_MAX_LINE_BYTES), (line) => {
+      if (peerId !== null) {
+        onLine(line, peerId, socket);
+        return;
+      }
+      const message = parseEnvelope(line);
+      if (challenge === null && message && message.type === 'challenge' && typeof message.nonce === 'string') {
+        challenge = message.nonce;
+        const mac = computeMac(secret, 'hello', [challenge, nonce, nodeId]);
+        socket.write(JSON.stringify({ type: 'hello', node: nodeId, nonce, mac }) + '\n');
+      } else if (challenge !== null && message && message.type === 'welcome' && typeof message.node === 'string' &&
+                 macMatches(message.mac, computeMac(secret, 'welcome', [challenge, nonce, nodeId, message.node]))) {
+        clearTimeout(timer);
+        peerId = message.node;
+        addLink(peerId, socket, true);
+      } else {
+        logger.warn(`集群对端认证失败 → 地址：${peer.host}:${peer.port}，已断开`);
+        socket.destroy();
+      }
+    });
+
+    socket.on('close', () => {
+      clearTimeout(timer);
+      if (closed) return;
+      // 认证成功过的连接断开后从最短间隔重新开始
+      const next = peerId !== null ? MESH_RECONNECT_MIN_MS : Math.min(delay * 2, MESH_RECONNECT_MAX_MS);
+      const retry = setTimeout(() => {
+        retryTimers.delete(retry);
+        connectPeer(peer, next);
+      }, peerId !== null ? MESH_RECONNECT_MIN_MS : delay);
+      retryTimers.add(retry);
+    });
+  }
+
+  peers.forEach((peer) => connectPeer(peer, MESH_RECONNECT_MIN_MS));
+
+  return {
+    /**
+     * 向每个已连接的对端节点发送一次信封（优先使用本节点主动发起的连接）
+     * @param {object} envelope
+     * @returns {boolean} 没有任何已连接的对端时返回 false
+     */
+    publish(envelope) {
+      if (links.size === 0) return false;
+      const line = JSON.stringify(envelope) + '\n';
+      links.forEach((list, peerId) => {
+        const link = list.find((item) => item.outbound) || list[0];
+        if (link.socket.writableLength > MESH_MAX_PENDING_BYTES) {
+          logger.warn(`集群对端 ${peerId} 待发送数据积压过多，消息已丢弃`);
+          return;
+        }
+        link.socket.write(line);
+      });
+      return true;
+    },
+
+    close() {
+      closed = true;
+      retryTimers.forEach(clearTimeout);
+      server.close();
+      sockets.forEach((socket) => socket.end());
+    },
+
+    describe() {
+      return `mesh 监听 ${host}:${port}，对端 ${peers.length} 个`;
+    },
+  };
+}
+
+/**
+ * 按 cluster.backplane 创建背板
+ * @param {object}   options
+ * @param {object}   options.settings     - cluster 配置
+ * @param {string}   options.nodeId
+ * @param {number}   options.maxLineBytes - 单个信封最大字节数（mesh 使用）
+ * @param {object}   options.logger
+ * @param {Function} options.onMessage   - 收到信封的回调 (envelope)
+ * @param {Function} options.onConnected - 背板可用（Redis 连接建立、新的 mesh 对端连接）时的回调
+ * @returns {{ publish: Function, close: Function, describe: Function }}
+ */
+function createBackplane({ settings, nodeId, maxLineBytes, logger, onMessage, onConnected }) {
+  return settings.backplane === 'mesh'
+    ? createMeshBackplane({ settings: settings.mesh, nodeId, maxLineBytes, logger, onMessage, onConnected })
+    : createRedisBackplane({ settings: settings.redis, logger, onMessage, onConnected });
+}
+
+module.exports = { createBackplane };
@@ -3,65 +3,368 @@
 /**
  * 广播模块
  * - 接收发送方 socket 及其原始消息，转发给所有其他在线客户端（排除发送方）
- * - 消息格式为 JSON，服务端解析后重新序列化广播；解析失败则原文转发
- * - 每次广播记录一条信息日志（发送方 IP、消息内容、在线人数）
+ * - 指定房间时，clients 为该房间的成员集合，消息仅在房间内转发
+ * - 文本消息默认原样转发（不解码、不重新序列化）；启用 messages.normalizeJson 时，
+ *   JSON 消息解析后重新序列化，格式统一（解析失败则原文转发）
+ * - 指定 seq 时将序号追加到 JSON 对象消息末尾（非对象消息原文转发），供客户端断线后续传
+ * - 二进制消息（图片、protobuf、音频片段等）以二进制帧原样转发，日志中只记录大小与摘要
+ * - 消息只编码一次，所有接收方共用同一个 Buffer（指定 transform 时可按接收方替换或跳过）；
+ *   经出站缓冲管理器发送，慢速客户端按策略处理
+ * - 接收方较多时分批扇出（每批 FANOUT_BATCH_SIZE 个），批次之间让出事件循环；
+ *   多次广播按先后顺序排队扇出（每个服务实例一个队列，见 createFanoutQueue()），保证每个客户端收到的消息顺序与广播顺序一致
+ * - 每次广播扇出完成后记录一条信息日志（发送方 IP / 身份、消息内容、在线人数）
+ * - unicast()：定向消息只投递给指定的单个客户端（同样经出站缓冲管理器发送），
+ *   发送前先补齐该客户端在排队中的广播，避免定向消息先于更早的广播到达
  */
 
+const crypto    = require('crypto');
 const WebSocket = require('ws');
 
+// 日志中消息内容的最大字符数
+const PREVIEW_LENGTH = 200;
+
+// 每批扇出的接收方数量，超过时剩余接收方在后续事件循环中继续发送
+const FANOUT_BATCH_SIZE = 500;
+
 /**
- * 广播消息给除发送方以外的所有在线客户端
- * @param {object}  options
- * @param {WebSocket}           options.sender   - 发送方 socket 实例
- * @param {string}              options.senderIp - 发送方 IP（用于日志）
- * @param {Buffer|string}       options.rawData  - 原始消息数据
- * @param {Set<WebSocket>}      options.clients  - ws.Server.clients 集合
- * @param {object}              options.logger   - 日志模块实例
+ * 创建广播扇出队列（每个服务实例一个，服务之间互不影响）
+ * 队列中的广播按先后顺序扇出：每轮最多向 FANOUT_BATCH_SIZE 个接收方发送，未完成时让出事件循环后继续；
+ * 某次广播抛出异常时丢弃该广播并记录错误，扇出状态始终复位，后续广播不受影响
+ * @returns {{ push: Function, flushTo: Function, clear: Function }}
  */
-function broadcast({ sender, senderIp, rawData, clients, logger }) {
-  // ── 解析消息 ──────────────────────────────────────────────────
-  const rawStr = rawData.toString('utf8');
-  let outgoing; // 最终发往客户端的字符串
+function createFanoutQueue() {
+  // 待扇出的广播（按广播先后顺序），以及是否正在处理或已安排后续批次
+  const jobs = [];
+  let active = false;
 
+  /**
+   * 处理一轮扇出
+   */
+  function run() {
+    active = true;
+    try {
+      let budget = FANOUT_BATCH_SIZE;
+      while (jobs.length > 0 && budget > 0) {
+        const job = jobs[0];
+        try {
+          budget -= job.step(budget);
+          if (job.done()) {
+            jobs.shift();
+            job.finish();
+          }
+        } catch (err) {
+          if (jobs[0] === job) jobs.shift();
+          job.fail(err);
+        }
+      }
+    } finally {
+      if (jobs.length > 0) {
+        setImmediate(run);
+      } else {
+        active = false;
+      }
+    }
+  }
+
+  return {
+    /**
+     * 加入一次广播；没有排队中的广播时立即处理第一批，小规模广播因此仍为同步发送
+     * @param {object} job - broadcast() 创建的扇出任务
+     */
+    push(job) {
+      jobs.push(job);
+      if (!active) run();
+    },
+
+    /**
+     * 立即向某个客户端发送排队中尚未发给它的广播（按广播顺序）
+     * 定向消息、在线状态事件等单独发送的消息在此之后发送，不会先于更早的广播到达
+     * @param {WebSocket} client
+     */
+    flushTo(client) {
+      jobs.slice().forEach((job) => {
+        try {
+          job.deliverTo(client);
+        } catch (err) {
+          const index = jobs.indexOf(job);
+          if (index !== -1) jobs.splice(index, 1);
+          job.fail(err);
+        }
+      });
+    },
+
+    /**
+     * 放弃全部排队中的广播（服务停止时调用），未发送的接收方记为未送达
+     * @param {string} reason - 放弃原因（用于日志）
+     */
+    clear(reason) {
+      jobs.splice(0).forEach((job) => job.fail(new Error(reason)));
+    },
+  };
+}
+
+/**
+ * 将消息数据转换为 Buffer（不复制已有的 Buffer）
+ * @param {Buffer|ArrayBuffer|Buffer[]|string} data
+ * @returns {Buffer}
+ */
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (Array.isArray(data)) return Buffer.concat(data);
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  return Buffer.from(String(data), 'utf8');
+}
+
+/**
+ * 在 JSON 对象文本末尾追加 seq 字段，其余内容保持原样
+ * 原消息已含 seq 字段时，按 JSON 解析规则以后出现的同名字段为准
+ * @param {string} text - 已确认为 JSON 对象的消息文本
+ * @param {number} seq
+ * @returns {string}
+ */
+function appendSeq(text, seq) {
+  const body = text.slice(0, text.lastIndexOf('}')).trimEnd();
+  return `${body}${body.endsWith('{') ? '' : ','}"seq":${seq}}`;
+}
+
+/**
+ * 生成日志中的消息内容摘要
+ * 文本消息截断至 PREVIEW_LENGTH 字符；二进制消息只记录大小与 SHA-256 摘要（前 16 位）
+ * @param {Buffer}  payload
+ * @param {boolean} binary
+ * @returns {string}
+ */
+function describePayload(payload, binary) {
+  if (binary) {
+    const digest = crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
+    return `[二进制消息，${payload.length} 字节，sha256:${digest}]`;
+  }
+  // 只解码足够生成摘要的部分（每个字符最多 4 字节），避免大消息整体解码
+  const text = payload.subarray(0, PREVIEW_LENGTH * 4).toString('utf8');
+  return text.length > PREVIEW_LENGTH || payload.length > PREVIEW_LENGTH * 4
+    ? text.slice(0, PREVIEW_LENGTH) + '……（已截断）'
+    : text;
+}
+
+/**
+ * 生成实际发送的消息
+ * @param {Buffer}  data
+ * @param {boolean} binary
+ * @param {number|undefined} seq
+ * @param {boolean} normalizeJson
+ * @returns {{ payload: Buffer, outgoing: string|null }} outgoing 为消息文本，原样转发且未解码时为 null
+ */
+function encodeMessage(data, binary, seq, normalizeJson) {
+  // 二进制消息与无需改写的文本消息原样转发
+  if (binary || (seq === undefined && !normalizeJson)) {
+    return { payload: data, outgoing: null };
+  }
+
+  const text = data.toString('utf8');
+  let outgoing = text;
   try {
-    const parsed = JSON.parse(rawStr);
-    outgoing = JSON.stringify(parsed); // 重新序列化，确保格式统一
+    const parsed = JSON.parse(text);
+    const isObject = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    if (normalizeJson) {
+      // 重新序列化，确保格式统一；对象消息附带序号
+      outgoing = JSON.stringify(seq !== undefined && isObject ? Object.assign({}, parsed, { seq }) : parsed);
+    } else if (seq !== undefined && isObject) {
+      outgoing = appendSeq(text, seq);
+    }
   } catch (_) {
     // 非 JSON 格式，原文转发
-    outgoing = rawStr;
   }
 
-  // ── 统计在线人数 ──────────────────────────────────────────────
+  return { payload: outgoing === text ? data : Buffer.from(outgoing, 'utf8'), outgoing };
+}
+
+/**
+ * 广播消息给除发送方以外的所有在线客户端
+ * 接收方不超过一批且没有排队中的广播时同步发送完毕，否则分批异步扇出
+ * @param {object}  options
+ * @param {WebSocket}           options.sender   - 发送方 socket 实例
+ * @param {string}              options.senderLabel - 发送方描述（IP 或「身份（IP）」，用于日志）
+ * @param {Buffer|string}       options.rawData  - 原始消息数据
+ * @param {boolean}             [options.isBinary] - 是否为二进制消息（以二进制帧转发，不注入序号）
+ * @param {boolean}             [options.normalizeJson] - 是否将 JSON 消息重新序列化（messages.normalizeJson）
+ * @param {Set<WebSocket>}      options.clients  - 接收范围：ws.Server.clients 或房间成员集合
+ * @param {string}              [options.room]   - 目标房间名（用于日志，不指定则为全体广播）
+ * @param {object}              [options.logFields] - 附加到日志的结构化字段（如发送方 clientId）
+ * @param {number}              [options.seq]    - 消息序号（启用历史消息时由调用方分配，二进制消息不分配）
+ * @param {Set<WebSocket>}      [options.exclude] - 不接收广播的连接（如 ingest 模式的连接）
+ * @param {Function}            [options.transform] - 按接收方处理消息 (client, payload) => 返回 undefined 时发送共用的消息，
+ *   返回 null 时跳过该接收方，返回 Buffer 时改为发送该内容（如消息处理管道的接收方钩子）
+ * @param {object}              options.outbound - 出站缓冲管理器（createOutboundManager() 的返回值）
+ * @param {object}              options.fanout   - 扇出队列（createFanoutQueue() 的返回值）
+ * @param {Function}            [options.onUndelivered] - 某接收方未收到消息时的回调 (client, reason)，reason 为
+ *   undelivered（连接已关闭、发送失败或被慢速客户端策略丢弃）或 filtered（transform 跳过该接收方）（用于送达回执）
+ * @param {Function}            [options.onComplete] - 扇出结束（完成或中断）后的回调，参数为投递统计
+ *   { sentCount, failedCount, droppedCount, bytes }（用于运行指标与统计实际送达人数）
+ * @param {object}              options.logger   - 日志模块实例
+ * @returns {{ outgoing: string|null }} 实际发送的消息文本（用于历史消息缓冲；指定 seq 的文本消息必定返回）
+ */
+function broadcast({
+  sender, senderLabel, rawData, isBinary = false, normalizeJson = false, clients, room, logFields, seq, exclude,
+  transform, outbound, fanout, onUndelivered, onComplete, logger,
+}) {
+  // ── 生成消息（只编码一次，所有接收方共用）─────────────────────
+  const { payload, outgoing } = encodeMessage(toBuffer(rawData), isBinary, seq, normalizeJson);
+
+  // ── 统计在线人数并固定接收方列表 ─────────────────────────────
+  // 分批扇出期间集合可能变化，先取快照；remaining 为尚未处理的接收方（可能经 flushTo() 提前发送）
+  const targets     = Array.from(clients);
+  const remaining   = new Set(targets);
   let totalOnline   = 0; // 全部在线（含发送方）
-  let sentCount     = 0; // 成功发送数量
+  let sentCount     = 0; // 成功发送（含进入慢速客户端待发队列）数量
+  let failedCount   = 0; // 发送失败数量
+  let droppedCount  = 0; // 因慢速客户端策略丢弃或断开的数量
+  let sentBytes     = 0; // 成功发送的总字节数
+  let index         = 0;
 
-  clients.forEach((client) => {
+  targets.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
       totalOnline++;
     }
   });
 
-  // ── 逐一转发（跳过发送方） ────────────────────────────────────
-  clients.forEach((client) => {
-    if (client === sender) return;                        // 跳过发送方
-    if (client.readyState !== WebSocket.OPEN) return;    // 跳过未就绪连接
+  /**
+   * 向一个接收方转发（跳过发送方与不接收广播的连接）
+   * @param {WebSocket} client
+   */
+  function deliver(client) {
+    if (client === sender) return;                           // 跳过发送方
+    if (exclude && exclude.has(client)) return;             // 跳过不接收广播的连接
+    if (client.readyState !== WebSocket.OPEN) {               // 跳过未就绪连接
+      if (onUndelivered) onUndelivered(client, 'undelivered');
+      return;
+    }
 
-    try {
-      client.send(outgoing);
+    let data = payload;
+    if (transform) {
+      const replaced = transform(client, payload);
+      if (replaced === null) {                                // 该接收方不投递
+        if (onUndelivered) onUndelivered(client, 'filtered');
+        return;
+      }
+      if (replaced !== undefined) data = replaced;
+    }
+
+    const result = outbound.send(client, data, { binary: isBinary });
+    if (result === 'sent' || result === 'queued') {
       sentCount++;
-    } catch (err) {
-      logger.error(`向客户端转发消息失败：${err.message}`);
+      sentBytes += data.length;
+    } else if (result === 'failed') {
+      failedCount++;
+    } else {
+      droppedCount++;
     }
+    if (onUndelivered && result !== 'sent' && result !== 'queued') onUndelivered(client, 'undelivered');
+  }
+
+  fanout.push({
+    // ── 逐一转发，返回本批处理的接收方数量 ──────────────────
+    step(budget) {
+      const end = Math.min(targets.length, index + budget);
+      const start = index;
+      for (; index < end; index++) {
+        const client = targets[index];
+        if (remaining.delete(client)) deliver(client);
+      }
+      return end - start;
+    },
+
+    // ── 提前向单个接收方转发（在它的定向消息等之前） ────────
+    deliverTo(client) {
+      if (remaining.delete(client)) deliver(client);
+    },
+
+    done() {
+      return index >= targets.length;
+    },
+
+    // ── 扇出或回调抛出异常、服务停止：放弃剩余接收方 ────────
+    fail(err) {
+      logger.error(
+        `消息广播中断 → 发送方：${senderLabel}，已转发至 ${sentCount} 个客户端，剩余 ${remaining.size} 个未发送，错误：${err.message}`,
+        { event: 'broadcast_failed', ...logFields, room, error: err.message }
+      );
+      remaining.clear();
+      if (onComplete) {
+        onComplete({ sentCount, failedCount, droppedCount, bytes: sentBytes });
+      }
+    },
+
+    // ── 记录广播日志 ────────────────────────────────────────
+    finish() {
+      // 消息内容截断，防止日志行过长
+      const preview = describePayload(payload, isBinary);
+      const scope = room ? `房间「${room}」内在线 ${totalOnline} 人` : `当前在线 ${totalOnline} 人`;
+      const dropped = droppedCount > 0 ? `，慢速客户端未送达 ${droppedCount} 个` : '';
+      logger.info(
+        `消息广播 → 发送方：${senderLabel}，` +
+        `已转发至 ${sentCount} 个客户端（${scope}）${dropped}，` +
+        `消息内容：${preview}`,
+        {
+          event:      'broadcast',
+          ...logFields,
+          room,
+          seq,
+          binary:     isBinary,
+          recipients: sentCount,
+          dropped:    droppedCount,
+          online:     totalOnline,
+          bytes:      payload.length,
+        }
+      );
+
+      if (onComplete) {
+        onComplete({ sentCount, failedCount, droppedCount, bytes: sentBytes });
+      }
+    },
   });
 
-  // ── 记录广播日志 ──────────────────────────────────────────────
-  // 消息内容截断至 200 字符，防止日志行过长
-  const preview = outgoing.length > 200 ? outgoing.slice(0, 200) + '……（已截断）' : outgoing;
+  return { outgoing };
+}
+
+/**
+ * 向单个客户端投递定向消息
+ * @param {object}  options
+ * @param {string}              options.senderLabel - 发送方描述（用于日志）
+ * @param {object}              [options.logFields] - 附加到日志的结构化字段
+ * @param {WebSocket}           options.target      - 接收方 socket 实例
+ * @param {string}              options.targetLabel - 接收方描述（用于日志）
+ * @param {string}              options.outgoing    - 已序列化的待发送消息
+ * @param {object}              options.outbound    - 出站缓冲管理器（createOutboundManager() 的返回值）
+ * @param {object}              options.fanout      - 扇出队列（createFanoutQueue() 的返回值）
+ * @param {object}              options.logger      - 日志模块实例
+ * @returns {boolean} 是否已成功交给接收方连接发送（含进入慢速客户端待发队列）
+ */
+function unicast({ senderLabel, logFields, target, targetLabel, outgoing, outbound, fanout, logger }) {
+  if (target.readyState !== WebSocket.OPEN) {
+    return false;
+  }
+
+  // 先补齐排队中的广播，保证接收方收到的顺序与发送顺序一致
+  fanout.flushTo(target);
+
+  const result = outbound.send(target, Buffer.from(outgoing, 'utf8'));
+  if (result !== 'sent' && result !== 'queued') {
+    // 发送失败已由出站缓冲管理器记录错误日志
+    if (result !== 'failed') {
+      logger.warn(
+        `定向消息未送达 → 发送方：${senderLabel}，接收方：${targetLabel}，原因：慢速客户端${result === 'dropped' ? '，消息已丢弃' : '，连接已断开'}`,
+        { event: 'direct_dropped', ...logFields, result }
+      );
+    }
+    return false;
+  }
+
+  const preview = outgoing.length > PREVIEW_LENGTH ? outgoing.slice(0, PREVIEW_LENGTH) + '……（已截断）' : outgoing;
   logger.info(
-    `消息广播 → 发送方：${senderIp}，` +
-    `已转发至 ${sentCount} 个客户端（当前在线 ${totalOnline} 人），` +
-    `消息内容：${preview}`
+    `定向消息 → 发送方：${senderLabel}，接收方：${targetLabel}，消息内容：${preview}`,
+    { event: 'direct', ...logFields, bytes: Buffer.byteLength(outgoing) }
   );
+  return true;
 }
 
-module.exports = { broadcast };
+module.exports = { broadcast, unicast, createFanoutQueue };
@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * 命令行参数解析模块
+ * - 启动服务：server.js [选项]；测试客户端：server.js client <url> [选项]；生成自签名证书：server.js gen-cert [选项]
+ * - 配置覆盖优先级：命令行参数 > 环境变量 > 配置文件；覆盖项在配置热重载后仍然生效
+ * - 环境变量名为 CBWS_ 加参数名的大写形式，连字符换为下划线（如 --ws-port 对应 CBWS_WS_PORT）
+ */
+
+const { parseArgs } = require('util');
+
+const { isValidAltName } = require('./selfsigned');
+
+// 环境变量名前缀
+const ENV_PREFIX = 'CBWS_';
+
+// 可覆盖的配置项：参数名、配置路径、取值类型与说明
+const OVERRIDES = [
+  { flag: 'ws-host',            path: 'ws.host',            type: 'host', desc: 'WS 监听地址' },
+  { flag: 'ws-port',            path: 'ws.port',            type: 'port', desc: 'WS 监听端口' },
+  { flag: 'wss-host',           path: 'wss.host',           type: 'host', desc: 'WSS 监听地址' },
+  { flag: 'wss-port',           path: 'wss.port',           type: 'port', desc: 'WSS 监听端口' },
+  { flag: 'admin-host',         path: 'admin.host',         type: 'host', desc: '管理接口独立监听地址' },
+  { flag: 'admin-port',         path: 'admin.port',         type: 'port', desc: '管理接口独立监听端口' },
+  { flag: 'metrics-host',       path: 'metrics.host',       type: 'host', desc: '指标接口独立监听地址' },
+  { flag: 'metrics-port',       path: 'metrics.port',       type: 'port', desc: '指标接口独立监听端口' },
+  { flag: 'log-dir',            path: 'log.dir',            type: 'path', desc: '日志目录' },
+  { flag: 'heartbeat-interval', path: 'heartbeat.interval', type: 'ms',   desc: '心跳检测间隔（毫秒）' },
+  { flag: 'heartbeat-timeout',  path: 'heartbeat.timeout',  type: 'ms',   desc: '心跳超时时间（毫秒）' },
+];
+
+// 覆盖项在帮助文本中的取值占位符
+const VALUE_HINTS = { host: '<host>', port: '<port>', path: '<dir>', ms: '<ms>' };
+
+/**
+ * 帮助文本中的一行选项说明
+ * @param {string} usage
+ * @param {string} desc
+ * @returns {string}
+ */
+function helpLine(usage, desc) {
+  return `  ${usage.padEnd(34)}${desc}`;
+}
+
+const HELP_TEXT = [
+  '用法：',
+  '  CBWebSocketServer [选项]                 启动服务',
+  '  CBWebSocketServer client <url> [选项]    启动测试客户端：打印收到的消息，标准输入每行作为一条消息发送',
+  '  CBWebSocketServer gen-cert [选项]        生成自签名证书，写入配置中的 tls.cert / tls.key 后退出',
+  '',
+  '服务选项：',
+  helpLine('-c, --config <path>', '配置文件路径（默认为程序所在目录下的 config.json）'),
+  helpLine('    --check-config', '校验配置（含覆盖项）后退出，配置无效时退出码为 1'),
+  ...OVERRIDES.map(({ flag, type, desc }) => helpLine(`    --${flag} ${VALUE_HINTS[type]}`, desc)),
+  '',
+  'client 选项：',
+  helpLine('-k, --insecure', '不校验服务端证书（如自签名证书）'),
+  helpLine('    --protocol <name>', '请求的子协议，可多次指定'),
+  helpLine('    --header "<name>: <value>"', '附加的请求头（如 Authorization），可多次指定'),
+  '',
+  'gen-cert 选项（未指定时取 tls.selfSigned 配置）：',
+  helpLine('-c, --config <path>', '配置文件路径，证书写入其中的 tls.cert / tls.key'),
+  helpLine('    --cn <name>', '证书主题 CN'),
+  helpLine('    --san <names>', '主机名或 IP，逗号分隔，可多次指定（替换 tls.selfSigned.altNames）'),
+  helpLine('    --days <n>', '有效天数'),
+  helpLine('    --force', '覆盖已存在的证书与私钥文件'),
+  '',
+  '通用选项：',
+  helpLine('-v, --version', '显示版本号'),
+  helpLine('-h, --help', '显示本帮助'),
+  '',
+  '环境变量：',
+  `  ${ENV_PREFIX}CONFIG 对应 --config，${ENV_PREFIX}WS_PORT 对应 --ws-port，其余覆盖项同理；命令行参数优先于环境变量`,
+].join('\n');
+
+/**
+ * 参数名对应的环境变量名
+ * @param {string} flag
+ * @returns {string}
+ */
+function envName(flag) {
+  return ENV_PREFIX + flag.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * 按类型转换并校验覆盖项的值
+ * @param {string} type
+ * @param {string} value
+ * @param {string} source - 值的来源（用于错误信息），如 "--ws-port" 或 "环境变量 CBWS_WS_PORT"
+ * @returns {string|number}
+ */
+function convertValue(type, value, source) {
+  switch (type) {
+    case 'port': {
+      const port = Number(value);
+      if (!(value.trim() !== '' && Number.isInteger(port) && port >= 0 && port < 65536)) {
+        throw new Error(`${source} 必须为 0～65535 之间的整数（0 表示由系统分配）`);
+      }
+      return port;
+    }
+    case 'ms': {
+      const ms = Number(value);
+      if (!(Number.isInteger(ms) && ms > 0)) {
+        throw new Error(`${source} 必须为正整数（毫秒）`);
+      }
+      return ms;
+    }
+    default:
+      if (value.trim() === '') {
+        throw new Error(`${source} 不能为空`);
+      }
+      return value;
+  }
+}
+
+/**
+ * 解析 --header 参数
+ * @param {string[]} list - "名称: 值" 形式的字符串
+ * @returns {Object<string, string>}
+ */
+function parseHeaders(list) {
+  const headers = {};
+  list.forEach((item) => {
+    const index = item.indexOf(':');
+    const name  = index > 0 ? item.slice(0, index).trim() : '';
+    if (!name) {
+      throw new Error(`--header 格式应为 "名称: 值"：${item}`);
+    }
+    headers[name] = item.slice(index + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * 解析 gen-cert 子命令的证书参数（未指定的字段不出现在返回值中）
+ * @param {object} values - parseArgs() 解析出的参数
+ * @returns {{ commonName?: string, altNames?: string[], days?: number }}
+ */
+function parseCertOptions(values) {
+  const options = {};
+  if (values.cn !== undefined) {
+    if (values.cn.length === 0 || values.cn.length > 64) {
+      throw new Error('--cn 必须为 1～64 个字符');
+    }
+    options.commonName = values.cn;
+  }
+  if (values.san !== undefined) {
+    options.altNames = [];
+    values.san.forEach((item) => {
+      item.split(',').map((name) => name.trim()).filter(Boolean).forEach((name) => {
+        if (!isValidAltName(name)) {
+          throw new Error(`--san 必须为主机名（可带 *. 前缀）或 IP 地址：${name}`);
+        }
+        options.altNames.push(name);
+      });
+    });
+  }
+  if (values.days !== undefined) {
+    const days = Number(values.days);
+    if (!(Number.isInteger(days) && days > 0)) {
+      throw new Error('--days 必须为正整数');
+    }
+    options.days = days;
+  }
+  return options;
+}
+
+/**
+ * 解析命令行参数与环境变量
+ * @param {string[]} argv - 不含可执行文件与脚本路径的参数列表
+ * @param {object}   env  - 环境变量
+ * @returns {{ command: 'serve'|'check'|'client'|'gen-cert'|'help'|'version', configPath?: string,
+ *             overrides?: Object<string, *>, client?: object, cert?: object }}
+ *          configPath 未指定时为 undefined（使用默认路径）；参数错误时抛出异常
+ */
+function parseCommandLine(argv, env) {
+  const options = {
+    'config':       { type: 'string', short: 'c' },
+    'check-config': { type: 'boolean' },
+    'insecure':     { type: 'boolean', short: 'k' },
+    'protocol':     { type: 'string', multiple: true },
+    'header':       { type: 'string', multiple: true },
+    'cn':           { type: 'string' },
+    'san':          { type: 'string', multiple: true },
+    'days':         { type: 'string' },
+    'force':        { type: 'boolean' },
+    'version':      { type: 'boolean', short: 'v' },
+    'help':         { type: 'boolean', short: 'h' },
+  };
+  OVERRIDES.forEach(({ flag }) => { options[flag] = { type: 'string' }; });
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new Error(`命令行参数错误：${err.message}`);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) return { command: 'help' };
+  if (values.version) return { command: 'version' };
+
+  const clientFlags = ['insecure', 'protocol', 'header'].filter((key) => values[key] !== undefined);
+  const certFlags   = ['cn', 'san', 'days', 'force'].filter((key) => values[key] !== undefined);
+
+  if (positionals[0] === 'client') {
+    if (positionals.length !== 2) {
+      throw new Error('client 子命令需要且只需要一个 ws:// 或 wss:// 地址');
+    }
+    const serverFlags = Object.keys(values).filter((key) => !clientFlags.includes(key));
+    if (serverFlags.length > 0) {
+      throw new Error(`client 子命令不支持参数：${serverFlags.map((key) => `--${key}`).join('、')}`);
+    }
+    const url = positionals[1];
+    if (!/^wss?:\/\//i.test(url)) {
+      throw new Error(`client 地址必须以 ws:// 或 wss:// 开头：${url}`);
+    }
+    return {
+      command: 'client',
+      client:  {
+        url,
+        insecure:  Boolean(values.insecure),
+        protocols: values.protocol || [],
+        headers:   parseHeaders(values.header || []),
+      },
+    };
+  }
+
+  if (positionals[0] === 'gen-cert') {
+    if (positionals.length !== 1) {
+      throw new Error('gen-cert 子命令不接受位置参数');
+    }
+    const otherFlags = Object.keys(values).filter((key) => key !== 'config' && !certFlags.includes(key));
+    if (otherFlags.length > 0) {
+      throw new Error(`gen-cert 子命令不支持参数：${otherFlags.map((key) => `--${key}`).join('、')}`);
+    }
+    return {
+      command:    'gen-cert',
+      configPath: values.config || env[`${ENV_PREFIX}CONFIG`] || undefined,
+      cert:       Object.assign(parseCertOptions(values), { force: Boolean(values.force) }),
+    };
+  }
+
+  if (positionals.length > 0) {
+    throw new Error(`无法识别的子命令：${positionals[0]}`);
+  }
+  if (clientFlags.length > 0) {
+    throw new Error(`参数 ${clientFlags.map((key) => `--${key}`).join('、')} 仅用于 client 子命令`);
+  }
+  if (certFlags.length > 0) {
+    throw new Error(`参数 ${certFlags.map((key) => `--${key}`).join('、')} 仅用于 gen-cert 子命令`);
+  }
+
+  // 命令行参数优先于环境变量
+  const overrides = {};
+  OVERRIDES.forEach(({ flag, path, type }) => {
+    if (values[flag] !== undefined) {
+      overrides[path] = convertValue(type, values[flag], `--${flag}`);
+    } else if (env[envName(flag)]) {
+      overrides[path] = convertValue(type, env[envName(flag)], `环境变量 ${envName(flag)}`);
+    }
+  });
+
+  return {
+    command:    values['check-config'] ? 'check' : 'serve',
+    configPath: values.config || env[`${ENV_PREFIX}CONFIG`] || undefined,
+    overrides,
+  };
+}
+
+module.exports = { parseCommandLine, HELP_TEXT };
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * 命令行测试客户端（server.js client <url>）
+ * - 连接 ws:// 或 wss:// 地址，将收到的每一帧写到标准输出：文本原样输出，二进制以十六进制输出
+ * - 标准输入的每一行作为一条文本消息发送（空行忽略）；标准输入结束或收到 SIGINT 时正常关闭连接
+ * - 连接状态（已连接、关闭码、错误）写到标准错误，便于将标准输出重定向到文件或管道
+ */
+
+const readline  = require('readline');
+const WebSocket = require('ws');
+
+/**
+ * 连接服务端并交互，连接关闭后 resolve 退出码
+ * @param {object}   options
+ * @param {string}   options.url
+ * @param {boolean}  options.insecure  - 是否跳过服务端证书校验
+ * @param {string[]} options.protocols - 请求的子协议
+ * @param {Object<string, string>} options.headers - 附加的请求头
+ * @param {stream.Readable} [options.input]  - 默认为标准输入
+ * @param {stream.Writable} [options.output] - 默认为标准输出
+ * @param {stream.Writable} [options.status] - 默认为标准错误
+ * @returns {Promise<number>} 正常关闭（1000 / 1005 或由本端发起关闭）时为 0，否则为 1
+ */
+function runClient({
+  url, insecure, protocols, headers,
+  input = process.stdin, output = process.stdout, status = process.stderr,
+}) {
+  return new Promise((resolve) => {
+    let closing = false;
+    let lines   = null;
+
+    const socket = new WebSocket(url, protocols, { headers, rejectUnauthorized: !insecure });
+
+    /**
+     * 由本端发起关闭
+     */
+    function closeSocket() {
+      if (closing) return;
+      closing = true;
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.close(1000);
+      } else {
+        socket.terminate();
+      }
+    }
+
+    socket.on('open', () => {
+      status.write(`* 已连接 ${url}${socket.protocol ? `（子协议：${socket.protocol}）` : ''}\n`);
+      lines = readline.createInterface({ input, terminal: false });
+      lines.on('line', (line) => {
+        if (line.trim() === '' || socket.readyState !== WebSocket.OPEN) return;
+        socket.send(line);
+      });
+      lines.on('close', closeSocket);
+    });
+
+    socket.on('message', (data, isBinary) => {
+      output.write(isBinary ? `[二进制 ${data.length} 字节] ${data.toString('hex')}\n` : `${data.toString('utf8')}\n`);
+    });
+
+    // 握手被拒绝（HTTP 401 / 403 / 404 等）、证书校验失败、连接中断等
+    socket.on('error', (err) => {
+      status.write(`* 连接错误：${err.message}\n`);
+    });
+
+    socket.on('close', (code, reason) => {
+      const exitCode = closing || code === 1000 || code === 1005 ? 0 : 1;
+      closing = true;
+      if (lines) lines.close();
+      process.removeListener('SIGINT', closeSocket);
+      status.write(`* 连接已关闭（关闭码：${code}${reason.length > 0 ? `，原因：${reason.toString('utf8')}` : ''}）\n`);
+      resolve(exitCode);
+    });
+
+    process.on('SIGINT', closeSocket);
+  });
+}
+
+module.exports = { runClient };
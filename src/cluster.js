@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * 集群模块（多实例水平扩展）
+ * - 通过背板（src/backplane.js）在节点之间转发广播、跨节点定向消息、送达回执与管理操作（踢出）
+ * - 防环路：每个信封携带来源节点 ID，节点忽略自己发出的信封；收到的广播只投递给本节点客户端，不再转发
+ * - 节点状态：每个节点定期（heartbeatInterval）及在线客户端变化时发布自身的客户端列表，
+ *   其他节点据此汇总集群在线人数与客户端列表；超过 nodeTimeout 未收到状态的节点视为离线
+ * - 消息数据：文本消息以字符串传递，二进制消息以 base64 传递
+ */
+
+const os = require('os');
+
+const { createBackplane } = require('./backplane');
+
+// 在线客户端变化后发布状态的防抖时间（毫秒）
+const STATE_DEBOUNCE_MS = 200;
+
+/**
+ * 生成默认节点 ID（主机名 + 进程号）
+ * @returns {string}
+ */
+function defaultNodeId() {
+  return `${os.hostname()}-${process.pid}`.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * 创建集群
+ * @param {object}   options
+ * @param {object}   options.settings     - cluster 配置
+ * @param {number}   options.maxPayload   - 单条消息最大字节数（用于限制信封大小）
+ * @param {object}   options.logger
+ * @param {Function} options.snapshot     - () => 本节点在线客户端列表（纯数据对象数组）
+ * @param {object}   options.handlers     - 收到其他节点的信封时的处理函数：
+ *   broadcast({ node, group, room, senderId, senderLabel, data, isBinary })、
+ *   direct({ node, targetId, senderId, senderLabel, outgoing })、receipt({ node, senderId, msgId, recipientId })、
+ *   kick({ node, targetId, reason })
+ * @param {Function} [options.onTraffic]  - 信封收发回调 (direction, type)，direction 为 'in' / 'out'（用于运行指标）
+ * @returns {object}
+ */
+function createCluster({ settings, maxPayload, logger, snapshot, handlers, onTraffic }) {
+  const nodeId = settings.nodeId || defaultNodeId();
+
+  // Map: 其他节点 ID → { clients, lastSeen }
+  const nodes = new Map();
+
+  let stateTimer = null;
+  let closed     = false;
+
+  // 背板不可用（信封被丢弃）时只记录一次警告，恢复后重置
+  let publishFailing = false;
+
+  const backplane = createBackplane({
+    settings,
+    nodeId,
+    // base64 编码后约为原大小的 4/3，另留出信封字段的余量
+    maxLineBytes: Math.ceil(maxPayload * 4 / 3) + 64 * 1024,
+    logger,
+    onMessage:   receive,
+    onConnected: () => scheduleAnnounce(),
+  });
+
+  /**
+   * 发布信封（自动附带本节点 ID）
+   * @param {object} envelope
+   */
+  function publish(envelope) {
+    if (closed) return;
+    const ok = backplane.publish(Object.assign({ node: nodeId }, envelope));
+    if (ok) {
+      publishFailing = false;
+      if (onTraffic) onTraffic('out', envelope.type);
+    } else if (!publishFailing && envelope.type !== 'state' && envelope.type !== 'leave') {
+      publishFailing = true;
+      logger.warn('集群背板不可用，消息未能转发给其他节点（仅投递给本节点客户端）');
+    }
+  }
+
+  /**
+   * 发布本节点状态
+   */
+  function announce() {
+    clearTimeout(stateTimer);
+    stateTimer = null;
+    publish({ type: 'state', clients: snapshot() });
+  }
+
+  /**
+   * 移除超时未更新状态的节点
+   */
+  function expireNodes() {
+    const deadline = Date.now() - settings.nodeTimeout;
+    nodes.forEach((entry, id) => {
+      if (entry.lastSeen < deadline) {
+        nodes.delete(id);
+        logger.warn(`集群节点离线（${settings.nodeTimeout / 1000} 秒未收到状态）→ 节点：${id}`, { event: 'cluster_node_down', node: id });
+      }
+    });
+  }
+
+  /**
+   * 处理其他节点发来的信封
+   * @param {object} envelope
+   */
+  function receive(envelope) {
+    // 忽略自己发出的信封（Redis 频道会回送给发布者）与发给其他节点的信封
+    if (closed || typeof envelope.node !== 'string' || envelope.node === nodeId) return;
+    if (envelope.to !== undefined && envelope.to !== nodeId) return;
+    if (onTraffic) onTraffic('in', envelope.type);
+
+    const known = nodes.get(envelope.node);
+    if (known) known.lastSeen = Date.now();
+
+    switch (envelope.type) {
+      case 'state': {
+        if (!Array.isArray(envelope.clients)) return;
+        if (!known) {
+          logger.info(`集群节点上线 → 节点：${envelope.node}，在线：${envelope.clients.length} 人`, { event: 'cluster_node_up', node: envelope.node });
+          // 让新节点尽快获知本节点状态
+          scheduleAnnounce();
+        }
+        nodes.set(envelope.node, { clients: envelope.clients, lastSeen: Date.now() });
+        break;
+      }
+      case 'leave':
+        if (nodes.delete(envelope.node)) {
+          logger.info(`集群节点已退出 → 节点：${envelope.node}`, { event: 'cluster_node_down', node: envelope.node });
+        }
+        break;
+      case 'broadcast':
+        handlers.broadcast({
+          node:        envelope.node,
+          group:       envelope.group === undefined ? null : envelope.group,
+          room:        envelope.room === undefined ? null : envelope.room,
+          senderId:    envelope.senderId || null,
+          senderLabel: String(envelope.senderLabel || '未知'),
+          isBinary:    Boolean(envelope.binary),
+          data:        Buffer.from(String(envelope.data || ''), envelope.binary ? 'base64' : 'utf8'),
+        });
+        break;
+      case 'direct':
+        handlers.direct({
+          node:        envelope.node,
+          targetId:    envelope.targetId,
+          senderId:    envelope.senderId || null,
+          senderLabel: String(envelope.senderLabel || '未知'),
+          outgoing:    String(envelope.outgoing),
+        });
+        break;
+      case 'receipt':
+        handlers.receipt({
+          node:        envelope.node,
+          senderId:    envelope.senderId,
+          msgId:       envelope.msgId,
+          recipientId: envelope.recipientId,
+        });
+        break;
+      case 'kick':
+        handlers.kick({ node: envelope.node, targetId: envelope.targetId, reason: envelope.reason });
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 安排一次状态发布（防抖）
+   */
+  function scheduleAnnounce() {
+    if (closed || stateTimer) return;
+    stateTimer = setTimeout(announce, STATE_DEBOUNCE_MS);
+  }
+
+  const heartbeatTimer = setInterval(() => {
+    expireNodes();
+    announce();
+  }, settings.heartbeatInterval);
+  heartbeatTimer.unref();
+
+  announce();
+
+  return {
+    /** 本节点 ID */
+    nodeId,
+
+    /**
+     * 将本节点客户端发起的广播转发给其他节点
+     * @param {object}        options
+     * @param {string|null}   options.group       - 发送方分组（管理接口广播为 null，表示全部分组）
+     * @param {string|null}   options.room        - 目标房间（房间外广播为 null）
+     * @param {string|null}   options.senderId    - 发送方客户端 ID
+     * @param {string}        options.senderLabel - 发送方描述（用于日志）
+     * @param {Buffer|string} options.data        - 消息数据（注入序号之前的原始消息）
+     * @param {boolean}       options.isBinary
+     */
+    publishBroadcast({ group, room, senderId, senderLabel, data, isBinary }) {
+      publish({
+        type:   'broadcast',
+        group,
+        room,
+        senderId,
+        senderLabel,
+        binary: Boolean(isBinary),
+        data:   isBinary ? Buffer.from(data).toString('base64') : data.toString('utf8'),
+      });
+    },
+
+    /**
+     * 向其他节点上的客户端发送定向消息
+     * @param {string} node     - 目标节点 ID
+     * @param {object} message  - { targetId, senderId, senderLabel, outgoing }
+     */
+    sendDirect(node, message) {
+      publish(Object.assign({ type: 'direct', to: node }, message));
+    },
+
+    /**
+     * 将接收方的送达回执转发给发送方所在节点
+     * @param {string} node    - 发送方所在节点 ID
+     * @param {object} receipt - { senderId, msgId, recipientId }
+     */
+    sendReceipt(node, receipt) {
+      publish(Object.assign({ type: 'receipt', to: node }, receipt));
+    },
+
+    /**
+     * 请求其他节点踢出客户端
+     * @param {string} node
+     * @param {string} targetId
+     * @param {string} [reason]
+     */
+    kick(node, targetId, reason) {
+      publish({ type: 'kick', to: node, targetId, reason });
+    },
+
+    /** 本节点在线客户端变化后调用，稍后发布最新状态 */
+    markDirty: scheduleAnnounce,
+
+    /**
+     * 在其他节点上按客户端 ID 或名称查找（ID 优先）
+     * @param {string}      key
+     * @param {string|null} group - 限定分组，null 表示不限
+     * @returns {{ node: string, client: object }|undefined}
+     */
+    findClient(key, group) {
+      expireNodes();
+      let byName;
+      for (const [id, entry] of nodes) {
+        for (const client of entry.clients) {
+          if (group !== null && client.group !== group) continue;
+          if (client.id === key) return { node: id, client };
+          if (!byName && client.name === key) byName = { node: id, client };
+        }
+      }
+      return byName;
+    },
+
+    /**
+     * 其他节点上是否有以该鉴权身份连接的客户端
+     * @param {string} identity - 鉴权身份名称
+     * @returns {boolean}
+     */
+    hasIdentity(identity) {
+      expireNodes();
+      for (const entry of nodes.values()) {
+        if (entry.clients.some((client) => client.identity === identity)) return true;
+      }
+      return false;
+    },
+
+    /**
+     * 其他节点上的全部在线客户端（附带 node 字段）
+     * @returns {object[]}
+     */
+    remoteClients() {
+      expireNodes();
+      const list = [];
+      nodes.forEach((entry, id) => {
+        entry.clients.forEach((client) => list.push(Object.assign({}, client, { node: id })));
+      });
+      return list;
+    },
+
+    /**
+     * 其他节点上的在线人数
+     * @returns {number}
+     */
+    remoteCount() {
+      expireNodes();
+      let count = 0;
+      nodes.forEach((entry) => { count += entry.clients.length; });
+      return count;
+    },
+
+    /**
+     * 集群节点列表（含本节点）
+     * @param {number} localOnline - 本节点在线人数
+     * @returns {Array<{ id: string, self: boolean, online: number, lastSeen: string|null }>}
+     */
+    describeNodes(localOnline) {
+      expireNodes();
+      const list = [{ id: nodeId, self: true, online: localOnline, lastSeen: null }];
+      nodes.forEach((entry, id) => {
+        list.push({ id, self: false, online: entry.clients.length, lastSeen: new Date(entry.lastSeen).toISOString() });
+      });
+      return list;
+    },
+
+    /**
+     * 背板描述（用于日志）
+     * @returns {string}
+     */
+    describe() {
+      return backplane.describe();
+    },
+
+    /**
+     * 通知其他节点本节点退出，并关闭背板
+     */
+    close() {
+      if (closed) return;
+      publish({ type: 'leave' });
+      closed = true;
+      clearTimeout(stateTimer);
+      clearInterval(heartbeatTimer);
+      backplane.close();
+    },
+  };
+}
+
+module.exports = { createCluster };
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * 消息压缩模块（permessage-deflate）
+ * - 将 compression 配置转换为 ws 的 perMessageDeflate 选项
+ * - 统计每个连接收发的消息字节数（压缩前）与线路字节数（WebSocket 帧，压缩后），
+ *   汇总为压缩比供日志、管理接口与运行指标使用，便于调整压缩参数
+ * - 发送的消息字节数由服务端发送消息的各处（出站缓冲管理器、控制消息回复）调用 countSent() 计入，不改动 socket 对象
+ */
+
+/**
+ * 将 compression 配置转换为 WebSocket.Server 的 perMessageDeflate 选项
+ * @param {object} settings - compression 配置
+ * @returns {object|false} 未启用时返回 false
+ */
+function buildDeflateOptions(settings) {
+  if (!settings.enabled) return false;
+  return {
+    threshold:               settings.threshold,
+    concurrencyLimit:        settings.concurrencyLimit,
+    serverMaxWindowBits:     settings.serverMaxWindowBits,
+    clientMaxWindowBits:     settings.clientMaxWindowBits,
+    serverNoContextTakeover: settings.serverNoContextTakeover,
+    clientNoContextTakeover: settings.clientNoContextTakeover,
+    zlibDeflateOptions:      { level: settings.level },
+  };
+}
+
+/**
+ * 计算收到的消息数据的字节数
+ * @param {*} data - ws 'message' 事件的数据
+ * @returns {number}
+ */
+function byteLengthOf(data) {
+  if (typeof data === 'string') return Buffer.byteLength(data);
+  if (data && typeof data.byteLength === 'number') return data.byteLength;
+  return 0;
+}
+
+/**
+ * 计算压缩比（线路字节数 / 消息字节数），无数据时返回 null
+ * @param {number} wire
+ * @param {number} payload
+ * @returns {number|null}
+ */
+function ratioOf(wire, payload) {
+  return payload > 0 ? Math.round((wire / payload) * 1000) / 1000 : null;
+}
+
+/**
+ * 创建压缩统计器
+ * @param {object}   options
+ * @param {Function} [options.onBytes] - 字节数增量回调 (kind, direction, bytes)，
+ *   kind 为 'payload' / 'wire'，direction 为 'in' / 'out'（用于运行指标）
+ * @returns {{ track: Function, countSent: Function, collect: Function, summary: Function }}
+ */
+function createCompressionStats({ onBytes } = {}) {
+  // 全部连接（含已断开）的累计值
+  const totals = { payloadIn: 0, payloadOut: 0, wireIn: 0, wireOut: 0 };
+
+  // 在线连接的统计状态
+  const tracked = new Set();
+
+  // WeakMap: WebSocket → 统计状态（连接关闭后随 socket 一并回收）
+  const states = new WeakMap();
+
+  /**
+   * 将连接新增的线路字节数计入累计值
+   * @param {object} state
+   */
+  function sample(state) {
+    const wireIn  = state.rawSocket.bytesRead - state.baseRead;
+    const wireOut = state.rawSocket.bytesWritten - state.baseWritten;
+    add('wire', 'in', wireIn - state.wireIn);
+    add('wire', 'out', wireOut - state.wireOut);
+    state.wireIn  = wireIn;
+    state.wireOut = wireOut;
+  }
+
+  /**
+   * 累加字节数并通知回调
+   * @param {string} kind
+   * @param {string} direction
+   * @param {number} bytes
+   */
+  function add(kind, direction, bytes) {
+    if (bytes <= 0) return;
+    totals[kind + (direction === 'in' ? 'In' : 'Out')] += bytes;
+    if (onBytes) onBytes(kind, direction, bytes);
+  }
+
+  /**
+   * 开始统计一个连接（握手完成后调用）
+   * 线路字节数取自底层 TCP / TLS 连接的收发计数（扣除握手请求与响应）
+   * @param {WebSocket}  socket
+   * @param {net.Socket} rawSocket - 升级请求的底层连接（req.socket）
+   * @returns {{ stats: Function, close: Function }}
+   */
+  function track(socket, rawSocket) {
+    const state = {
+      rawSocket,
+      baseRead:    rawSocket.bytesRead,
+      baseWritten: rawSocket.bytesWritten,
+      payloadIn:   0,
+      payloadOut:  0,
+      wireIn:      0,
+      wireOut:     0,
+    };
+    tracked.add(state);
+    states.set(socket, state);
+
+    socket.on('message', (data) => {
+      const bytes = byteLengthOf(data);
+      state.payloadIn += bytes;
+      add('payload', 'in', bytes);
+    });
+
+    return {
+      /**
+       * 当前连接的统计值
+       * @returns {{ compressed: boolean, payloadIn: number, payloadOut: number, wireIn: number, wireOut: number,
+       *             ratioIn: number|null, ratioOut: number|null }}
+       */
+      stats() {
+        sample(state);
+        return {
+          compressed: socket.extensions.includes('permessage-deflate'),
+          payloadIn:  state.payloadIn,
+          payloadOut: state.payloadOut,
+          wireIn:     state.wireIn,
+          wireOut:    state.wireOut,
+          ratioIn:    ratioOf(state.wireIn, state.payloadIn),
+          ratioOut:   ratioOf(state.wireOut, state.payloadOut),
+        };
+      },
+
+      /** 连接关闭时调用：计入最后的线路字节数并停止统计 */
+      close() {
+        sample(state);
+        tracked.delete(state);
+        states.delete(socket);
+      },
+    };
+  }
+
+  /**
+   * 计入一条交给连接发送的消息（广播、定向、控制消息等，压缩前的字节数）
+   * @param {WebSocket} socket
+   * @param {number}    bytes
+   */
+  function countSent(socket, bytes) {
+    const state = states.get(socket);
+    if (!state) return;
+    state.payloadOut += bytes;
+    add('payload', 'out', bytes);
+  }
+
+  /**
+   * 计入全部在线连接新增的线路字节数（输出指标或汇总前调用）
+   */
+  function collect() {
+    tracked.forEach(sample);
+  }
+
+  /**
+   * 全部连接的累计统计
+   * @returns {{ payloadIn: number, payloadOut: number, wireIn: number, wireOut: number,
+   *             ratioIn: number|null, ratioOut: number|null }}
+   */
+  function summary() {
+    collect();
+    return Object.assign({}, totals, {
+      ratioIn:  ratioOf(totals.wireIn, totals.payloadIn),
+      ratioOut: ratioOf(totals.wireOut, totals.payloadOut),
+    });
+  }
+
+  return { track, countSent, collect, summary };
+}
+
+module.exports = { buildDeflateOptions, createCompressionStats };
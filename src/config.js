@@ -2,17 +2,43 @@
 
 /**
  * 配置加载模块
- * - 读取并解析 config.json
+ * - 读取并解析 config.json（可指定其他路径），命令行参数 / 环境变量可覆盖部分配置项
  * - 将证书路径、日志路径等相对路径解析为绝对路径
  * - 兼容 pkg 打包后的运行环境
  * - 校验必填字段合法性
  */
 
 const fs   = require('fs');
+const net  = require('net');
 const path = require('path');
 
+const { compileSchema }  = require('./schema');
+const { isValidAltName } = require('./selfsigned');
+
 // 无需 mode 枚举，改用 ws.enabled / wss.enabled 布尔值控制
 
+// 消息超限时的处理方式：drop（丢弃）、warn（丢弃并通知客户端）、close（以 1008 关闭连接）
+const RATE_LIMIT_ACTIONS = ['drop', 'warn', 'close'];
+
+// 慢速客户端处理策略：drop-oldest（丢弃最旧的待发消息）、drop-new（丢弃新消息）、disconnect（断开连接）
+const BACKPRESSURE_POLICIES = ['drop-oldest', 'drop-new', 'disconnect'];
+
+// 连接模式：broadcast（收发）、ingest（只上报，不接收广播）、subscribe（只接收，不能发送业务消息）
+const CONNECTION_MODES = ['broadcast', 'ingest', 'subscribe'];
+
+// 消息处理管道阶段类型：filter（按消息类型过滤）、schema（JSON Schema 校验）、
+// strip（删除字段）、inject（注入字段）、module（加载本地 JS 模块）
+const PIPELINE_STAGE_TYPES = ['filter', 'schema', 'strip', 'inject', 'module'];
+
+// 消息类型过滤不通过时的处理方式：reject（回复错误）、drop（静默丢弃）
+const FILTER_ACTIONS = ['reject', 'drop'];
+
+// 集群背板类型：redis（Redis 发布 / 订阅）、mesh（节点之间直接建立 TCP 连接）
+const BACKPLANE_TYPES = ['redis', 'mesh'];
+
+// WSS 客户端证书校验模式：none（不请求）、request（请求但可不提供）、require（必须提供）
+const CLIENT_AUTH_MODES = ['none', 'request', 'require'];
+
 /**
  * 获取程序运行时的根目录
  * - 打包为 exe 后：exe 所在目录
@@ -38,13 +64,566 @@ function resolveFromRoot(relativePath) {
 }
 
 /**
- * 加载并返回配置对象
- * @returns {object} 解析后的配置
+ * 解析一组证书凭据（证书、私钥、中间证书链、私钥口令），路径解析为绝对路径
+ * @param {object} raw      - 含 cert / key / chain / passphrase 字段的对象
+ * @param {object} defaults - cert / key 的默认路径
+ * @returns {{ cert: string, key: string, chain: string|null, passphrase: string }}
+ */
+function parseTlsCredentials(raw, defaults = {}) {
+  return {
+    cert:       resolveFromRoot(raw.cert || defaults.cert || ''),
+    key:        resolveFromRoot(raw.key  || defaults.key  || ''),
+    chain:      raw.chain ? resolveFromRoot(raw.chain) : null,
+    passphrase: raw.passphrase || '',
+  };
+}
+
+/**
+ * 解析并校验 tls 配置段
+ * @param {object} rawTls - config.json 中的 tls 字段
+ * @returns {object} 规范化后的 TLS 配置
+ */
+function parseTlsConfig(rawTls) {
+  const tls = Object.assign(
+    parseTlsCredentials(rawTls, { cert: 'cacerts/cacert.pem', key: 'cacerts/privkey.pem' }),
+    {
+      // 按 SNI 主机名选择的额外证书：[{ hostname, cert, key, chain?, passphrase? }]
+      sni: [],
+      watch:             rawTls.watch !== false,
+      expiryWarningDays: nonNegativeInt(rawTls.expiryWarningDays, 30, 'tls.expiryWarningDays'),
+      clientAuth:        rawTls.clientAuth || 'none',
+      // 用于校验客户端证书的 CA 证书文件（字符串或数组）
+      clientCa:          [].concat(rawTls.clientCa || []).map(resolveFromRoot),
+      selfSigned:        parseSelfSignedConfig(rawTls.selfSigned || {}),
+    }
+  );
+
+  if (!CLIENT_AUTH_MODES.includes(tls.clientAuth)) {
+    throw new Error(`配置项 tls.clientAuth 必须为 ${CLIENT_AUTH_MODES.join(' / ')} 之一`);
+  }
+  if (tls.clientAuth !== 'none' && tls.clientCa.length === 0) {
+    throw new Error('已启用客户端证书校验（tls.clientAuth），但未配置 tls.clientCa');
+  }
+
+  if (rawTls.sni !== undefined && !Array.isArray(rawTls.sni)) {
+    throw new Error('配置项 tls.sni 必须为数组');
+  }
+  (rawTls.sni || []).forEach((entry, index) => {
+    const hostname = entry && typeof entry.hostname === 'string' ? entry.hostname.trim().toLowerCase() : '';
+    if (!hostname || hostname.indexOf('*', 1) !== -1 || (hostname.startsWith('*') && !hostname.startsWith('*.'))) {
+      throw new Error(`配置项 tls.sni[${index}].hostname 非法：应为主机名或 *.example.com 形式的通配符`);
+    }
+    if (!entry.cert || !entry.key) {
+      throw new Error(`配置项 tls.sni[${index}] 缺少 cert 或 key`);
+    }
+    tls.sni.push(Object.assign({ hostname }, parseTlsCredentials(entry)));
+  });
+
+  return tls;
+}
+
+/**
+ * 解析并校验 tls.selfSigned（证书缺失时自动生成自签名证书）
+ * @param {object} raw - config.json 中的 tls.selfSigned 字段
+ * @returns {{ enabled: boolean, commonName: string, altNames: string[], days: number }}
+ */
+function parseSelfSignedConfig(raw) {
+  const selfSigned = {
+    enabled:    Boolean(raw.enabled),
+    commonName: raw.commonName === undefined ? 'localhost' : raw.commonName,
+    altNames:   raw.altNames === undefined ? ['localhost', '127.0.0.1', '::1'] : raw.altNames,
+    days:       nonNegativeInt(raw.days, 825, 'tls.selfSigned.days'),
+  };
+  if (typeof selfSigned.commonName !== 'string' || selfSigned.commonName.length === 0 || selfSigned.commonName.length > 64) {
+    throw new Error('配置项 tls.selfSigned.commonName 必须为 1～64 个字符的字符串');
+  }
+  if (!Array.isArray(selfSigned.altNames)) {
+    throw new Error('配置项 tls.selfSigned.altNames 必须为数组');
+  }
+  selfSigned.altNames.forEach((name, index) => {
+    if (!isValidAltName(name)) {
+      throw new Error(`配置项 tls.selfSigned.altNames[${index}] 必须为主机名（可带 *. 前缀）或 IP 地址`);
+    }
+  });
+  if (selfSigned.days === 0) {
+    throw new Error('配置项 tls.selfSigned.days 必须大于 0');
+  }
+  return selfSigned;
+}
+
+/**
+ * 校验 TLS 配置中引用的文件是否全部存在
+ * 启用 tls.selfSigned 时，默认证书与私钥都不存在视为合法（启动 WSS 时生成）；只缺其一时仍报错，避免覆盖已有文件
+ * @param {object} tls - parseTlsConfig() 的返回值
+ */
+function checkTlsFiles(tls) {
+  [tls].concat(tls.sni).forEach((entry) => {
+    const label = entry.hostname ? `（SNI：${entry.hostname}）` : '';
+    if (entry === tls && tls.selfSigned.enabled) {
+      const certExists = fs.existsSync(entry.cert);
+      const keyExists  = fs.existsSync(entry.key);
+      if (!certExists && !keyExists) return;
+      if (!certExists || !keyExists) {
+        throw new Error(
+          `已启用 tls.selfSigned，但${certExists ? `私钥文件不存在：${entry.key}` : `证书文件不存在：${entry.cert}`}；` +
+          '为避免覆盖已有文件不会自动生成，请删除另一文件或补齐后重试'
+        );
+      }
+    }
+    if (!fs.existsSync(entry.cert)) {
+      throw new Error(`TLS 证书文件不存在${label}：${entry.cert}`);
+    }
+    if (!fs.existsSync(entry.key)) {
+      throw new Error(`TLS 私钥文件不存在${label}：${entry.key}`);
+    }
+    if (entry.chain && !fs.existsSync(entry.chain)) {
+      throw new Error(`TLS 证书链文件不存在${label}：${entry.chain}`);
+    }
+  });
+  tls.clientCa.forEach((file) => {
+    if (!fs.existsSync(file)) {
+      throw new Error(`客户端 CA 证书文件不存在：${file}`);
+    }
+  });
+}
+
+/**
+ * 解析并校验 auth（握手鉴权）配置段
+ * @param {object} rawAuth - config.json 中的 auth 字段
+ * @returns {object} 规范化后的鉴权配置
+ */
+function parseAuthConfig(rawAuth) {
+  const rawJwt = rawAuth.jwt || {};
+
+  const auth = {
+    enabled:        Boolean(rawAuth.enabled),
+    methods:        Array.isArray(rawAuth.methods) ? rawAuth.methods : ['apiKey', 'jwt'],
+    queryParam:     rawAuth.queryParam || 'token',
+    protocolPrefix: rawAuth.protocolPrefix || 'token.',
+    // API Key 支持两种写法："key" 或 { "name": "...", "key": "..." }
+    apiKeys: (Array.isArray(rawAuth.apiKeys) ? rawAuth.apiKeys : []).map((entry, index) => (
+      typeof entry === 'string'
+        ? { name: `apiKey#${index + 1}`, key: entry }
+        : { name: entry.name || `apiKey#${index + 1}`, key: entry.key }
+    )),
+    jwt: {
+      secret:         rawJwt.secret || '',
+      publicKey:      '',
+      algorithms:     Array.isArray(rawJwt.algorithms) ? rawJwt.algorithms : ['HS256'],
+      issuer:         rawJwt.issuer || '',
+      audience:       rawJwt.audience || '',
+      clockTolerance: rawJwt.clockTolerance !== undefined ? Number(rawJwt.clockTolerance) : 30,
+      identityClaim:  rawJwt.identityClaim || 'sub',
+    },
+  };
+
+  if (!auth.enabled) {
+    return auth;
+  }
+
+  const unknown = auth.methods.filter((m) => m !== 'apiKey' && m !== 'jwt');
+  if (auth.methods.length === 0 || unknown.length > 0) {
+    throw new Error('配置项 auth.methods 只能包含 "apiKey" 和 / 或 "jwt"，且不能为空');
+  }
+
+  if (auth.methods.includes('apiKey')) {
+    if (auth.apiKeys.length === 0) {
+      throw new Error('已启用 apiKey 鉴权，但 auth.apiKeys 为空');
+    }
+    if (auth.apiKeys.some((entry) => typeof entry.key !== 'string' || entry.key.length === 0)) {
+      throw new Error('配置项 auth.apiKeys 中存在空密钥');
+    }
+  }
+
+  if (auth.methods.includes('jwt')) {
+    // 公钥以 PEM 文件路径配置，启动时读取
+    if (rawJwt.publicKey) {
+      const keyPath = resolveFromRoot(rawJwt.publicKey);
+      try {
+        auth.jwt.publicKey = fs.readFileSync(keyPath, 'utf8');
+      } catch (err) {
+        throw new Error(`JWT 公钥文件读取失败：${keyPath}（${err.message}）`);
+      }
+    }
+    if (!auth.jwt.secret && !auth.jwt.publicKey) {
+      throw new Error('已启用 jwt 鉴权，但未配置 auth.jwt.secret 或 auth.jwt.publicKey');
+    }
+  }
+
+  return auth;
+}
+
+/**
+ * 读取非负整数配置项，未配置时返回默认值
+ * @param {*}      value    - 原始值
+ * @param {number} fallback - 默认值
+ * @param {string} field    - 字段名（用于错误信息）
+ * @returns {number}
+ */
+function nonNegativeInt(value, fallback, field) {
+  if (value === undefined || value === null) return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw new Error(`配置项 ${field} 必须为非负整数`);
+  }
+  return num;
+}
+
+/**
+ * 解析并校验 trustedProxies（可信代理）列表
+ * 每项为 IP 地址或 CIDR 网段（如 "10.0.0.0/8"、"::1"），不带前缀长度时视为单个地址
+ * @param {*} rawList - config.json 中的 trustedProxies 字段
+ * @returns {Array<{ address: string, prefix: number, family: string }>}
+ */
+function parseTrustedProxies(rawList) {
+  if (rawList === undefined || rawList === null) return [];
+  if (!Array.isArray(rawList)) {
+    throw new Error('配置项 trustedProxies 必须为数组');
+  }
+  return rawList.map((item) => {
+    const [address, prefixStr] = String(item).trim().split('/');
+    const version = net.isIP(address);
+    if (version === 0) {
+      throw new Error(`配置项 trustedProxies 中的地址无效：${item}`);
+    }
+    const maxPrefix = version === 4 ? 32 : 128;
+    const prefix = prefixStr === undefined ? maxPrefix : (/^\d+$/.test(prefixStr) ? Number(prefixStr) : NaN);
+    if (!Number.isInteger(prefix) || prefix > maxPrefix) {
+      throw new Error(`配置项 trustedProxies 中的前缀长度无效：${item}`);
+    }
+    return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+  });
+}
+
+/**
+ * 解析并校验 upgrade（升级请求准入）配置段
+ * @param {object} rawUpgrade - config.json 中的 upgrade 字段
+ * @returns {{ paths: Array<{ path: string, mode: string }>, origins: string[], allowNoOrigin: boolean,
+ *             subprotocols: string[], requireSubprotocol: boolean }}
+ */
+function parseUpgradeConfig(rawUpgrade) {
+  ['paths', 'origins', 'subprotocols'].forEach((field) => {
+    if (rawUpgrade[field] !== undefined && !Array.isArray(rawUpgrade[field])) {
+      throw new Error(`配置项 upgrade.${field} 必须为数组`);
+    }
+  });
+
+  // 路径：字符串（broadcast 模式）或 { path, mode }
+  const paths = (rawUpgrade.paths || []).map((item) => {
+    const entry = typeof item === 'string' ? { path: item } : (item || {});
+    const route = { path: entry.path, mode: entry.mode || 'broadcast' };
+    if (typeof route.path !== 'string' || !route.path.startsWith('/')) {
+      throw new Error(`配置项 upgrade.paths 中的路径必须以 / 开头：${JSON.stringify(item)}`);
+    }
+    if (!CONNECTION_MODES.includes(route.mode)) {
+      throw new Error(`配置项 upgrade.paths 中 ${route.path} 的 mode 必须为 ${CONNECTION_MODES.join(' / ')} 之一`);
+    }
+    return route;
+  });
+  const seen = new Set();
+  paths.forEach(({ path: routePath }) => {
+    if (seen.has(routePath)) {
+      throw new Error(`配置项 upgrade.paths 中的路径重复：${routePath}`);
+    }
+    seen.add(routePath);
+  });
+
+  // Origin：精确匹配、"*" 或 "scheme://*.domain[:port]" 通配（比较时不区分大小写）
+  const origins = (rawUpgrade.origins || []).map((item) => {
+    const origin = String(item).trim().toLowerCase();
+    if (origin !== '*' && !/^[a-z][a-z0-9+.-]*:\/\/(\*\.)?[^/*]+$/.test(origin)) {
+      throw new Error(`配置项 upgrade.origins 中的来源无效：${item}`);
+    }
+    return origin;
+  });
+
+  const subprotocols = (rawUpgrade.subprotocols || []).map((item) => {
+    if (typeof item !== 'string' || item.trim() === '' || /[\s,]/.test(item)) {
+      throw new Error(`配置项 upgrade.subprotocols 中的子协议无效：${JSON.stringify(item)}`);
+    }
+    return item;
+  });
+
+  const requireSubprotocol = Boolean(rawUpgrade.requireSubprotocol);
+  if (requireSubprotocol && subprotocols.length === 0) {
+    throw new Error('启用 upgrade.requireSubprotocol 时必须配置 upgrade.subprotocols');
+  }
+
+  return {
+    paths,
+    origins,
+    allowNoOrigin: rawUpgrade.allowNoOrigin !== false,
+    subprotocols,
+    requireSubprotocol,
+  };
+}
+
+/**
+ * 读取字符串数组形式的配置项
+ * @param {*}      value
+ * @param {string} field - 配置项名称（用于错误信息）
+ * @returns {string[]|null} 未配置时返回 null
+ */
+function stringList(value, field) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.every((item) => typeof item === 'string' && item !== '')) {
+    throw new Error(`配置项 ${field} 必须为非空字符串数组`);
+  }
+  return value;
+}
+
+/**
+ * 解析并校验 pipeline（消息处理管道）配置
+ * schema 阶段的 schema 可内联为对象，或为 JSON 文件路径（相对于程序根目录），加载时读取并编译检查；
+ * module 阶段的模块路径解析为绝对路径，模块本身由 src/pipeline.js 加载
+ * @param {*} rawList - config.json 中的 pipeline 字段
+ * @returns {object[]} 规范化后的阶段配置列表
+ */
+function parsePipelineConfig(rawList) {
+  if (rawList === undefined || rawList === null) return [];
+  if (!Array.isArray(rawList)) {
+    throw new Error('配置项 pipeline 必须为数组');
+  }
+
+  return rawList.map((item, index) => {
+    const field = `pipeline[${index}]`;
+    const raw = item || {};
+    if (!PIPELINE_STAGE_TYPES.includes(raw.type)) {
+      throw new Error(`配置项 ${field}.type 必须为 ${PIPELINE_STAGE_TYPES.join(' / ')} 之一`);
+    }
+    if (raw.name !== undefined && (typeof raw.name !== 'string' || raw.name === '')) {
+      throw new Error(`配置项 ${field}.name 必须为非空字符串`);
+    }
+    const stage = { type: raw.type, name: raw.name || raw.type };
+
+    switch (raw.type) {
+      case 'filter': {
+        stage.field  = raw.field || 'type';
+        stage.allow  = stringList(raw.allow, `${field}.allow`);
+        stage.deny   = stringList(raw.deny, `${field}.deny`) || [];
+        stage.action = raw.action || 'reject';
+        if (!stage.allow && stage.deny.length === 0) {
+          throw new Error(`配置项 ${field} 至少需配置 allow 或 deny 之一`);
+        }
+        if (!FILTER_ACTIONS.includes(stage.action)) {
+          throw new Error(`配置项 ${field}.action 必须为 ${FILTER_ACTIONS.join(' / ')} 之一`);
+        }
+        break;
+      }
+      case 'schema': {
+        if (typeof raw.schema === 'string') {
+          const file = resolveFromRoot(raw.schema);
+          try {
+            stage.schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+          } catch (err) {
+            throw new Error(`配置项 ${field}.schema 指定的文件读取失败：${err.message}`);
+          }
+        } else if (raw.schema !== null && typeof raw.schema === 'object') {
+          stage.schema = raw.schema;
+        } else {
+          throw new Error(`配置项 ${field}.schema 必须为 JSON Schema 对象或 schema 文件路径`);
+        }
+        try {
+          compileSchema(stage.schema);
+        } catch (err) {
+          throw new Error(`配置项 ${field}.schema 无效：${err.message}`);
+        }
+        stage.messageTypes = stringList(raw.messageTypes, `${field}.messageTypes`);
+        break;
+      }
+      case 'strip': {
+        stage.fields = stringList(raw.fields, `${field}.fields`);
+        if (!stage.fields) {
+          throw new Error(`配置项 ${field}.fields 必须为非空字符串数组`);
+        }
+        break;
+      }
+      case 'inject': {
+        ['timestamp', 'senderId', 'senderName'].forEach((key) => {
+          if (raw[key] !== undefined && (typeof raw[key] !== 'string' || raw[key] === '')) {
+            throw new Error(`配置项 ${field}.${key} 必须为非空字符串（注入的字段名）`);
+          }
+          stage[key] = raw[key] || null;
+        });
+        if (raw.fields !== undefined && (raw.fields === null || typeof raw.fields !== 'object' || Array.isArray(raw.fields))) {
+          throw new Error(`配置项 ${field}.fields 必须为对象`);
+        }
+        stage.fields = raw.fields || {};
+        break;
+      }
+      case 'module': {
+        if (typeof raw.path !== 'string' || raw.path === '') {
+          throw new Error(`配置项 ${field}.path 必须为模块文件路径`);
+        }
+        stage.path = resolveFromRoot(raw.path);
+        if (!fs.existsSync(stage.path)) {
+          throw new Error(`配置项 ${field}.path 指定的模块不存在：${stage.path}`);
+        }
+        stage.options = raw.options !== undefined ? raw.options : {};
+        if (raw.name === undefined) stage.name = path.basename(stage.path, path.extname(stage.path));
+        break;
+      }
+      default:
+        break;
+    }
+    return stage;
+  });
+}
+
+/**
+ * 读取监听端口配置项，仅在未配置（undefined）时使用默认值
+ * 0 表示由系统分配空闲端口，实际端口见 start() 的返回值
+ * @param {*}      value    - 原始值
+ * @param {number} fallback - 默认端口
+ * @param {string} field    - 字段名（用于错误信息）
+ * @returns {number}
+ */
+function listenPort(value, fallback, field) {
+  if (value === undefined) return fallback;
+  const port = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!(Number.isInteger(port) && port >= 0 && port < 65536)) {
+    throw new Error(`配置项 ${field} 必须为 0～65535 之间的整数（0 表示由系统分配）`);
+  }
+  return port;
+}
+
+/**
+ * 解析 "host:port" 形式的地址（IPv6 写作 "[addr]:port"）
+ * @param {*}      value
+ * @param {string} field - 配置项名称（用于错误信息）
+ * @returns {{ host: string, port: number }}
+ */
+function parseHostPort(value, field) {
+  const match = /^(?:\[([^\]]+)\]|([^:\s]+)):(\d{1,5})$/.exec(String(value).trim());
+  const port = match ? Number(match[3]) : 0;
+  if (!match || port <= 0 || port >= 65536) {
+    throw new Error(`配置项 ${field} 中的地址无效（应为 "主机:端口"）：${value}`);
+  }
+  return { host: match[1] || match[2], port };
+}
+
+/**
+ * 解析并校验 cluster（集群）配置段
+ * @param {object} rawCluster - config.json 中的 cluster 字段
+ * @returns {object} 规范化后的集群配置
+ */
+function parseClusterConfig(rawCluster) {
+  const rawRedis = rawCluster.redis || {};
+  const rawMesh  = rawCluster.mesh || {};
+  const cluster = {
+    enabled:           Boolean(rawCluster.enabled),
+    nodeId:            rawCluster.nodeId ? String(rawCluster.nodeId) : '',
+    backplane:         rawCluster.backplane || 'redis',
+    heartbeatInterval: nonNegativeInt(rawCluster.heartbeatInterval, 5000, 'cluster.heartbeatInterval'),
+    nodeTimeout:       nonNegativeInt(rawCluster.nodeTimeout, 15000, 'cluster.nodeTimeout'),
+    redis: {
+      host:     rawRedis.host || '127.0.0.1',
+      port:     rawRedis.port !== undefined ? Number(rawRedis.port) : 6379,
+      password: rawRedis.password ? String(rawRedis.password) : '',
+      channel:  rawRedis.channel ? String(rawRedis.channel) : 'cbws',
+    },
+    mesh: {
+      host:   rawMesh.host || '0.0.0.0',
+      port:   rawMesh.port !== undefined ? Number(rawMesh.port) : 9480,
+      peers:  [],
+      secret: rawMesh.secret ? String(rawMesh.secret) : '',
+    },
+  };
+
+  if (!BACKPLANE_TYPES.includes(cluster.backplane)) {
+    throw new Error(`配置项 cluster.backplane 必须为 ${BACKPLANE_TYPES.join(' / ')} 之一`);
+  }
+  if (cluster.nodeId !== '' && !/^[A-Za-z0-9._-]{1,64}$/.test(cluster.nodeId)) {
+    throw new Error('配置项 cluster.nodeId 只能包含字母、数字、点、下划线和连字符，且不超过 64 个字符');
+  }
+  if (cluster.heartbeatInterval === 0) {
+    throw new Error('配置项 cluster.heartbeatInterval 必须大于 0');
+  }
+  if (cluster.nodeTimeout <= cluster.heartbeatInterval) {
+    throw new Error('配置项 cluster.nodeTimeout 必须大于 cluster.heartbeatInterval');
+  }
+  ['redis', 'mesh'].forEach((section) => {
+    const port = cluster[section].port;
+    if (!(Number.isInteger(port) && port > 0 && port < 65536)) {
+      throw new Error(`配置项 cluster.${section}.port 必须为 1～65535 之间的整数`);
+    }
+  });
+
+  if (rawMesh.peers !== undefined && !Array.isArray(rawMesh.peers)) {
+    throw new Error('配置项 cluster.mesh.peers 必须为数组');
+  }
+  cluster.mesh.peers = (rawMesh.peers || []).map((item) => parseHostPort(item, 'cluster.mesh.peers'));
+
+  if (cluster.enabled && cluster.backplane === 'mesh' && !cluster.mesh.secret) {
+    throw new Error('集群使用 mesh 背板时必须配置 cluster.mesh.secret');
+  }
+
+  return cluster;
+}
+
+/**
+ * 解析并校验 log（日志）配置段
+ * @param {object} rawLog - config.json 中的 log 字段
+ * @returns {object} 规范化后的日志配置
  */
-function loadConfig() {
-  // 配置文件路径：运行根目录下的 config.json
-  const configPath = resolveFromRoot('config.json');
+function parseLogConfig(rawLog) {
+  const log = {
+    dir:           resolveFromRoot(rawLog.dir || 'logs'),
+    format:        rawLog.format || 'text',
+    level:         rawLog.level || 'info',
+    console:       rawLog.console !== undefined ? Boolean(rawLog.console) : true,
+    maxSize:       nonNegativeInt(rawLog.maxSize, 10 * 1024 * 1024, 'log.maxSize'), // 10 MB
+    rotateDaily:   rawLog.rotateDaily !== undefined ? Boolean(rawLog.rotateDaily) : true,
+    maxFiles:      nonNegativeInt(rawLog.maxFiles, 30, 'log.maxFiles'),
+    maxAgeDays:    nonNegativeInt(rawLog.maxAgeDays, 0, 'log.maxAgeDays'),
+    flushInterval: nonNegativeInt(rawLog.flushInterval, 1000, 'log.flushInterval'),
+  };
 
+  if (log.format !== 'text' && log.format !== 'json') {
+    throw new Error('配置项 log.format 只能为 "text" 或 "json"');
+  }
+  if (!['debug', 'info', 'warn', 'error'].includes(log.level)) {
+    throw new Error('配置项 log.level 只能为 "debug"、"info"、"warn" 或 "error"');
+  }
+  if (log.flushInterval === 0) {
+    throw new Error('配置项 log.flushInterval 必须大于 0');
+  }
+
+  return log;
+}
+
+/**
+ * 获取配置文件的绝对路径（运行根目录下的 config.json）
+ * @returns {string}
+ */
+function getConfigPath() {
+  return resolveFromRoot('config.json');
+}
+
+/**
+ * 将覆盖项（命令行参数、环境变量）写入原始配置对象，不修改传入的对象
+ * @param {object} raw
+ * @param {Object<string, *>} overrides - 配置路径（"section.field"，如 "ws.port"）→ 值
+ * @returns {object}
+ */
+function applyOverrides(raw, overrides) {
+  const result = Object.assign({}, raw);
+  Object.keys(overrides).forEach((key) => {
+    const [section, field] = key.split('.');
+    const current = result[section] !== null && typeof result[section] === 'object' ? result[section] : {};
+    result[section] = Object.assign({}, current, { [field]: overrides[key] });
+  });
+  return result;
+}
+
+/**
+ * 读取配置文件并返回配置对象
+ * 热重载时同样调用本函数，校验失败会抛出异常，由调用方保留原配置
+ * @param {string} [configPath] - 配置文件路径，默认为运行根目录下的 config.json
+ * @param {Object<string, *>} [overrides] - 覆盖配置文件的配置项，见 applyOverrides()
+ * @returns {object} 解析后的配置
+ */
+function loadConfig(configPath = getConfigPath(), overrides = {}) {
   if (!fs.existsSync(configPath)) {
     throw new Error(`找不到配置文件：${configPath}`);
   }
@@ -56,20 +635,40 @@ function loadConfig() {
     throw new Error(`配置文件解析失败：${err.message}`);
   }
 
+  return parseConfig(raw, overrides);
+}
+
+/**
+ * 校验原始配置对象（config.json 的内容）并补全默认值
+ * 以库的形式嵌入时可直接传入配置对象，校验失败会抛出异常
+ * @param {object} raw
+ * @param {Object<string, *>} [overrides] - 覆盖的配置项，见 applyOverrides()
+ * @returns {object} 解析后的配置
+ */
+function parseConfig(raw, overrides = {}) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('配置必须为 JSON 对象');
+  }
+  raw = applyOverrides(raw, overrides);
+
   // ── 字段校验 ──────────────────────────────────────────────────
 
-  // WS 配置（enabled 默认为 true）
+  // WS 配置（enabled 默认为 true；isolated 默认为 false，即与 WSS 客户端互通）
   const ws = {
-    enabled: raw.ws && raw.ws.enabled !== undefined ? Boolean(raw.ws.enabled) : true,
-    host:    (raw.ws && raw.ws.host) || '0.0.0.0',
-    port:    (raw.ws && Number(raw.ws.port)) || 8070,
+    enabled:  raw.ws && raw.ws.enabled !== undefined ? Boolean(raw.ws.enabled) : true,
+    host:     (raw.ws && raw.ws.host) || '0.0.0.0',
+    port:     listenPort(raw.ws && raw.ws.port, 8070, 'ws.port'),
+    isolated: Boolean(raw.ws && raw.ws.isolated),
+    proxyProtocol: Boolean(raw.ws && raw.ws.proxyProtocol),
   };
 
-  // WSS 配置（enabled 默认为 true）
+  // WSS 配置（enabled 默认为 true；isolated 默认为 false）
   const wss = {
-    enabled: raw.wss && raw.wss.enabled !== undefined ? Boolean(raw.wss.enabled) : true,
-    host:    (raw.wss && raw.wss.host) || '0.0.0.0',
-    port:    (raw.wss && Number(raw.wss.port)) || 8071,
+    enabled:  raw.wss && raw.wss.enabled !== undefined ? Boolean(raw.wss.enabled) : true,
+    host:     (raw.wss && raw.wss.host) || '0.0.0.0',
+    port:     listenPort(raw.wss && raw.wss.port, 8071, 'wss.port'),
+    isolated: Boolean(raw.wss && raw.wss.isolated),
+    proxyProtocol: Boolean(raw.wss && raw.wss.proxyProtocol),
   };
 
   // 至少启用一种协议
@@ -77,11 +676,18 @@ function loadConfig() {
     throw new Error('配置错误：ws.enabled 和 wss.enabled 不能同时为 false，至少需启用一种协议');
   }
 
-  // TLS 证书路径（解析为绝对路径）
-  const tls = {
-    cert: resolveFromRoot((raw.tls && raw.tls.cert) || 'cacerts/cacert.pem'),
-    key:  resolveFromRoot((raw.tls && raw.tls.key)  || 'cacerts/privkey.pem'),
-  };
+  // 可信代理（仅来自这些地址的 X-Forwarded-For / PROXY 头被采信）
+  const trustedProxies = parseTrustedProxies(raw.trustedProxies);
+
+  if ((ws.proxyProtocol || wss.proxyProtocol) && trustedProxies.length === 0) {
+    throw new Error('启用 ws.proxyProtocol / wss.proxyProtocol 时必须配置 trustedProxies');
+  }
+
+  // 升级请求准入（路径、Origin、子协议）
+  const upgrade = parseUpgradeConfig(raw.upgrade || {});
+
+  // TLS 证书配置（路径解析为绝对路径）
+  const tls = parseTlsConfig(raw.tls || {});
 
   // 单条消息最大字节数（默认 10 MB）
   const maxPayload = (raw.maxPayload !== undefined)
@@ -98,22 +704,204 @@ function loadConfig() {
     timeout:  (raw.heartbeat && Number(raw.heartbeat.timeout))  || 30000,
   };
 
+  // 超时不大于发送间隔时，每轮检查都会清理尚未来得及响应的健康连接
+  if (heartbeat.timeout <= heartbeat.interval) {
+    throw new Error('配置项 heartbeat.timeout 必须大于 heartbeat.interval');
+  }
+
+  // 房间配置
+  const rooms = {
+    maxPerClient: (raw.rooms && raw.rooms.maxPerClient !== undefined)
+      ? Number(raw.rooms.maxPerClient)
+      : 20,
+  };
+
+  if (!Number.isInteger(rooms.maxPerClient) || rooms.maxPerClient <= 0) {
+    throw new Error('配置项 rooms.maxPerClient 必须为正整数');
+  }
+
+  // 在线状态配置：上下线事件推送与在线列表查询
+  const rawPresence = raw.presence || {};
+  const presence = {
+    events:    Boolean(rawPresence.events),
+    roster:    Boolean(rawPresence.roster),
+    includeIp: Boolean(rawPresence.includeIp),
+  };
+
+  // 历史消息配置（断线重连后补发错过的广播）
+  const rawHistory = raw.history || {};
+  const history = {
+    enabled: Boolean(rawHistory.enabled),
+    size:    rawHistory.size !== undefined ? Number(rawHistory.size) : 1000,
+    maxAge:  nonNegativeInt(rawHistory.maxAge, 5 * 60 * 1000, 'history.maxAge'),
+    perRoom: rawHistory.perRoom !== false,
+    file:    rawHistory.file ? resolveFromRoot(rawHistory.file) : null,
+  };
+
+  if (!Number.isInteger(history.size) || history.size <= 0) {
+    throw new Error('配置项 history.size 必须为正整数');
+  }
+
+  // 离线消息队列配置（鉴权身份离线期间的消息存盘，重新连接后补发）
+  const rawOffline = raw.offlineQueue || {};
+  const offlineQueue = {
+    enabled:       Boolean(rawOffline.enabled),
+    dir:           resolveFromRoot(rawOffline.dir || 'queue'),
+    maxMessages:   nonNegativeInt(rawOffline.maxMessages, 1000, 'offlineQueue.maxMessages'),
+    maxBytes:      nonNegativeInt(rawOffline.maxBytes, 1024 * 1024, 'offlineQueue.maxBytes'), // 1 MB
+    maxIdentities: nonNegativeInt(rawOffline.maxIdentities, 1000, 'offlineQueue.maxIdentities'),
+    maxTotalBytes: nonNegativeInt(rawOffline.maxTotalBytes, 64 * 1024 * 1024, 'offlineQueue.maxTotalBytes'), // 64 MB
+    ttl:           nonNegativeInt(rawOffline.ttl, 24 * 60 * 60 * 1000, 'offlineQueue.ttl'),
+    forgetAfter:   nonNegativeInt(rawOffline.forgetAfter, 7 * 24 * 60 * 60 * 1000, 'offlineQueue.forgetAfter'),
+  };
+  ['maxMessages', 'maxBytes', 'maxIdentities', 'maxTotalBytes'].forEach((key) => {
+    if (offlineQueue[key] === 0) {
+      throw new Error(`配置项 offlineQueue.${key} 必须大于 0`);
+    }
+  });
+
+  // 限流配置（各项为 0 表示不限）
+  const rawLimit = raw.rateLimit || {};
+  const rateLimit = {
+    messagesPerSecond:   nonNegativeInt(rawLimit.messagesPerSecond, 0, 'rateLimit.messagesPerSecond'),
+    messageBurst:        nonNegativeInt(rawLimit.messageBurst, 0, 'rateLimit.messageBurst'),
+    bytesPerSecond:      nonNegativeInt(rawLimit.bytesPerSecond, 0, 'rateLimit.bytesPerSecond'),
+    bytesBurst:          nonNegativeInt(rawLimit.bytesBurst, 0, 'rateLimit.bytesBurst'),
+    action:              rawLimit.action || 'drop',
+    maxConnectionsPerIp: nonNegativeInt(rawLimit.maxConnectionsPerIp, 0, 'rateLimit.maxConnectionsPerIp'),
+    maxConnections:      nonNegativeInt(rawLimit.maxConnections, 0, 'rateLimit.maxConnections'),
+  };
+
+  if (!RATE_LIMIT_ACTIONS.includes(rateLimit.action)) {
+    throw new Error(`配置项 rateLimit.action 必须为 ${RATE_LIMIT_ACTIONS.join(' / ')} 之一`);
+  }
+
+  // 出站缓冲配置（慢速客户端处理，单位：字节）
+  const rawBackpressure = raw.backpressure || {};
+  const backpressure = {
+    highWaterMark: rawBackpressure.highWaterMark !== undefined ? Number(rawBackpressure.highWaterMark) : 1024 * 1024,
+    policy:        rawBackpressure.policy || 'drop-oldest',
+    maxQueueBytes: rawBackpressure.maxQueueBytes !== undefined ? Number(rawBackpressure.maxQueueBytes) : 4 * 1024 * 1024,
+  };
+
+  if (!Number.isInteger(backpressure.highWaterMark) || backpressure.highWaterMark <= 0) {
+    throw new Error('配置项 backpressure.highWaterMark 必须为正整数（单位：字节）');
+  }
+  if (!Number.isInteger(backpressure.maxQueueBytes) || backpressure.maxQueueBytes <= 0) {
+    throw new Error('配置项 backpressure.maxQueueBytes 必须为正整数（单位：字节）');
+  }
+  if (!BACKPRESSURE_POLICIES.includes(backpressure.policy)) {
+    throw new Error(`配置项 backpressure.policy 必须为 ${BACKPRESSURE_POLICIES.join(' / ')} 之一`);
+  }
+
+  // 消息压缩配置（permessage-deflate）
+  const rawCompression = raw.compression || {};
+  const compression = {
+    enabled:                 Boolean(rawCompression.enabled),
+    threshold:               nonNegativeInt(rawCompression.threshold, 1024, 'compression.threshold'),
+    level:                   rawCompression.level !== undefined ? Number(rawCompression.level) : 6,
+    serverMaxWindowBits:     rawCompression.serverMaxWindowBits !== undefined ? Number(rawCompression.serverMaxWindowBits) : 15,
+    clientMaxWindowBits:     rawCompression.clientMaxWindowBits !== undefined ? Number(rawCompression.clientMaxWindowBits) : 15,
+    serverNoContextTakeover: Boolean(rawCompression.serverNoContextTakeover),
+    clientNoContextTakeover: Boolean(rawCompression.clientNoContextTakeover),
+    concurrencyLimit:        rawCompression.concurrencyLimit !== undefined ? Number(rawCompression.concurrencyLimit) : 10,
+  };
+
+  if (!Number.isInteger(compression.level) || compression.level < 0 || compression.level > 9) {
+    throw new Error('配置项 compression.level 必须为 0 ~ 9 的整数');
+  }
+  ['serverMaxWindowBits', 'clientMaxWindowBits'].forEach((field) => {
+    if (!Number.isInteger(compression[field]) || compression[field] < 8 || compression[field] > 15) {
+      throw new Error(`配置项 compression.${field} 必须为 8 ~ 15 的整数`);
+    }
+  });
+  if (!Number.isInteger(compression.concurrencyLimit) || compression.concurrencyLimit <= 0) {
+    throw new Error('配置项 compression.concurrencyLimit 必须为正整数');
+  }
+
+  // 消息处理配置
+  const rawMessages = raw.messages || {};
+  const rawAcks = rawMessages.acks || {};
+  const messages = {
+    normalizeJson: Boolean(rawMessages.normalizeJson),
+    // 业务消息字节数上限（0 表示只受 maxPayload 限制）：超出时拒绝该消息而不断开连接
+    maxBytes:      nonNegativeInt(rawMessages.maxBytes, 0, 'messages.maxBytes'),
+    // 消息确认与送达回执
+    acks: {
+      enabled:        Boolean(rawAcks.enabled),
+      receiptTimeout: nonNegativeInt(rawAcks.receiptTimeout, 10000, 'messages.acks.receiptTimeout'),
+      maxPending:     nonNegativeInt(rawAcks.maxPending, 100, 'messages.acks.maxPending'),
+    },
+  };
+  if (messages.maxBytes > maxPayload) {
+    throw new Error('配置项 messages.maxBytes 不能大于 maxPayload');
+  }
+  if (messages.acks.receiptTimeout === 0) {
+    throw new Error('配置项 messages.acks.receiptTimeout 必须大于 0');
+  }
+  if (messages.acks.maxPending === 0) {
+    throw new Error('配置项 messages.acks.maxPending 必须大于 0');
+  }
+
+  // 消息处理管道（按顺序执行的校验 / 转换阶段）
+  const pipeline = parsePipelineConfig(raw.pipeline);
+
+  // 握手鉴权配置
+  const auth = parseAuthConfig(raw.auth || {});
+
+  // HTTP 管理接口配置（port 为 null 时挂载在 WS / WSS 监听端口上）
+  const rawAdmin = raw.admin || {};
+  const admin = {
+    enabled: Boolean(rawAdmin.enabled),
+    token:   rawAdmin.token || '',
+    host:    rawAdmin.host || '127.0.0.1',
+    port:    rawAdmin.port === null ? null : listenPort(rawAdmin.port, null, 'admin.port'),
+  };
+
+  if (admin.enabled) {
+    if (!admin.token) {
+      throw new Error('已启用管理接口，但未配置 admin.token');
+    }
+  }
+
+  // Prometheus 指标接口配置（port 为 null 时挂载在 WS / WSS 监听端口上）
+  const rawMetrics = raw.metrics || {};
+  const metrics = {
+    enabled: Boolean(rawMetrics.enabled),
+    host:    rawMetrics.host || '0.0.0.0',
+    port:    rawMetrics.port === null ? null : listenPort(rawMetrics.port, 9470, 'metrics.port'),
+    path:    rawMetrics.path || '/metrics',
+  };
+
+  if (metrics.enabled) {
+    if (!metrics.path.startsWith('/')) {
+      throw new Error('配置项 metrics.path 必须以 / 开头');
+    }
+  }
+
+  // 集群配置（多实例水平扩展）
+  const cluster = parseClusterConfig(raw.cluster || {});
+
   // 日志配置
-  const log = {
-    dir: resolveFromRoot((raw.log && raw.log.dir) || 'logs'),
+  const log = parseLogConfig(raw.log || {});
+
+  // 配置热重载（watch 为 true 时监听 config.json 变化；SIGHUP 信号始终触发重载）
+  const reload = {
+    watch: !(raw.reload && raw.reload.watch === false),
   };
 
+  // 离线队列以鉴权身份为键：所有连接都必须经过握手鉴权（或在仅启用 WSS 时强制校验客户端证书），
+  // 否则客户端可自选名称冒领他人的队列
+  if (offlineQueue.enabled && !auth.enabled && !(tls.clientAuth === 'require' && !ws.enabled)) {
+    throw new Error('已启用 offlineQueue，但客户端身份未经鉴权：须启用 auth.enabled，或仅启用 WSS 并将 tls.clientAuth 设为 require');
+  }
+
   // WSS 启用时校验证书文件是否存在
   if (wss.enabled) {
-    if (!fs.existsSync(tls.cert)) {
-      throw new Error(`TLS 证书文件不存在：${tls.cert}`);
-    }
-    if (!fs.existsSync(tls.key)) {
-      throw new Error(`TLS 私钥文件不存在：${tls.key}`);
-    }
+    checkTlsFiles(tls);
   }
 
-  return { ws, wss, tls, maxPayload, heartbeat, log };
+  return { ws, wss, trustedProxies, upgrade, tls, maxPayload, heartbeat, rooms, presence, history, offlineQueue, rateLimit, backpressure, compression, messages, pipeline, auth, admin, metrics, cluster, log, reload };
 }
 
-module.exports = { loadConfig };
+module.exports = { loadConfig, parseConfig, getConfigPath };
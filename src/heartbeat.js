@@ -7,6 +7,8 @@
  * - 收到 pong 后标记该连接为存活
  * - 超过 heartbeat.timeout 毫秒未响应的连接视为"僵尸连接"并强制断开
  * - 仅在清理僵尸连接时记录一条警告日志，ping/pong 本身不记录日志
+ * - 记录每个连接最近一次响应（pong）的时间，供管理接口查询
+ * - 支持运行时调整 interval / timeout（配置热重载），已登记的连接不受影响
  */
 
 const WebSocket = require('ws');
@@ -17,10 +19,12 @@ const WebSocket = require('ws');
  * @param {number}   options.interval  - ping 发送间隔（毫秒）
  * @param {number}   options.timeout   - 无响应超时时间（毫秒）
  * @param {object}   options.logger    - 日志模块实例（含 warn / error 方法）
- * @returns {{ register: Function, unregister: Function, start: Function, stop: Function }}
+ * @param {Function} [options.onReap]  - 清理僵尸连接时的回调 (socket) => void（用于运行指标）
+ * @returns {{ register: Function, unregister: Function, start: Function, stop: Function,
+ *             markAlive: Function, getStatus: Function, reconfigure: Function }}
  */
-function createHeartbeatManager({ interval, timeout, logger }) {
-  // Map: ws 实例 → { isAlive: boolean, lastPingSentAt: number, ip: string }
+function createHeartbeatManager({ interval, timeout, logger, onReap }) {
+  // Map: ws 实例 → { isAlive: boolean, lastPingSentAt: number, lastPongAt: number, ip: string }
   const clientMap = new Map();
 
   // 定时器句柄
@@ -33,15 +37,11 @@ function createHeartbeatManager({ interval, timeout, logger }) {
    */
   function register(socket, ip) {
     // 首次注册时标记为存活
-    clientMap.set(socket, { isAlive: true, lastPingSentAt: Date.now(), ip });
+    const now = Date.now();
+    clientMap.set(socket, { isAlive: true, lastPingSentAt: now, lastPongAt: now, ip });
 
     // 监听 pong 帧：收到即标记为存活
-    socket.on('pong', () => {
-      const entry = clientMap.get(socket);
-      if (entry) {
-        entry.isAlive = true;
-      }
-    });
+    socket.on('pong', () => markAlive(socket));
   }
 
   /**
@@ -56,44 +56,70 @@ function createHeartbeatManager({ interval, timeout, logger }) {
    * 启动心跳定时检查
    * 逻辑：
    *  1. 每隔 interval 毫秒执行一次检查
-   *  2. 将上一轮存活的连接重置为"待确认"状态（isAlive = false），然后发送 ping
-   *  3. 下一轮检查时，若 isAlive 仍为 false，说明超过 timeout 未响应，强制断开
+   *  2. 将上一轮存活的连接重置为"待确认"状态（isAlive = false）并记录时间，然后发送 ping
+   *  3. 之后的检查中，若 isAlive 仍为 false 且距首次未获响应的 ping 已超过 timeout，强制断开；
+   *     未超时则再次发送 ping（不重置计时）
    */
   function start() {
     if (timer) return; // 防止重复启动
+    timer = setInterval(tick, interval);
+  }
 
-    timer = setInterval(() => {
-      const now = Date.now();
-
-      clientMap.forEach((entry, socket) => {
-        // 若上一轮 ping 发出后至今未收到 pong，且超过 timeout，则清理
-        if (!entry.isAlive && (now - entry.lastPingSentAt) >= timeout) {
-          logger.warn(
-            `僵尸连接已清理 → 客户端 IP：${entry.ip}，` +
-            `距上次响应已超过 ${Math.round((now - entry.lastPingSentAt) / 1000)} 秒`
-          );
-          clientMap.delete(socket);
-          try {
-            socket.terminate(); // 强制断开，不发送 close 帧
-          } catch (_) {
-            // 连接可能已经断开，忽略错误
-          }
-          return;
+  /**
+   * 执行一轮心跳检查
+   */
+  function tick() {
+    const now = Date.now();
+
+    clientMap.forEach((entry, socket) => {
+      // 若上一轮 ping 发出后至今未收到 pong，且超过 timeout，则清理
+      if (!entry.isAlive && (now - entry.lastPingSentAt) >= timeout) {
+        logger.warn(
+          `僵尸连接已清理 → 客户端 IP：${entry.ip}，` +
+          `距上次响应已超过 ${Math.round((now - entry.lastPingSentAt) / 1000)} 秒`,
+          { event: 'zombie_reaped', ip: entry.ip }
+        );
+        clientMap.delete(socket);
+        if (onReap) onReap(socket);
+        try {
+          socket.terminate(); // 强制断开，不发送 close 帧
+        } catch (_) {
+          // 连接可能已经断开，忽略错误
         }
+        return;
+      }
 
-        // 将连接标记为"待确认"，然后发送 ping
+      // 将存活的连接标记为"待确认"并从此刻开始计时，然后发送 ping；仍在等待响应的连接继续计时
+      if (entry.isAlive) {
         entry.isAlive = false;
         entry.lastPingSentAt = now;
+      }
 
-        try {
-          if (socket.readyState === WebSocket.OPEN) {
-            socket.ping(); // 发送原生 ping 帧
-          }
-        } catch (err) {
-          logger.error(`向客户端 ${entry.ip} 发送心跳包时出错：${err.message}`);
+      try {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.ping(); // 发送原生 ping 帧
         }
-      });
-    }, interval);
+      } catch (err) {
+        logger.error(`向客户端 ${entry.ip} 发送心跳包时出错：${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * 调整心跳间隔与超时时间（配置热重载时调用）
+   * 定时器运行中时以新间隔重新启动，连接记录保持不变
+   * @param {object} options
+   * @param {number} options.interval - 新的 ping 发送间隔（毫秒）
+   * @param {number} options.timeout  - 新的无响应超时时间（毫秒）
+   */
+  function reconfigure(options) {
+    const changed = options.interval !== interval;
+    interval = options.interval;
+    timeout  = options.timeout;
+    if (timer && changed) {
+      clearInterval(timer);
+      timer = setInterval(tick, interval);
+    }
   }
 
   /**
@@ -117,10 +143,22 @@ function createHeartbeatManager({ interval, timeout, logger }) {
     const entry = clientMap.get(socket);
     if (entry) {
       entry.isAlive = true;
+      entry.lastPongAt = Date.now();
     }
   }
 
-  return { register, unregister, start, stop, markAlive };
+  /**
+   * 查询某连接的心跳状态
+   * @param {WebSocket} socket
+   * @returns {{ isAlive: boolean, lastPingSentAt: number, lastPongAt: number }|undefined}
+   */
+  function getStatus(socket) {
+    const entry = clientMap.get(socket);
+    if (!entry) return undefined;
+    return { isAlive: entry.isAlive, lastPingSentAt: entry.lastPingSentAt, lastPongAt: entry.lastPongAt };
+  }
+
+  return { register, unregister, start, stop, markAlive, getStatus, reconfigure };
 }
 
 module.exports = { createHeartbeatManager };
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * 历史消息模块
+ * - 在内存中保留最近广播的消息（环形缓冲），按条数（history.size）和时长（history.maxAge）淘汰
+ * - 每条广播消息分配全局单调递增的序号（seq），由主程序注入到 JSON 消息中
+ * - perRoom 为 true 时每个房间（及房间外的普通广播）各自拥有独立缓冲区，互不挤占
+ * - 客户端断线重连后可发送 resume 请求，取回指定序号之后错过的消息；
+ *   所需消息已被淘汰时返回 complete: false，告知客户端缺口无法补齐
+ * - 可选持久化到本地文件（history.file），服务重启后继续使用原有序号与缓冲内容
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+// 持久化文件定时写盘间隔（毫秒）
+const PERSIST_INTERVAL_MS = 1000;
+
+// 房间外的普通广播在 perRoom 模式下使用的缓冲区键
+const GLOBAL_KEY = '';
+
+/**
+ * 创建历史消息缓冲
+ * @param {object}  options
+ * @param {number}  options.size    - 每个缓冲区最多保留的消息条数
+ * @param {number}  options.maxAge  - 消息最长保留时间（毫秒），0 表示不限
+ * @param {boolean} options.perRoom - 是否按房间分别缓冲
+ * @param {string|null} options.file - 持久化文件绝对路径，null 表示不持久化
+ * @param {object}  options.logger  - 日志模块实例
+ * @returns {{ nextSeq: Function, record: Function, since: Function, reconfigure: Function,
+ *             close: Function, latestSeq: number }}
+ */
+function createHistory({ size, maxAge, perRoom, file, logger }) {
+  // 最近分配的序号
+  let lastSeq = 0;
+
+  // Map: 缓冲区键 → { entries: [{ seq, time, room, group, data }], evictedUpTo: number }
+  // evictedUpTo 为该缓冲区已淘汰的最大序号，用于判断缺口能否补齐
+  const buffers = new Map();
+
+  // 已删除（淘汰为空）的缓冲区中最大的淘汰序号，查询不存在的缓冲区时作为保守估计
+  let droppedUpTo = 0;
+
+  let dirty        = false;
+  let persistTimer = null;
+
+  // 串行写盘链，保证快照按顺序落盘
+  let writeChain   = Promise.resolve();
+
+  /**
+   * 计算消息所属的缓冲区键
+   * @param {string|null} room
+   * @returns {string}
+   */
+  function keyOf(room) {
+    if (!perRoom) return GLOBAL_KEY;
+    return room === null ? GLOBAL_KEY : `room:${room}`;
+  }
+
+  /**
+   * 获取（或创建）缓冲区
+   * @param {string} key
+   * @returns {{ entries: object[], evictedUpTo: number }}
+   */
+  function bufferOf(key) {
+    let buffer = buffers.get(key);
+    if (!buffer) {
+      buffer = { entries: [], evictedUpTo: 0 };
+      buffers.set(key, buffer);
+    }
+    return buffer;
+  }
+
+  /**
+   * 按条数与时长淘汰缓冲区中的旧消息，缓冲区为空时删除
+   * @param {string} key
+   * @param {{ entries: object[], evictedUpTo: number }} buffer
+   */
+  function prune(key, buffer) {
+    const expireAt = maxAge > 0 ? Date.now() - maxAge : -Infinity;
+    let removeCount = Math.max(0, buffer.entries.length - size);
+    while (removeCount < buffer.entries.length && buffer.entries[removeCount].time < expireAt) {
+      removeCount++;
+    }
+    if (removeCount > 0) {
+      buffer.evictedUpTo = buffer.entries[removeCount - 1].seq;
+      buffer.entries.splice(0, removeCount);
+      dirty = true;
+    }
+    if (buffer.entries.length === 0) {
+      droppedUpTo = Math.max(droppedUpTo, buffer.evictedUpTo);
+      buffers.delete(key);
+    }
+  }
+
+  /**
+   * 分配下一个消息序号
+   * @returns {number}
+   */
+  function nextSeq() {
+    lastSeq++;
+    dirty = true;
+    return lastSeq;
+  }
+
+  /**
+   * 记录一条已广播的消息
+   * @param {object}      entry
+   * @param {number}      entry.seq   - nextSeq() 分配的序号
+   * @param {string|null} entry.room  - 房间名，房间外的广播为 null
+   * @param {string|null} entry.group - 发送方分组，管理接口广播为 null（对全部分组可见）
+   * @param {string}      entry.data  - 实际发送给客户端的消息文本
+   */
+  function record({ seq, room, group, data }) {
+    const key = keyOf(room);
+    const buffer = bufferOf(key);
+    buffer.entries.push({ seq, time: Date.now(), room, group, data });
+    dirty = true;
+    prune(key, buffer);
+  }
+
+  /**
+   * 查询指定序号之后的消息
+   * @param {number} afterSeq - 客户端已收到的最后一个序号
+   * @param {object} scope
+   * @param {string|null} scope.room  - 房间名，null 表示房间外的普通广播
+   * @param {string}      scope.group - 客户端所属分组
+   * @returns {{ messages: string[], complete: boolean, oldest: number|null, latest: number }}
+   *   complete 为 false 表示 afterSeq 之后的部分消息已被淘汰（或序号超出当前范围），无法补齐
+   */
+  function since(afterSeq, { room, group }) {
+    const key = keyOf(room);
+    const buffer = buffers.get(key);
+    if (buffer) prune(key, buffer);
+
+    const current = buffers.get(key);
+    const evictedUpTo = current ? current.evictedUpTo : droppedUpTo;
+    const visible = current
+      ? current.entries.filter((e) => e.room === room && (e.group === null || e.group === group))
+      : [];
+
+    return {
+      messages: visible.filter((e) => e.seq > afterSeq).map((e) => e.data),
+      complete: afterSeq <= lastSeq && evictedUpTo <= afterSeq,
+      oldest:   visible.length > 0 ? visible[0].seq : null,
+      latest:   lastSeq,
+    };
+  }
+
+  /**
+   * 调整条数与时长上限（配置热重载时调用），超出新上限的消息在下次写入或查询时淘汰
+   * @param {object} options
+   * @param {number} options.size
+   * @param {number} options.maxAge
+   */
+  function reconfigure(options) {
+    size   = options.size;
+    maxAge = options.maxAge;
+    buffers.forEach((buffer, key) => prune(key, buffer));
+  }
+
+  /**
+   * 生成持久化快照
+   * @returns {string}
+   */
+  function snapshot() {
+    const saved = [];
+    buffers.forEach((buffer) => saved.push({ evictedUpTo: buffer.evictedUpTo, entries: buffer.entries }));
+    return JSON.stringify({ lastSeq, droppedUpTo, buffers: saved });
+  }
+
+  /**
+   * 将快照加入写盘链（先写临时文件再重命名，避免写到一半时进程退出导致文件损坏）
+   * @returns {Promise<void>} 本次快照写盘完成后 resolve
+   */
+  function persist() {
+    if (dirty) {
+      dirty = false;
+      const data    = snapshot();
+      const tmpFile = `${file}.tmp`;
+      writeChain = writeChain
+        .then(() => fs.promises.writeFile(tmpFile, data, 'utf8'))
+        .then(() => fs.promises.rename(tmpFile, file))
+        .catch((err) => {
+          dirty = true;
+          logger.error(`历史消息持久化失败：${err.message}`);
+        });
+    }
+    return writeChain;
+  }
+
+  /**
+   * 启动时从持久化文件恢复序号与消息
+   */
+  function restore() {
+    if (!fs.existsSync(file)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      lastSeq     = Number(saved.lastSeq) || 0;
+      droppedUpTo = Number(saved.droppedUpTo) || 0;
+      let count = 0;
+      (saved.buffers || []).forEach((item) => {
+        // perRoom 设置可能在重启前后变化，按当前设置重新归类
+        item.entries.forEach((entry) => {
+          const buffer = bufferOf(keyOf(entry.room));
+          buffer.entries.push(entry);
+          buffer.evictedUpTo = Math.max(buffer.evictedUpTo, item.evictedUpTo);
+          count++;
+        });
+        if (item.entries.length === 0) {
+          droppedUpTo = Math.max(droppedUpTo, item.evictedUpTo);
+        }
+      });
+      buffers.forEach((buffer, key) => {
+        buffer.entries.sort((a, b) => a.seq - b.seq);
+        prune(key, buffer);
+      });
+      logger.info(`已从 ${file} 恢复历史消息 ${count} 条，当前序号：${lastSeq}`);
+    } catch (err) {
+      logger.warn(`历史消息文件读取失败：${err.message}，将从空缓冲开始`);
+    }
+  }
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    restore();
+    persistTimer = setInterval(persist, PERSIST_INTERVAL_MS);
+    persistTimer.unref();
+  }
+
+  return {
+    nextSeq,
+    record,
+    since,
+    reconfigure,
+
+    /**
+     * 停止定时写盘并写出最终快照（优雅关闭时调用）
+     * @returns {Promise<void>}
+     */
+    close() {
+      if (!file) return Promise.resolve();
+      clearInterval(persistTimer);
+      dirty = true;
+      return persist();
+    },
+
+    /** 最近分配的序号 */
+    get latestSeq() {
+      return lastSeq;
+    },
+  };
+}
+
+module.exports = { createHistory };
@@ -2,16 +2,43 @@
 
 /**
  * 日志模块
- * - 以程序启动时间为文件名（格式：YYYY-MM-DD_HH-mm-ss.log），存储在配置的日志目录中
+ * - 以文件创建时间为文件名（格式：YYYY-MM-DD_HH-mm-ss.log），存储在配置的日志目录中
  * - 同时输出到控制台和日志文件
- * - 提供 info / warn / error 三个级别的方法
- * - 所有日志内容使用中文描述
+ * - 提供 debug / info / warn / error 四个级别的方法，低于 log.level 的日志直接丢弃
+ * - 两种输出格式：text（中文可读文本，默认）与 json（每行一个 JSON 对象，附带结构化字段）
+ * - 文件写入为异步缓冲写：日志先进入内存缓冲区，定时或缓冲区满时批量追加，不阻塞事件循环
+ * - 按大小（log.maxSize）和日期（log.rotateDaily）滚动日志文件，按数量 / 天数清理旧文件
+ * - 支持运行时调整全部日志配置（配置热重载），日志目录变化时切换到新目录下的新文件
  * - 兼容 pkg 打包后的运行环境（使用 process.execPath 推导路径）
  */
 
 const fs   = require('fs');
 const path = require('path');
 
+// 日志级别（数值越大越严重）
+const LEVELS = {
+  debug: { value: 10, label: '【调试】' },
+  info:  { value: 20, label: '【信息】' },
+  warn:  { value: 30, label: '【警告】' },
+  error: { value: 40, label: '【错误】' },
+};
+
+// 缓冲区超过该字节数时立即写盘
+const FLUSH_THRESHOLD_BYTES = 64 * 1024;
+
+// 日志文件名格式：YYYY-MM-DD_HH-mm-ss.log 或 YYYY-MM-DD_HH-mm-ss.N.log（同一秒内多次滚动）
+const LOG_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(\.\d+)?\.log$/;
+
+/**
+ * 生成日志文件的排序键：时间戳 + 补零后的序号，保证按创建先后排序
+ * @param {string} name - 日志文件名
+ * @returns {string}
+ */
+function fileSortKey(name) {
+  const match = /^(.{19})(?:\.(\d+))?\.log$/.exec(name);
+  return `${match[1]}.${String(match[2] || 0).padStart(6, '0')}`;
+}
+
 /**
  * 获取程序运行时的根目录
  * - 打包为 exe 后：exe 所在目录
@@ -42,72 +69,314 @@ function formatTimestamp(date) {
   return `${yyyy}-${MM}-${dd}_${HH}-${mm}-${ss}`;
 }
 
+/**
+ * 获取日期对应的本地日期字符串（YYYY-MM-DD），用于按天滚动
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDay(date) {
+  return formatTimestamp(date).slice(0, 10);
+}
+
 /**
  * 创建日志实例
- * @param {string} logDir - 日志目录（绝对路径或相对于运行根目录的相对路径）
- * @returns {{ info: Function, warn: Function, error: Function, filePath: string }}
+ * @param {object}  options
+ * @param {string}  options.dir             - 日志目录（绝对路径或相对于运行根目录的相对路径）
+ * @param {string}  [options.format]        - 输出格式：'text'（默认）或 'json'
+ * @param {string}  [options.level]         - 最低记录级别：debug / info（默认）/ warn / error
+ * @param {boolean} [options.console]       - 是否同时输出到控制台（默认 true）
+ * @param {number}  [options.maxSize]       - 单个日志文件最大字节数，0 表示不限（默认 0）
+ * @param {boolean} [options.rotateDaily]   - 是否在日期变化时滚动文件（默认 false）
+ * @param {number}  [options.maxFiles]      - 最多保留的日志文件数，0 表示不限（默认 0）
+ * @param {number}  [options.maxAgeDays]    - 日志文件最长保留天数，0 表示不限（默认 0）
+ * @param {number}  [options.flushInterval] - 缓冲区定时写盘间隔（毫秒，默认 1000）
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function,
+ *             flush: Function, close: Function, reconfigure: Function, filePath: string }}
  */
-function createLogger(logDir) {
+function createLogger({
+  dir,
+  format        = 'text',
+  level         = 'info',
+  console: toConsole = true,
+  maxSize       = 0,
+  rotateDaily   = false,
+  maxFiles      = 0,
+  maxAgeDays    = 0,
+  flushInterval = 1000,
+}) {
   const root       = getRuntimeRoot();
-  const absLogDir  = path.isAbsolute(logDir) ? logDir : path.join(root, logDir);
+  let absLogDir    = resolveDir(dir);
+  let minLevel     = resolveLevel(level);
+
+  /**
+   * 将日志目录解析为绝对路径
+   * @param {string} value
+   * @returns {string}
+   */
+  function resolveDir(value) {
+    return path.isAbsolute(value) ? value : path.join(root, value);
+  }
+
+  /**
+   * 将级别名称转换为数值（未知级别按 info 处理）
+   * @param {string} value
+   * @returns {number}
+   */
+  function resolveLevel(value) {
+    return LEVELS[value] ? LEVELS[value].value : LEVELS.info.value;
+  }
 
   // 自动创建日志目录（如不存在）
   if (!fs.existsSync(absLogDir)) {
     fs.mkdirSync(absLogDir, { recursive: true });
   }
 
-  // 以启动时间为文件名
-  const startTime  = new Date();
-  const fileName   = `${formatTimestamp(startTime)}.log`;
-  const filePath   = path.join(absLogDir, fileName);
+  // 当前日志文件状态
+  let filePath    = null;
+  let fileSize    = 0;
+  let fileDay     = null;
+
+  // 待写入的日志行缓冲区
+  let buffer      = [];
+  let bufferBytes = 0;
+
+  // 串行写盘链，保证日志行按顺序落盘
+  let writeChain  = Promise.resolve();
+  let closed      = false;
+
+  /**
+   * 以当前时间为文件名打开一个新日志文件（同一秒内重复时追加序号）
+   */
+  function openNewFile() {
+    const now  = new Date();
+    const base = formatTimestamp(now);
+    let candidate = path.join(absLogDir, `${base}.log`);
+    for (let seq = 1; fs.existsSync(candidate); seq++) {
+      candidate = path.join(absLogDir, `${base}.${seq}.log`);
+    }
+    filePath = candidate;
+    fileSize = 0;
+    fileDay  = formatDay(now);
+  }
+
+  /**
+   * 按数量与天数清理旧日志文件（不删除当前文件）
+   */
+  async function cleanupOldFiles() {
+    if (maxFiles <= 0 && maxAgeDays <= 0) return;
+
+    // 当前文件始终保留，不参与清理（可能尚未写入磁盘）
+    const current = path.basename(filePath);
+    const names = (await fs.promises.readdir(absLogDir))
+      .filter((name) => LOG_FILE_PATTERN.test(name) && name !== current)
+      .sort((a, b) => (fileSortKey(a) < fileSortKey(b) ? -1 : 1));
+
+    const expireAt = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const toDelete = new Set();
+
+    // 保留数量包含当前文件
+    if (maxFiles > 0 && names.length > maxFiles - 1) {
+      names.slice(0, names.length - (maxFiles - 1)).forEach((name) => toDelete.add(name));
+    }
+
+    if (maxAgeDays > 0) {
+      for (const name of names) {
+        const stat = await fs.promises.stat(path.join(absLogDir, name)).catch(() => null);
+        if (stat && stat.mtimeMs < expireAt) {
+          toDelete.add(name);
+        }
+      }
+    }
+
+    for (const name of toDelete) {
+      await fs.promises.unlink(path.join(absLogDir, name)).catch((err) => {
+        process.stderr.write(`[日志清理失败] ${name}：${err.message}\n`);
+      });
+    }
+  }
+
+  /**
+   * 将一批日志写入文件，必要时先滚动文件
+   * @param {string} data
+   */
+  async function writeBatch(data) {
+    const bytes = Buffer.byteLength(data);
+    const needRotate =
+      (maxSize > 0 && fileSize > 0 && fileSize + bytes > maxSize) ||
+      (rotateDaily && fileDay !== formatDay(new Date()));
+
+    if (needRotate) {
+      openNewFile();
+      await cleanupOldFiles().catch((err) => {
+        process.stderr.write(`[日志清理失败] ${err.message}\n`);
+      });
+    }
+
+    await fs.promises.appendFile(filePath, data, 'utf8');
+    fileSize += bytes;
+  }
+
+  /**
+   * 将缓冲区内容加入写盘链
+   * @returns {Promise<void>} 本批日志写盘完成后 resolve
+   */
+  function flush() {
+    if (buffer.length > 0) {
+      const data = buffer.join('');
+      buffer = [];
+      bufferBytes = 0;
+      writeChain = writeChain
+        .then(() => writeBatch(data))
+        .catch((err) => {
+          process.stderr.write(`[日志写入失败] ${err.message}\n`);
+        });
+    }
+    return writeChain;
+  }
+
+  /**
+   * 格式化一条日志
+   * @param {string} levelName - 级别名称
+   * @param {string} message   - 日志内容
+   * @param {object} [fields]  - 结构化字段（仅 json 格式输出）
+   * @returns {string} 以换行结尾的日志行
+   */
+  function formatLine(levelName, message, fields) {
+    const now = new Date();
+    if (format === 'json') {
+      return JSON.stringify(Object.assign({ time: now.toISOString(), level: levelName }, fields, { msg: message })) + '\n';
+    }
+    const timeStr = formatTimestamp(now).replace('_', ' ');
+    return `[${timeStr}] ${LEVELS[levelName].label} ${message}\n`;
+  }
 
   /**
    * 写入一条日志记录
-   * @param {string} level  - 级别标签，如 【信息】【警告】【错误】
-   * @param {string} message - 日志内容
+   * @param {string} levelName - 级别名称：debug / info / warn / error
+   * @param {string} message   - 日志内容
+   * @param {object} [fields]  - 结构化字段，如 { event, ip, protocol, clientId, bytes }
    */
-  function write(level, message) {
-    const now    = new Date();
-    const timeStr = formatTimestamp(now).replace('_', ' ').replace(/-/g, '-');
-    const line   = `[${timeStr}] ${level} ${message}\n`;
+  function write(levelName, message, fields) {
+    if (LEVELS[levelName].value < minLevel) return;
+
+    const line = formatLine(levelName, message, fields);
     // 输出到控制台
-    process.stdout.write(line);
-    // 追加写入日志文件
-    try {
-      fs.appendFileSync(filePath, line, 'utf8');
-    } catch (err) {
-      process.stderr.write(`[日志写入失败] ${err.message}\n`);
+    if (toConsole) {
+      process.stdout.write(line);
+    }
+    if (closed) return;
+
+    // 进入缓冲区，超过阈值时立即写盘
+    buffer.push(line);
+    bufferBytes += Buffer.byteLength(line);
+    if (bufferBytes >= FLUSH_THRESHOLD_BYTES) {
+      flush();
     }
   }
 
+  openNewFile();
+
+  // 定时写盘（unref：不阻止进程退出）
+  let flushTimer = setInterval(flush, flushInterval);
+  flushTimer.unref();
+
+  /**
+   * 运行时调整日志配置（配置热重载时调用）
+   * - 级别、格式、控制台输出、滚动与清理策略立即生效
+   * - 日志目录变化时：先将已缓冲的日志写入原文件，再在新目录下打开新文件
+   * @param {object} options - 与 createLogger() 相同的配置项
+   */
+  function reconfigure(options) {
+    format      = options.format;
+    minLevel    = resolveLevel(options.level);
+    toConsole   = options.console;
+    maxSize     = options.maxSize;
+    rotateDaily = options.rotateDaily;
+    maxFiles    = options.maxFiles;
+    maxAgeDays  = options.maxAgeDays;
+
+    if (options.flushInterval !== flushInterval) {
+      flushInterval = options.flushInterval;
+      clearInterval(flushTimer);
+      flushTimer = setInterval(flush, flushInterval);
+      flushTimer.unref();
+    }
+
+    const nextDir = resolveDir(options.dir);
+    if (nextDir !== absLogDir) {
+      // 排在写盘链末尾，保证切换前的日志仍写入原文件
+      writeChain = flush().then(() => {
+        fs.mkdirSync(nextDir, { recursive: true });
+        absLogDir = nextDir;
+        openNewFile();
+        return cleanupOldFiles();
+      }).catch((err) => {
+        process.stderr.write(`[日志目录切换失败] ${err.message}\n`);
+      });
+    }
+  }
+
+  // 启动时清理一次旧日志
+  cleanupOldFiles().catch((err) => {
+    process.stderr.write(`[日志清理失败] ${err.message}\n`);
+  });
+
   return {
-    /** 日志文件完整路径，供外部模块展示 */
-    filePath,
+    /** 当前日志文件完整路径，供外部模块展示 */
+    get filePath() {
+      return filePath;
+    },
+
+    /**
+     * 记录调试日志
+     * @param {string} message
+     * @param {object} [fields]
+     */
+    debug(message, fields) {
+      write('debug', message, fields);
+    },
 
     /**
      * 记录普通信息日志
      * @param {string} message
+     * @param {object} [fields]
      */
-    info(message) {
-      write('【信息】', message);
+    info(message, fields) {
+      write('info', message, fields);
     },
 
     /**
      * 记录警告日志
      * @param {string} message
+     * @param {object} [fields]
      */
-    warn(message) {
-      write('【警告】', message);
+    warn(message, fields) {
+      write('warn', message, fields);
     },
 
     /**
      * 记录错误日志
      * @param {string} message
+     * @param {object} [fields]
+     */
+    error(message, fields) {
+      write('error', message, fields);
+    },
+
+    flush,
+    reconfigure,
+
+    /**
+     * 停止定时写盘并写出剩余缓冲（优雅关闭时调用）
+     * @returns {Promise<void>}
      */
-    error(message) {
-      write('【错误】', message);
+    close() {
+      clearInterval(flushTimer);
+      const done = flush();
+      closed = true;
+      return done;
     },
   };
 }
 
-module.exports = { createLogger };
+module.exports = { createLogger, LEVELS };
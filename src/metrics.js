@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * 运行指标模块（Prometheus 文本格式）
+ * - 提供计数器（counter）、仪表（gauge）、直方图（histogram）三种指标类型，支持标签
+ * - createServerMetrics() 预定义本服务的全部指标，由主程序在各事件点更新
+ * - render() 输出 Prometheus text exposition format（version 0.0.4），供 /metrics 接口返回
+ */
+
+// 广播耗时直方图默认分桶（秒）
+const DEFAULT_DURATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// 来自插件等外部输入的标签值须符合的格式，避免动态文本导致标签组合无限增长
+const LABEL_TOKEN_PATTERN = /^[a-z_]{1,64}$/;
+
+/**
+ * 将来自外部输入的标签值限制为小写字母与下划线组成的标识符，不符合时归为 other
+ * @param {*} value
+ * @returns {string}
+ */
+function labelToken(value) {
+  return typeof value === 'string' && LABEL_TOKEN_PATTERN.test(value) ? value : 'other';
+}
+
+/**
+ * 转义标签值中的特殊字符
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * 将标签对象格式化为 {a="1",b="2"}（无标签时返回空串）
+ * @param {string[]} labelNames
+ * @param {string[]} labelValues
+ * @returns {string}
+ */
+function formatLabels(labelNames, labelValues) {
+  if (labelNames.length === 0) return '';
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(labelValues[i])}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * 创建指标注册表
+ * @returns {{ counter: Function, gauge: Function, histogram: Function, render: Function }}
+ */
+function createMetricsRegistry() {
+  // 按注册顺序保存全部指标
+  const metrics = [];
+
+  /**
+   * 将标签对象转换为按 labelNames 排列的取值数组及其键
+   * @param {string[]} labelNames
+   * @param {object}   labels
+   * @returns {{ key: string, values: string[] }}
+   */
+  function labelKey(labelNames, labels = {}) {
+    const values = labelNames.map((name) => (labels[name] !== undefined ? String(labels[name]) : ''));
+    return { key: values.join('\u0000'), values };
+  }
+
+  /**
+   * 注册计数器或仪表（两者结构相同，仅 TYPE 不同）
+   * @param {string}   type
+   * @param {string}   name
+   * @param {string}   help
+   * @param {string[]} labelNames
+   */
+  function createSimple(type, name, help, labelNames) {
+    // Map: 标签键 → { values, value }
+    const series = new Map();
+    metrics.push({
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+        if (series.size === 0 && labelNames.length === 0) {
+          lines.push(`${name} 0`);
+        }
+        series.forEach(({ values, value }) => {
+          lines.push(`${name}${formatLabels(labelNames, values)} ${value}`);
+        });
+        return lines.join('\n');
+      },
+    });
+
+    function entry(labels) {
+      const { key, values } = labelKey(labelNames, labels);
+      let item = series.get(key);
+      if (!item) {
+        item = { values, value: 0 };
+        series.set(key, item);
+      }
+      return item;
+    }
+
+    return {
+      inc(labels, amount = 1) { entry(labels).value += amount; },
+      dec(labels, amount = 1) { entry(labels).value -= amount; },
+      set(labels, value)      { entry(labels).value = value; },
+    };
+  }
+
+  /**
+   * 注册计数器
+   * @param {string}   name
+   * @param {string}   help
+   * @param {string[]} [labelNames]
+   * @returns {{ inc: Function }}
+   */
+  function counter(name, help, labelNames = []) {
+    const { inc } = createSimple('counter', name, help, labelNames);
+    return { inc };
+  }
+
+  /**
+   * 注册仪表
+   * @param {string}   name
+   * @param {string}   help
+   * @param {string[]} [labelNames]
+   * @returns {{ inc: Function, dec: Function, set: Function }}
+   */
+  function gauge(name, help, labelNames = []) {
+    return createSimple('gauge', name, help, labelNames);
+  }
+
+  /**
+   * 注册直方图
+   * @param {string}   name
+   * @param {string}   help
+   * @param {number[]} buckets - 升序排列的分桶上界
+   * @returns {{ observe: Function }}
+   */
+  function histogram(name, help, buckets) {
+    const counts = new Array(buckets.length).fill(0);
+    let sum   = 0;
+    let count = 0;
+
+    metrics.push({
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        let cumulative = 0;
+        buckets.forEach((le, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket{le="${le}"} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket{le="+Inf"} ${count}`);
+        lines.push(`${name}_sum ${sum}`);
+        lines.push(`${name}_count ${count}`);
+        return lines.join('\n');
+      },
+    });
+
+    return {
+      observe(value) {
+        sum += value;
+        count++;
+        const index = buckets.findIndex((le) => value <= le);
+        if (index !== -1) counts[index]++;
+      },
+    };
+  }
+
+  /**
+   * 输出全部指标的文本格式
+   * @returns {string}
+   */
+  function render() {
+    return metrics.map((m) => m.render()).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+/**
+ * 创建本服务的指标集合
+ * @returns {object} 各指标实例及 render() 方法
+ */
+function createServerMetrics() {
+  const registry = createMetricsRegistry();
+
+  return {
+    connections:      registry.gauge('cbws_connections', '当前在线连接数', ['protocol']),
+    connectsTotal:    registry.counter('cbws_connects_total', '累计建立的连接数', ['protocol']),
+    disconnectsTotal: registry.counter('cbws_disconnects_total', '累计断开的连接数', ['protocol', 'code']),
+    messagesReceived: registry.counter('cbws_messages_received_total', '累计收到的客户端消息数', ['protocol']),
+    messagesForwarded: registry.counter('cbws_messages_forwarded_total', '累计转发给客户端的消息数（按接收方计）', ['kind']),
+    bytesReceived:    registry.counter('cbws_bytes_received_total', '累计收到的消息字节数', ['protocol']),
+    bytesSent:        registry.counter('cbws_bytes_sent_total', '累计转发的消息字节数'),
+    payloadBytes:     registry.counter('cbws_ws_payload_bytes_total', 'WebSocket 消息字节数（压缩前，含控制消息）', ['direction']),
+    wireBytes:        registry.counter('cbws_ws_wire_bytes_total', 'WebSocket 线路字节数（帧，压缩后）', ['direction']),
+    broadcastDuration: registry.histogram(
+      'cbws_broadcast_duration_seconds', '单次广播扇出耗时（秒）', DEFAULT_DURATION_BUCKETS
+    ),
+    zombiesReaped:    registry.counter('cbws_zombies_reaped_total', '心跳检测清理的僵尸连接数'),
+    sendFailures:     registry.counter('cbws_send_failures_total', '向客户端发送消息失败次数'),
+    rateLimited:      registry.counter('cbws_rate_limited_total', '触发限流的次数', ['kind']),
+    pipelineRejected: registry.counter('cbws_pipeline_rejected_total', '被消息处理管道拒绝的消息数', ['stage', 'code']),
+    messageAcks:      registry.counter('cbws_message_acks_total', '回复客户端的消息确认数', ['result']),
+    messageReceipts:  registry.counter('cbws_message_receipts_total', '转发给发送方的送达回执数（按接收方计）', ['status']),
+    slowConsumer:     registry.counter('cbws_slow_consumer_total', '慢速客户端处理策略触发次数（丢弃的消息数或断开的连接数）', ['policy']),
+    tlsHandshakeErrors: registry.counter('cbws_tls_handshake_errors_total', 'TLS 握手失败次数'),
+    clientCertRejected: registry.counter('cbws_client_cert_rejected_total', '客户端证书校验失败而断开的连接数', ['reason']),
+    clusterNodes:     registry.gauge('cbws_cluster_nodes', '集群中的在线节点数（含本节点，未启用集群时为 0）'),
+    clusterMessages:  registry.counter('cbws_cluster_messages_total', '经集群背板收发的信封数', ['direction', 'type']),
+
+    render: registry.render,
+  };
+}
+
+module.exports = { createMetricsRegistry, createServerMetrics, labelToken };
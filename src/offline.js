@@ -0,0 +1,399 @@
+'use strict';
+
+/**
+ * 离线消息队列模块（offlineQueue）
+ * - 以鉴权身份（JWT 身份声明、API Key 名称或客户端证书 CN）作为稳定身份，与客户端自选的名称无关：该身份上线后即登记，
+ *   同一身份可同时有多个连接，全部断开后发给它的定向消息，以及其所在分组（最后断开的连接加入的房间）的广播
+ *   存入该身份的队列，重新连接时按顺序补发
+ * - 补发的消息逐条确认：只有交给出站缓冲（已发送或进入待发队列）的消息才从队列移除
+ * - 每个身份的队列按条数（maxMessages）与字节数（maxBytes）上限淘汰最早的消息，超过 ttl 的消息过期；
+ *   离线超过 forgetAfter 的身份连同其队列一起删除
+ * - 全局限制身份数（maxIdentities）与全部队列的总字节数（maxTotalBytes），达到上限后不再登记新身份 / 接收新消息
+ * - 每个身份对应 dir 目录下的一个 JSON 文件（文件名为名称的哈希），有变化时定时写盘，服务重启后恢复
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+// 定时写盘间隔（毫秒）
+const PERSIST_INTERVAL_MS = 1000;
+
+// 清理过期消息与长期离线身份的间隔（毫秒）
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// 队列文件扩展名
+const FILE_SUFFIX = '.json';
+
+/**
+ * 创建离线消息队列
+ * @param {object} options
+ * @param {object} options.settings - offlineQueue 配置
+ *   （dir / maxMessages / maxBytes / maxIdentities / maxTotalBytes / ttl / forgetAfter）
+ * @param {object} options.logger   - 日志模块实例
+ * @returns {{ connect: Function, confirm: Function, disconnect: Function, enqueue: Function,
+ *             enqueueBroadcast: Function, summary: Function, reconfigure: Function, close: Function }}
+ */
+function createOfflineQueue({ settings, logger }) {
+  let { maxMessages, maxBytes, maxIdentities, maxTotalBytes, ttl, forgetAfter } = settings;
+  const { dir } = settings;
+
+  // Map: 身份名称 → { name, group, mode, rooms, connections, lastSeen, messages: [{ time, data: Buffer, binary }], bytes }
+  // connections 为该身份当前的连接数，为 0 时视为离线
+  const identities = new Map();
+
+  // 全部队列中的消息条数与字节数
+  let totalMessages = 0;
+  let totalBytes    = 0;
+
+  // 待写盘与待删除文件的身份名称
+  const dirty   = new Set();
+  const removed = new Set();
+  // 串行写盘链，保证同一文件按顺序落盘
+  let writeChain = Promise.resolve();
+
+  /**
+   * 身份对应的队列文件路径
+   * @param {string} name
+   * @returns {string}
+   */
+  function fileOf(name) {
+    return path.join(dir, crypto.createHash('sha256').update(name, 'utf8').digest('hex').slice(0, 32) + FILE_SUFFIX);
+  }
+
+  /**
+   * 从队列头部移除若干条消息
+   * @param {object} identity
+   * @param {number} count
+   */
+  function removeHead(identity, count) {
+    identity.messages.splice(0, count).forEach((message) => {
+      identity.bytes -= message.data.length;
+      totalMessages--;
+      totalBytes -= message.data.length;
+    });
+    dirty.add(identity.name);
+  }
+
+  /**
+   * 淘汰过期消息，以及超出条数 / 字节数上限的最早消息
+   * @param {object} identity
+   * @returns {number} 因超出上限而丢弃的条数（不含过期消息）
+   */
+  function prune(identity) {
+    const expireAt = ttl > 0 ? Date.now() - ttl : -Infinity;
+    let expired = 0;
+    while (expired < identity.messages.length && identity.messages[expired].time < expireAt) expired++;
+    if (expired > 0) removeHead(identity, expired);
+
+    let overflow = Math.max(0, identity.messages.length - maxMessages);
+    let bytes = identity.bytes;
+    for (let i = 0; i < overflow; i++) bytes -= identity.messages[i].data.length;
+    while (overflow < identity.messages.length && bytes > maxBytes) {
+      bytes -= identity.messages[overflow].data.length;
+      overflow++;
+    }
+    if (overflow > 0) removeHead(identity, overflow);
+    return overflow;
+  }
+
+  /**
+   * 删除身份及其队列
+   * @param {object} identity
+   */
+  function forget(identity) {
+    removeHead(identity, identity.messages.length);
+    identities.delete(identity.name);
+    dirty.delete(identity.name);
+    removed.add(identity.name);
+  }
+
+  /**
+   * 清理过期消息与离线超过 forgetAfter 的身份
+   */
+  function sweep() {
+    const forgetBefore = forgetAfter > 0 ? Date.now() - forgetAfter : -Infinity;
+    Array.from(identities.values()).forEach((identity) => {
+      if (identity.connections === 0 && identity.lastSeen < forgetBefore) {
+        logger.info(
+          `离线身份已过期删除 → 名称：${identity.name}，丢弃未补发的消息 ${identity.messages.length} 条`,
+          { event: 'offline_forget', name: identity.name, dropped: identity.messages.length }
+        );
+        forget(identity);
+      } else {
+        prune(identity);
+      }
+    });
+  }
+
+  /**
+   * 将消息加入身份的队列，超出上限时丢弃最早的消息并记录警告
+   * @param {object}  identity
+   * @param {Buffer}  data
+   * @param {boolean} binary
+   * @returns {boolean} 是否已入队（全部队列的总字节数达到 maxTotalBytes 时拒绝）
+   */
+  function push(identity, data, binary) {
+    if (totalBytes + data.length > maxTotalBytes) return false;
+    identity.messages.push({ time: Date.now(), data, binary });
+    identity.bytes += data.length;
+    totalMessages++;
+    totalBytes += data.length;
+    dirty.add(identity.name);
+    const dropped = prune(identity);
+    if (dropped > 0) {
+      logger.warn(
+        `离线队列超出上限，已丢弃最早的 ${dropped} 条消息 → 名称：${identity.name}，` +
+        `队列深度：${identity.messages.length} 条（${identity.bytes} 字节）`,
+        { event: 'offline_overflow', name: identity.name, dropped, depth: identity.messages.length, bytes: identity.bytes }
+      );
+    }
+    return true;
+  }
+
+  /**
+   * 总容量已满、消息未能入队时记录警告
+   * @param {string[]} names - 未入队的身份名称
+   */
+  function warnFull(names) {
+    logger.warn(
+      `离线队列总容量已满（${totalBytes} 字节），${names.length} 个身份的消息未入队：${names.slice(0, 10).join('、')}` +
+      `${names.length > 10 ? ' 等' : ''}`,
+      { event: 'offline_full', names: names.slice(0, 10), rejected: names.length, totalBytes }
+    );
+  }
+
+  /**
+   * 将有变化的身份写盘（先写临时文件再重命名），并删除已移除身份的文件
+   * @returns {Promise<void>} 本次写盘完成后 resolve
+   */
+  function persist() {
+    const jobs = [];
+    removed.forEach((name) => {
+      const file = fileOf(name);
+      jobs.push(() => fs.promises.unlink(file).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      }));
+    });
+    dirty.forEach((name) => {
+      const identity = identities.get(name);
+      const file = fileOf(name);
+      const data = JSON.stringify({
+        name,
+        group:    identity.group,
+        mode:     identity.mode,
+        rooms:    identity.rooms,
+        lastSeen: identity.connections > 0 ? Date.now() : identity.lastSeen,
+        messages: identity.messages.map((message) => ({
+          time:   message.time,
+          binary: message.binary,
+          data:   message.data.toString(message.binary ? 'base64' : 'utf8'),
+        })),
+      });
+      jobs.push(() => fs.promises.writeFile(`${file}.tmp`, data, 'utf8').then(() => fs.promises.rename(`${file}.tmp`, file)));
+    });
+    removed.clear();
+    dirty.clear();
+
+    jobs.forEach((job) => {
+      writeChain = writeChain.then(job).catch((err) => {
+        logger.error(`离线消息队列写盘失败：${err.message}`);
+      });
+    });
+    return writeChain;
+  }
+
+  /**
+   * 启动时从队列文件恢复全部身份（均视为离线）
+   */
+  function restore() {
+    let count = 0;
+    fs.readdirSync(dir).filter((entry) => entry.endsWith(FILE_SUFFIX)).forEach((entry) => {
+      const file = path.join(dir, entry);
+      try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (typeof saved.name !== 'string' || !Array.isArray(saved.messages)) {
+          throw new Error('格式不正确');
+        }
+        const identity = {
+          name:        saved.name,
+          group:       saved.group,
+          mode:        saved.mode,
+          rooms:       Array.isArray(saved.rooms) ? saved.rooms : [],
+          connections: 0,
+          lastSeen:    Number(saved.lastSeen) || Date.now(),
+          messages:    [],
+          bytes:       0,
+        };
+        identities.set(identity.name, identity);
+        saved.messages.forEach((message) => {
+          const data = Buffer.from(String(message.data), message.binary ? 'base64' : 'utf8');
+          identity.messages.push({ time: Number(message.time) || Date.now(), data, binary: Boolean(message.binary) });
+          identity.bytes += data.length;
+          totalMessages++;
+          totalBytes += data.length;
+        });
+        prune(identity);
+        count += identity.messages.length;
+      } catch (err) {
+        logger.warn(`离线消息队列文件读取失败，已跳过：${file}，错误：${err.message}`);
+      }
+    });
+    dirty.clear();
+    if (identities.size > 0) {
+      logger.info(`已从 ${dir} 恢复离线消息队列：${identities.size} 个身份，共 ${count} 条消息`);
+    }
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  restore();
+  sweep();
+
+  const persistTimer = setInterval(persist, PERSIST_INTERVAL_MS);
+  persistTimer.unref();
+  const sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    /**
+     * 身份的一个连接上线：登记身份（连接数加一），并返回其队列中的全部消息（不移除，补发成功后逐条调用 confirm()）
+     * 身份数达到 maxIdentities 时不登记新身份
+     * @param {string} name  - 鉴权身份名称
+     * @param {object} state
+     * @param {string} state.group - 所属分组
+     * @param {string} state.mode  - 连接模式（ingest 模式的身份不接收广播）
+     * @returns {Array<{ data: Buffer, binary: boolean }>|null} 待按顺序补发的消息；未登记时为 null（此连接断开时不调用 disconnect()）
+     */
+    connect(name, { group, mode }) {
+      let identity = identities.get(name);
+      if (!identity) {
+        if (identities.size >= maxIdentities) {
+          logger.warn(
+            `离线队列身份数已达上限（${maxIdentities}），不再为新身份排队 → 名称：${name}`,
+            { event: 'offline_full', name, identities: identities.size }
+          );
+          return null;
+        }
+        identity = { name, group, mode, rooms: [], connections: 0, lastSeen: Date.now(), messages: [], bytes: 0 };
+        identities.set(name, identity);
+      }
+      Object.assign(identity, { group, mode, lastSeen: Date.now() });
+      identity.connections++;
+      removed.delete(name);
+      dirty.add(name);
+
+      prune(identity);
+      return identity.messages.slice();
+    },
+
+    /**
+     * 确认一条补发的消息已交给出站缓冲，从队列中移除
+     * @param {string} name
+     * @param {object} message - connect() 返回的消息
+     */
+    confirm(name, message) {
+      const identity = identities.get(name);
+      const index = identity ? identity.messages.indexOf(message) : -1;
+      if (index === -1) return;
+      identity.messages.splice(index, 1);
+      identity.bytes -= message.data.length;
+      totalMessages--;
+      totalBytes -= message.data.length;
+      dirty.add(name);
+    },
+
+    /**
+     * 身份的一个连接断开（连接数减一）：全部连接断开后，此后发给该身份的消息进入队列
+     * @param {string}   name
+     * @param {string[]} rooms - 该连接断开前加入的房间（身份离线期间这些房间的广播同样入队）
+     */
+    disconnect(name, rooms) {
+      const identity = identities.get(name);
+      if (!identity || identity.connections === 0) return;
+      identity.connections--;
+      if (identity.connections === 0) {
+        Object.assign(identity, { rooms, lastSeen: Date.now() });
+      }
+      dirty.add(name);
+    },
+
+    /**
+     * 定向消息的目标为离线身份时存入其队列
+     * @param {string}      name
+     * @param {Buffer}      data
+     * @param {boolean}     binary
+     * @param {string|null} group - 发送方分组，null 表示不限（管理接口）
+     * @returns {{ queued: boolean, depth: number, bytes: number }|null} 入队结果与队列深度
+     *          （queued 为 false 表示总容量已满）；目标不是离线身份时为 null
+     */
+    enqueue(name, data, binary, group) {
+      const identity = identities.get(name);
+      if (!identity || identity.connections > 0 || (group !== null && identity.group !== group)) return null;
+      const queued = push(identity, data, binary);
+      if (!queued) warnFull([name]);
+      return { queued, depth: identity.messages.length, bytes: identity.bytes };
+    },
+
+    /**
+     * 将广播存入投递范围内全部离线身份的队列
+     * @param {object}      options
+     * @param {string|null} options.group  - 发送方分组，null 表示全部分组
+     * @param {string|null} options.room   - 目标房间，null 表示房间外的广播
+     * @param {Buffer}      options.data
+     * @param {boolean}     options.binary
+     * @param {Function}    [options.skip] - (name) => 是否跳过该身份（如已在集群其他节点上线）
+     * @returns {Array<{ name: string, depth: number }>} 已入队的身份及入队后的队列深度
+     */
+    enqueueBroadcast({ group, room, data, binary, skip }) {
+      const queued   = [];
+      const rejected = [];
+      identities.forEach((identity) => {
+        if (identity.connections > 0 || identity.mode === 'ingest') return;
+        if (group !== null && identity.group !== group) return;
+        if (room !== null && !identity.rooms.includes(room)) return;
+        if (skip && skip(identity.name)) return;
+        if (!push(identity, data, binary)) {
+          rejected.push(identity.name);
+          return;
+        }
+        queued.push({ name: identity.name, depth: identity.messages.length });
+      });
+      if (rejected.length > 0) warnFull(rejected);
+      return queued;
+    },
+
+    /**
+     * 队列统计
+     * @returns {{ identities: number, offline: number, messages: number, bytes: number }}
+     */
+    summary() {
+      let offline = 0;
+      identities.forEach((identity) => { if (identity.connections === 0) offline++; });
+      return { identities: identities.size, offline, messages: totalMessages, bytes: totalBytes };
+    },
+
+    /**
+     * 调整上限与时长（配置热重载时调用），超出新上限的消息立即淘汰
+     * @param {object} next - offlineQueue 配置
+     */
+    reconfigure(next) {
+      ({ maxMessages, maxBytes, maxIdentities, maxTotalBytes, ttl, forgetAfter } = next);
+      sweep();
+    },
+
+    /**
+     * 停止定时任务并写出全部变化（优雅关闭时调用）
+     * @returns {Promise<void>}
+     */
+    close() {
+      clearInterval(persistTimer);
+      clearInterval(sweepTimer);
+      identities.forEach((identity) => {
+        if (identity.connections > 0) dirty.add(identity.name);
+      });
+      return persist();
+    },
+  };
+}
+
+module.exports = { createOfflineQueue };
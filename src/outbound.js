@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * 出站缓冲管理模块（慢速客户端处理）
+ * - 发送前检查连接的 bufferedAmount：未超过 backpressure.highWaterMark 时直接发送
+ * - 超过后视为慢速客户端，按 backpressure.policy 处理：
+ *    drop-oldest：消息进入该客户端的待发队列，队列超过 maxQueueBytes 时丢弃最旧的消息，
+ *                 已发送数据写出后自动续发
+ *    drop-new   ：直接丢弃新消息
+ *    disconnect ：强制断开该客户端
+ * - 客户端进入 / 恢复慢速状态时各记录一条日志（恢复时汇总期间丢弃的消息数），避免刷屏
+ */
+
+const WebSocket = require('ws');
+
+/**
+ * 创建出站缓冲管理器
+ * @param {object}   options
+ * @param {object}   options.settings - backpressure 配置：highWaterMark / policy / maxQueueBytes
+ * @param {object}   options.logger   - 日志模块实例
+ * @param {Function} options.describe - (socket) => { label, fields }，生成日志用的客户端描述
+ * @param {Function} [options.onPolicy] - 每次触发处理策略时的回调 (policy) => void（用于运行指标）
+ * @param {Function} [options.onWrite]  - 每次将消息交给 ws 发送后的回调 (socket, bytes) => void（用于收发字节数统计）
+ * @returns {{ send: Function, reconfigure: Function }}
+ */
+function createOutboundManager({ settings, logger, describe, onPolicy, onWrite }) {
+  let current = settings;
+
+  // WeakMap: WebSocket → { items: [{ data, binary }], bytes, dropped, since }
+  // 仅慢速客户端存在记录；连接关闭后随 socket 一并回收
+  const slowClients = new WeakMap();
+
+  /**
+   * 记录一次策略触发
+   * @param {string} policy
+   */
+  function trigger(policy) {
+    if (onPolicy) onPolicy(policy);
+  }
+
+  /**
+   * 进入慢速状态：创建记录并记录日志
+   * @param {WebSocket} socket
+   * @returns {object} 慢速状态记录
+   */
+  function markSlow(socket) {
+    const state = { items: [], bytes: 0, dropped: 0, since: Date.now() };
+    slowClients.set(socket, state);
+    const { label, fields } = describe(socket);
+    logger.warn(
+      `慢速客户端 → 客户端：${label}，待发送缓冲 ${socket.bufferedAmount} 字节，` +
+      `已超过上限 ${current.highWaterMark} 字节，处理策略：${current.policy}`,
+      { event: 'slow_consumer', ...fields, buffered: socket.bufferedAmount, policy: current.policy }
+    );
+    return state;
+  }
+
+  /**
+   * 退出慢速状态：删除记录并汇总期间丢弃的消息数
+   * @param {WebSocket} socket
+   * @param {object}    state
+   */
+  function markRecovered(socket, state) {
+    slowClients.delete(socket);
+    const { label, fields } = describe(socket);
+    logger.info(
+      `慢速客户端已恢复 → 客户端：${label}，持续 ${Date.now() - state.since} 毫秒，期间丢弃 ${state.dropped} 条消息`,
+      { event: 'slow_consumer_recovered', ...fields, dropped: state.dropped }
+    );
+  }
+
+  /**
+   * 将数据交给 ws 发送，写出完成后尝试续发待发队列
+   * @param {WebSocket} socket
+   * @param {Buffer}    data
+   * @param {boolean}   binary
+   * @returns {boolean} 是否成功交给 ws
+   */
+  function write(socket, data, binary) {
+    try {
+      socket.send(data, { binary }, (err) => {
+        if (!err) drain(socket);
+      });
+      if (onWrite) onWrite(socket, data.length);
+      return true;
+    } catch (err) {
+      logger.error(`向客户端转发消息失败：${err.message}`, { event: 'send_failed', error: err.message });
+      return false;
+    }
+  }
+
+  /**
+   * 续发慢速客户端的待发队列，直到缓冲再次达到上限或队列清空
+   * @param {WebSocket} socket
+   */
+  function drain(socket) {
+    const state = slowClients.get(socket);
+    if (!state || socket.readyState !== WebSocket.OPEN) return;
+
+    while (state.items.length > 0 && socket.bufferedAmount < current.highWaterMark) {
+      const item = state.items.shift();
+      state.bytes -= item.data.length;
+      write(socket, item.data, item.binary);
+    }
+    if (state.items.length === 0 && socket.bufferedAmount < current.highWaterMark) {
+      markRecovered(socket, state);
+    }
+  }
+
+  /**
+   * 向客户端发送一条消息（广播扇出时对每个接收方调用）
+   * @param {WebSocket} socket
+   * @param {Buffer}    data             - 已编码的消息（同一次广播的所有接收方共用）
+   * @param {object}    [options]
+   * @param {boolean}   [options.binary] - 是否以二进制帧发送（默认文本帧）
+   * @returns {string} 'sent'（已发送）、'queued'（进入待发队列）、'dropped'（被丢弃）、
+   *                   'disconnected'（慢速客户端被断开）、'failed'（发送失败）
+   */
+  function send(socket, data, { binary = false } = {}) {
+    let state = slowClients.get(socket);
+
+    // drop-new 策略下没有待发队列：缓冲回落即视为恢复
+    if (state && state.items.length === 0 && socket.bufferedAmount < current.highWaterMark) {
+      markRecovered(socket, state);
+      state = undefined;
+    }
+    if (!state && socket.bufferedAmount < current.highWaterMark) {
+      return write(socket, data, binary) ? 'sent' : 'failed';
+    }
+
+    if (!state) {
+      state = markSlow(socket);
+    }
+
+    switch (current.policy) {
+      case 'disconnect':
+        trigger('disconnect');
+        slowClients.delete(socket);
+        socket.terminate();
+        return 'disconnected';
+
+      case 'drop-new':
+        trigger('drop-new');
+        state.dropped++;
+        return 'dropped';
+
+      default: {
+        // drop-oldest：入队，超出队列上限时从最旧的消息开始丢弃（至少保留本条）
+        state.items.push({ data, binary });
+        state.bytes += data.length;
+        while (state.bytes > current.maxQueueBytes && state.items.length > 1) {
+          const oldest = state.items.shift();
+          state.bytes -= oldest.data.length;
+          state.dropped++;
+          trigger('drop-oldest');
+        }
+        return 'queued';
+      }
+    }
+  }
+
+  /**
+   * 更新缓冲上限与策略（配置热重载时调用）
+   * @param {object} next
+   */
+  function reconfigure(next) {
+    current = next;
+  }
+
+  return { send, reconfigure };
+}
+
+module.exports = { createOutboundManager };
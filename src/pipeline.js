@@ -0,0 +1,368 @@
+'use strict';
+
+/**
+ * 消息处理管道模块
+ * - 按 config.json 中 pipeline 的顺序执行各阶段，每个阶段可实现以下钩子（均为同步函数）：
+ *    onConnect(ctx)    ：客户端连接建立后，ctx = { client }；返回 { reject: code } 时以 1008 关闭连接
+ *    onMessage(ctx)    ：收到业务消息后（控制消息除外），ctx = { client, message, data, isBinary }；
+ *                        返回 { reject: code, ...附加字段 } 时回复错误消息，返回 { drop: true } 时静默丢弃
+ *    onOutgoing(ctx)   ：逐个接收方投递前（含定向消息与历史消息补发），ctx = { sender, recipient, message, data, isBinary }；
+ *                        返回 { drop: true } 时不投递给该接收方（二进制消息只能跳过，不能改写）
+ *    onDisconnect(ctx) ：连接关闭后，ctx = { client, code, reason }
+ * - ctx.message 为解析后的 JSON（只读，非 JSON 文本与二进制消息为 undefined），ctx.data 为原始数据；
+ *   修改消息时将新对象赋值给 ctx.message，后续阶段与实际发送的内容随之改变（赋值为 undefined 视为丢弃）
+ * - 内置阶段：filter（按消息类型过滤）、schema（JSON Schema 校验）、strip（删除字段）、inject（注入字段）；
+ *   module 阶段加载本地 JS 模块，模块导出钩子对象，或导出工厂函数 (options, { logger }) => 钩子对象
+ * - 以库的形式嵌入时，createServer({ hooks }) 传入的钩子对象作为额外阶段排在配置的阶段之后，不随热重载变化
+ * - 钩子抛出异常时按拒绝处理（连接关闭 / 消息拒绝 / 不投递），并记录错误日志
+ */
+
+const { compileSchema } = require('./schema');
+
+/**
+ * 递归冻结对象，防止阶段直接修改共享的消息对象
+ * @param {*} value
+ * @returns {*}
+ */
+function deepFreeze(value) {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+/**
+ * 判断是否为 JSON 对象（非数组）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 返回删除指定字段后的对象副本（支持 "a.b.c" 形式的嵌套字段）
+ * @param {object}   source
+ * @param {string[]} fields
+ * @returns {object}
+ */
+function withoutFields(source, fields) {
+  const result = Object.assign({}, source);
+  fields.forEach((field) => {
+    const keys = field.split('.');
+    let parent = result;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (!isPlainObject(parent[keys[i]])) return;
+      // 沿路径复制，不修改原对象
+      parent[keys[i]] = Object.assign({}, parent[keys[i]]);
+      parent = parent[keys[i]];
+    }
+    delete parent[keys[keys.length - 1]];
+  });
+  return result;
+}
+
+// ── 内置阶段 ──────────────────────────────────────────────────
+const BUILTIN_STAGES = {
+  /**
+   * 按消息类型（默认 type 字段）过滤：allow 为允许的类型列表，deny 为禁止的类型列表
+   * 二进制消息不受影响；非 JSON 对象消息的类型视为 null
+   */
+  filter(settings) {
+    return {
+      onMessage(ctx) {
+        if (ctx.isBinary) return undefined;
+        const value = isPlainObject(ctx.message) && ctx.message[settings.field] !== undefined
+          ? ctx.message[settings.field]
+          : null;
+        const allowed = (!settings.allow || settings.allow.includes(value)) && !settings.deny.includes(value);
+        if (allowed) return undefined;
+        return settings.action === 'drop'
+          ? { drop: true }
+          : { reject: 'type_not_allowed', messageType: value };
+      },
+    };
+  },
+
+  /**
+   * JSON Schema 校验：文本消息必须为合法 JSON 且符合 schema；配置 messageTypes 时只校验这些类型的消息
+   * 二进制消息不受影响
+   */
+  schema(settings) {
+    const validate = compileSchema(settings.schema);
+    return {
+      onMessage(ctx) {
+        if (ctx.isBinary) return undefined;
+        if (settings.messageTypes &&
+            !(isPlainObject(ctx.message) && settings.messageTypes.includes(ctx.message.type))) {
+          return undefined;
+        }
+        if (ctx.message === undefined) return { reject: 'invalid_json' };
+        const errors = validate(ctx.message);
+        return errors.length > 0 ? { reject: 'schema_violation', errors } : undefined;
+      },
+    };
+  },
+
+  /**
+   * 删除 JSON 对象消息中的指定字段
+   */
+  strip(settings) {
+    return {
+      onMessage(ctx) {
+        if (isPlainObject(ctx.message)) ctx.message = withoutFields(ctx.message, settings.fields);
+      },
+    };
+  },
+
+  /**
+   * 向 JSON 对象消息注入固定字段与服务端时间戳、发送方 ID / 名称（覆盖客户端提交的同名字段）
+   */
+  inject(settings) {
+    return {
+      onMessage(ctx) {
+        if (!isPlainObject(ctx.message)) return;
+        const injected = Object.assign({}, ctx.message, settings.fields);
+        if (settings.timestamp)  injected[settings.timestamp]  = Date.now();
+        if (settings.senderId)   injected[settings.senderId]   = ctx.client.id;
+        if (settings.senderName) injected[settings.senderName] = ctx.client.name;
+        ctx.message = injected;
+      },
+    };
+  },
+
+  /**
+   * 加载本地 JS 模块（重新加载时清除模块缓存，使修改后的模块生效）
+   */
+  module(settings, logger) {
+    delete require.cache[settings.path];
+    const exported = require(settings.path);
+    const hooks = typeof exported === 'function' ? exported(settings.options, { logger }) : exported;
+    if (!hooks || typeof hooks !== 'object') {
+      throw new Error(`模块 ${settings.path} 未返回钩子对象`);
+    }
+    return hooks;
+  },
+};
+
+/**
+ * 创建客户端只读视图（供各阶段钩子读取，名称等字段随连接信息实时变化）
+ * @param {object} info - 注册表中的连接信息
+ * @returns {object}
+ */
+function createClientView(info) {
+  return Object.freeze({
+    get id()       { return info.id; },
+    get name()     { return info.name; },
+    get identity() { return info.identity ? info.identity.name : null; },
+    get ip()       { return info.ip; },
+    get protocol() { return info.proto; },
+    get group()    { return info.group; },
+    get path()     { return info.path; },
+    get mode()     { return info.mode; },
+  });
+}
+
+/**
+ * 创建消息处理管道
+ * @param {object}   options
+ * @param {object[]} options.stages - pipeline 配置（loadConfig() 规范化后的阶段列表）
+ * @param {Array<{ name: string, hooks: object }>} [options.extra] - 排在配置阶段之后的固定阶段（不随 reconfigure 变化）
+ * @param {object}   options.logger - 日志模块实例
+ * @returns {{ connect: Function, message: Function, outgoing: Function, disconnect: Function,
+ *             reconfigure: Function, describe: Function, hasMessageHooks: boolean, hasOutgoingHooks: boolean }}
+ */
+function createPipeline({ stages, extra = [], logger }) {
+  // [{ name, hooks }]
+  let active = [];
+
+  // 接收方钩子按消息解析一次，所有接收方共用：WeakMap: 消息 Buffer → 解析结果（只读）
+  let parsedCache = new WeakMap();
+
+  /**
+   * 按配置创建全部阶段
+   * @param {object[]} list
+   * @returns {Array<{ name: string, hooks: object }>}
+   */
+  function build(list) {
+    return list.map((settings) => {
+      try {
+        return { name: settings.name, hooks: BUILTIN_STAGES[settings.type](settings, logger) };
+      } catch (err) {
+        throw new Error(`消息处理管道阶段 ${settings.name} 加载失败：${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * 依次调用各阶段的指定钩子
+   * @param {string}   hook
+   * @param {object}   ctx
+   * @param {Function} onResult - (result, stage) => 非 undefined 时中止并作为返回值
+   * @returns {*}
+   */
+  function run(hook, ctx, onResult) {
+    for (const stage of active) {
+      if (typeof stage.hooks[hook] !== 'function') continue;
+      let result;
+      try {
+        result = stage.hooks[hook](ctx);
+      } catch (err) {
+        logger.error(
+          `消息处理管道阶段 ${stage.name} 的 ${hook} 钩子出错：${err.message}`,
+          { event: 'pipeline_error', stage: stage.name, hook, error: err.message }
+        );
+        result = { reject: 'pipeline_error', error: true };
+      }
+      const outcome = onResult(result || null, stage);
+      if (outcome !== undefined) return outcome;
+    }
+    return undefined;
+  }
+
+  /**
+   * 将钩子返回的拒绝结果转换为错误消息的附加字段
+   * @param {object} result
+   * @returns {object}
+   */
+  function detailOf(result) {
+    const detail = Object.assign({}, result);
+    ['reject', 'drop', 'error', 'type', 'code'].forEach((key) => delete detail[key]);
+    return detail;
+  }
+
+  /**
+   * 执行连接钩子
+   * @param {object} client - createClientView() 的返回值
+   * @returns {{ ok: true }|{ ok: false, stage: string, code: string }}
+   */
+  function connect(client) {
+    const outcome = run('onConnect', { client }, (result, stage) => (
+      result && result.reject ? { ok: false, stage: stage.name, code: String(result.reject) } : undefined
+    ));
+    return outcome || { ok: true };
+  }
+
+  /**
+   * 执行收到消息钩子
+   * @param {object} ctx
+   * @param {object}               ctx.client   - 发送方视图
+   * @param {*}                    ctx.message  - 解析后的 JSON（非 JSON 文本与二进制消息为 undefined）
+   * @param {Buffer}               ctx.data     - 原始数据
+   * @param {boolean}              ctx.isBinary
+   * @returns {{ action: 'pass', changed: boolean, message: * }|{ action: 'drop', stage: string }|
+   *           { action: 'reject', stage: string, code: string, detail: object }}
+   */
+  function message({ client, message: parsed, data, isBinary }) {
+    const ctx = { client, message: deepFreeze(parsed), data, isBinary };
+    let current = ctx.message;
+    let changed = false;
+
+    const outcome = run('onMessage', ctx, (result, stage) => {
+      if (result && result.reject) {
+        return { action: 'reject', stage: stage.name, code: String(result.reject), detail: detailOf(result) };
+      }
+      if (result && result.drop) return { action: 'drop', stage: stage.name };
+      if (ctx.message !== current) {
+        // 消息被置为 undefined 视为丢弃
+        if (ctx.message === undefined) return { action: 'drop', stage: stage.name };
+        changed = true;
+        current = deepFreeze(ctx.message);
+      }
+      return undefined;
+    });
+    return outcome || { action: 'pass', changed, message: current };
+  }
+
+  /**
+   * 执行接收方钩子
+   * @param {object}      ctx
+   * @param {object|null} ctx.sender    - 发送方视图（管理接口等服务端发起的消息为 null）
+   * @param {object}      ctx.recipient - 接收方视图
+   * @param {Buffer}      ctx.data      - 待发送的消息
+   * @param {boolean}     ctx.isBinary
+   * @returns {{ action: 'pass', changed: boolean, message: * }|{ action: 'drop', stage: string }}
+   */
+  function outgoing({ sender, recipient, data, isBinary }) {
+    if (!parsedCache.has(data)) {
+      let parsed;
+      if (!isBinary) {
+        try { parsed = JSON.parse(data.toString('utf8')); } catch (_) {}
+      }
+      parsedCache.set(data, deepFreeze(parsed));
+    }
+    const ctx = { sender, recipient, message: parsedCache.get(data), data, isBinary };
+    let current = ctx.message;
+    let changed = false;
+
+    const outcome = run('onOutgoing', ctx, (result, stage) => {
+      if (result && (result.drop || result.reject)) return { action: 'drop', stage: stage.name };
+      // 二进制消息只能跳过，不能改写
+      if (!isBinary && ctx.message !== current) {
+        if (ctx.message === undefined) return { action: 'drop', stage: stage.name };
+        changed = true;
+        current = deepFreeze(ctx.message);
+      }
+      return undefined;
+    });
+    return outcome || { action: 'pass', changed, message: current };
+  }
+
+  /**
+   * 执行断开钩子（钩子出错只记录日志）
+   * @param {object} ctx - { client, code, reason }
+   */
+  function disconnect(ctx) {
+    run('onDisconnect', ctx, () => undefined);
+  }
+
+  /**
+   * 按新配置重建全部阶段（配置热重载时调用）；加载失败时抛出错误，保留原有阶段
+   * @param {object[]} list
+   */
+  function reconfigure(list) {
+    active = build(list).concat(extra);
+    parsedCache = new WeakMap();
+  }
+
+  /**
+   * 阶段名称列表（用于日志）
+   * @returns {string[]}
+   */
+  function describe() {
+    return active.map((stage) => stage.name);
+  }
+
+  /**
+   * 是否有阶段实现了指定钩子
+   * @param {string} hook
+   * @returns {boolean}
+   */
+  function hasHook(hook) {
+    return active.some((stage) => typeof stage.hooks[hook] === 'function');
+  }
+
+  reconfigure(stages);
+
+  return {
+    connect,
+    message,
+    outgoing,
+    disconnect,
+    reconfigure,
+    describe,
+
+    /** 是否需要执行收到消息钩子（没有时跳过解析与调用） */
+    get hasMessageHooks() {
+      return hasHook('onMessage');
+    },
+
+    /** 是否需要执行接收方钩子（没有时所有接收方共用同一份编码结果） */
+    get hasOutgoingHooks() {
+      return hasHook('onOutgoing');
+    },
+  };
+}
+
+module.exports = { createPipeline, createClientView };
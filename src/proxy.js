@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * 反向代理 / 负载均衡支持模块
+ * - 可信代理：trustedProxies 中的 CIDR 列表；只有直连对端属于可信代理时才采信 X-Forwarded-For，
+ *   并从右向左逐跳剥离可信代理地址，第一个不可信的地址即为客户端真实 IP
+ * - PROXY protocol（HAProxy v1 文本格式 / v2 二进制格式）：监听器前置一个 TCP 服务器，
+ *   读取并解析连接开头的 PROXY 头后再将连接交给 HTTP / HTTPS 服务器处理
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+// PROXY protocol v2 签名（12 字节）
+const V2_SIGNATURE = Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a]);
+
+// PROXY protocol v1 头最大长度（含结尾 \r\n）
+const V1_MAX_LENGTH = 107;
+
+// 等待 PROXY 头的超时时间（毫秒）
+const HEADER_TIMEOUT_MS = 5000;
+
+// 原始 TCP 连接上记录的 PROXY 头中的客户端地址
+const PROXIED_ADDRESS = Symbol('proxiedAddress');
+
+/**
+ * 规范化 IP 地址：IPv4 映射的 IPv6 地址（::ffff:a.b.c.d）还原为 IPv4
+ * @param {string} ip
+ * @returns {string}
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') return ip;
+  const lower = ip.toLowerCase();
+  if (lower.startsWith('::ffff:') && net.isIPv4(lower.slice(7))) {
+    return lower.slice(7);
+  }
+  return lower;
+}
+
+/**
+ * 获取连接对端地址：经 PROXY protocol 接入时为 PROXY 头中的源地址，否则为 TCP 对端地址
+ * @param {net.Socket|tls.TLSSocket} socket
+ * @returns {string|undefined}
+ */
+function peerAddress(socket) {
+  // TLS 连接由原始 TCP 连接包装而来，PROXY 头信息记录在原始连接（_parent）上
+  const raw = socket._parent || socket;
+  if (raw[PROXIED_ADDRESS] !== undefined) return raw[PROXIED_ADDRESS];
+  return normalizeIp(socket.remoteAddress);
+}
+
+/**
+ * 创建客户端 IP 解析器
+ * @param {Array<{ address: string, prefix: number, family: string }>} trustedProxies - 可信代理网段
+ * @returns {{ isTrusted: Function, clientIp: Function, reconfigure: Function }}
+ */
+function createProxyResolver(trustedProxies) {
+  let blockList = null;
+
+  /**
+   * 按网段列表重建匹配表
+   * @param {Array<object>} list
+   */
+  function reconfigure(list) {
+    blockList = new net.BlockList();
+    list.forEach(({ address, prefix, family }) => blockList.addSubnet(address, prefix, family));
+  }
+
+  /**
+   * 判断地址是否属于可信代理
+   * @param {string} ip
+   * @returns {boolean}
+   */
+  function isTrusted(ip) {
+    const addr = normalizeIp(ip);
+    const family = net.isIP(addr);
+    if (family === 0) return false;
+    return blockList.check(addr, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * 计算请求的客户端真实 IP
+   * 直连对端不可信时直接使用对端地址；可信时从右向左遍历 X-Forwarded-For，
+   * 跳过可信代理，返回第一个不可信的地址（全部可信时返回最左侧地址，遇到非法条目时停止）
+   * @param {http.IncomingMessage} req
+   * @returns {string}
+   */
+  function clientIp(req) {
+    let ip = (req.socket && peerAddress(req.socket)) || '未知';
+    if (!isTrusted(ip)) return ip;
+
+    const forwarded = req.headers['x-forwarded-for'];
+    if (!forwarded) return ip;
+
+    const hops = forwarded.split(',').map((item) => normalizeIp(item.trim()));
+    for (let i = hops.length - 1; i >= 0; i--) {
+      if (net.isIP(hops[i]) === 0) break;
+      ip = hops[i];
+      if (!isTrusted(ip)) break;
+    }
+    return ip;
+  }
+
+  reconfigure(trustedProxies);
+  return { isTrusted, clientIp, reconfigure };
+}
+
+/**
+ * 尝试从缓冲数据中解析 PROXY 头
+ * @param {Buffer} buf
+ * @returns {{ length: number, address: string|null }|null|Error}
+ *   解析成功返回头长度与源地址（LOCAL / UNKNOWN 时地址为 null），数据不足时返回 null，格式错误时返回 Error
+ */
+function parseProxyHeader(buf) {
+  // ── v2 二进制格式 ─────────────────────────────────────────────
+  if (buf.length >= 1 && buf[0] === V2_SIGNATURE[0]) {
+    if (buf.length < 16) {
+      return V2_SIGNATURE.subarray(0, buf.length).equals(buf.subarray(0, V2_SIGNATURE.length))
+        ? null
+        : new Error('无效的 PROXY v2 签名');
+    }
+    if (!buf.subarray(0, 12).equals(V2_SIGNATURE)) return new Error('无效的 PROXY v2 签名');
+
+    const version = buf[12] >> 4;
+    const command = buf[12] & 0x0f;
+    if (version !== 2) return new Error(`不支持的 PROXY 协议版本：${version}`);
+
+    const length = 16 + buf.readUInt16BE(14);
+    if (buf.length < length) return null;
+
+    // LOCAL 命令（如负载均衡器健康检查）：使用真实对端地址
+    if (command === 0x0) return { length, address: null };
+    if (command !== 0x1) return new Error(`不支持的 PROXY v2 命令：${command}`);
+
+    const family = buf[13] >> 4;
+    if (family === 0x1 && length >= 16 + 12) {
+      return { length, address: Array.from(buf.subarray(16, 20)).join('.') };
+    }
+    if (family === 0x2 && length >= 16 + 36) {
+      const groups = [];
+      for (let i = 0; i < 8; i++) groups.push(buf.readUInt16BE(16 + i * 2).toString(16));
+      return { length, address: normalizeIp(groups.join(':')) };
+    }
+    // AF_UNSPEC / AF_UNIX：无可用的源 IP
+    return { length, address: null };
+  }
+
+  // ── v1 文本格式 ───────────────────────────────────────────────
+  const prefix = 'PROXY ';
+  const head = buf.subarray(0, Math.min(buf.length, prefix.length)).toString('latin1');
+  if (!prefix.startsWith(head)) return new Error('连接未以 PROXY 头开始');
+
+  const end = buf.indexOf('\r\n');
+  if (end === -1) {
+    return buf.length >= V1_MAX_LENGTH ? new Error('PROXY v1 头过长') : null;
+  }
+
+  const parts = buf.subarray(0, end).toString('latin1').split(' ');
+  if (parts[1] === 'UNKNOWN') return { length: end + 2, address: null };
+  if (parts.length !== 6 || (parts[1] !== 'TCP4' && parts[1] !== 'TCP6')) {
+    return new Error('无效的 PROXY v1 头');
+  }
+  const address = normalizeIp(parts[2]);
+  if (net.isIP(address) !== (parts[1] === 'TCP4' ? 4 : 6)) {
+    return new Error(`PROXY v1 头中的源地址无效：${parts[2]}`);
+  }
+  return { length: end + 2, address };
+}
+
+/**
+ * 创建 PROXY protocol 前置 TCP 服务器
+ * 只接受来自可信代理的连接；读取 PROXY 头后将剩余数据放回连接，再交给目标服务器处理
+ * @param {object}   options
+ * @param {http.Server|https.Server} options.target - 实际处理请求的 HTTP / HTTPS 服务器（不单独监听）
+ * @param {Function} options.isTrusted - (ip) => boolean，判断对端是否为可信代理
+ * @param {string}   options.proto     - 协议标签，用于日志（'WS' 或 'WSS'）
+ * @param {object}   options.logger    - 日志模块实例
+ * @returns {net.Server}
+ */
+function createProxyProtocolServer({ target, isTrusted, proto, logger }) {
+  return net.createServer((socket) => {
+    const peer = normalizeIp(socket.remoteAddress);
+
+    if (!isTrusted(peer)) {
+      logger.warn(
+        `PROXY protocol 连接被拒绝 → 协议：${proto}，对端 ${peer} 不在可信代理列表中`,
+        { event: 'proxy_rejected', ip: peer, protocol: proto, reason: 'untrusted_proxy' }
+      );
+      socket.destroy();
+      return;
+    }
+
+    let buffered = Buffer.alloc(0);
+
+    const timer = setTimeout(() => {
+      fail(new Error('等待 PROXY 头超时'));
+    }, HEADER_TIMEOUT_MS);
+
+    function cleanup() {
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      socket.removeListener('error', cleanup);
+      socket.removeListener('close', cleanup);
+    }
+
+    function fail(err) {
+      cleanup();
+      logger.warn(
+        `PROXY 头解析失败 → 协议：${proto}，对端：${peer}，错误：${err.message}，已断开连接`,
+        { event: 'proxy_rejected', ip: peer, protocol: proto, reason: 'invalid_header', error: err.message }
+      );
+      socket.destroy();
+    }
+
+    function onData(chunk) {
+      buffered = Buffer.concat([buffered, chunk]);
+      const result = parseProxyHeader(buffered);
+      if (result === null) return;
+      if (result instanceof Error) {
+        fail(result);
+        return;
+      }
+
+      cleanup();
+      socket.pause();
+      socket[PROXIED_ADDRESS] = result.address !== null ? result.address : peer;
+      const rest = buffered.subarray(result.length);
+      if (rest.length > 0) socket.unshift(rest);
+      target.emit('connection', socket);
+      // HTTP 服务器通过流读取数据，需恢复读取；TLS 服务器会接管底层句柄并自行读取
+      // （包括已放回的数据），此时恢复原始连接的读取会干扰握手
+      if (!(target instanceof tls.Server)) socket.resume();
+    }
+
+    socket.on('data', onData);
+    socket.on('error', cleanup);
+    socket.on('close', cleanup);
+  });
+}
+
+module.exports = { createProxyResolver, createProxyProtocolServer, peerAddress };
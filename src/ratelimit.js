@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * 限流模块
+ * - 消息限流：每个连接两个令牌桶，分别限制每秒消息数与每秒字节数
+ * - 连接数限制：单个 IP 的并发连接数上限与全局并发连接数上限
+ * - 限额读取自共享的配置对象，配置热重载后对已建立的连接同样生效
+ */
+
+/**
+ * 创建一个令牌桶
+ * 令牌按 rate 每秒匀速补充，最多累积 burst 个；
+ * 单次消耗量超过桶容量时，只要桶已满即允许（余额变为负数，由后续补充偿还），
+ * 保证单条大于 burst 的消息不会被永久拒绝，同时平均速率不超过 rate
+ * @param {Function} getLimits - 返回 { rate, burst } 的函数，rate 为 0 表示不限
+ * @returns {{ take: Function }}
+ */
+function createTokenBucket(getLimits) {
+  let tokens = null;
+  let lastRefill = Date.now();
+
+  return {
+    /**
+     * 尝试消耗令牌
+     * @param {number} amount
+     * @returns {boolean} 是否允许
+     */
+    take(amount) {
+      const { rate, burst } = getLimits();
+      if (rate <= 0) return true;
+
+      const capacity = burst > 0 ? burst : rate;
+      const now = Date.now();
+      tokens = tokens === null
+        ? capacity
+        : Math.min(capacity, tokens + ((now - lastRefill) / 1000) * rate);
+      lastRefill = now;
+
+      if (tokens < Math.min(amount, capacity)) return false;
+      tokens -= amount;
+      return true;
+    },
+  };
+}
+
+/**
+ * 创建消息限流器
+ * @param {object} settings - rateLimit 配置：messagesPerSecond / messageBurst / bytesPerSecond / bytesBurst
+ * @returns {{ forConnection: Function, reconfigure: Function }}
+ */
+function createRateLimiter(settings) {
+  let current = settings;
+
+  /**
+   * 为一个连接创建限流状态
+   * @returns {{ check: Function }}
+   */
+  function forConnection() {
+    const messages = createTokenBucket(() => ({ rate: current.messagesPerSecond, burst: current.messageBurst }));
+    const bytes    = createTokenBucket(() => ({ rate: current.bytesPerSecond, burst: current.bytesBurst }));
+
+    return {
+      /**
+       * 检查一条收到的消息是否超限
+       * @param {number} size - 消息字节数
+       * @returns {string|null} 超限项：'messages' / 'bytes'，未超限时返回 null
+       */
+      check(size) {
+        if (!messages.take(1)) return 'messages';
+        if (!bytes.take(size)) return 'bytes';
+        return null;
+      },
+    };
+  }
+
+  /**
+   * 更新限额（配置热重载时调用）
+   * @param {object} next
+   */
+  function reconfigure(next) {
+    current = next;
+  }
+
+  return { forConnection, reconfigure };
+}
+
+/**
+ * 创建连接数限制器
+ * @param {object} settings - rateLimit 配置：maxConnectionsPerIp / maxConnections（0 表示不限）
+ * @returns {{ acquire: Function, release: Function, reconfigure: Function }}
+ */
+function createConnectionLimiter(settings) {
+  let current = settings;
+
+  // Map: IP → 当前连接数（含握手中的连接）
+  const ipCounts = new Map();
+  let total = 0;
+
+  /**
+   * 为一个新连接占用名额
+   * @param {string} ip
+   * @returns {{ ok: true }|{ ok: false, status: number, reason: string }}
+   *   reason 取值：ip_connection_limit（429）、connection_limit（503）
+   */
+  function acquire(ip) {
+    const count = ipCounts.get(ip) || 0;
+    if (current.maxConnectionsPerIp > 0 && count >= current.maxConnectionsPerIp) {
+      return { ok: false, status: 429, reason: 'ip_connection_limit' };
+    }
+    if (current.maxConnections > 0 && total >= current.maxConnections) {
+      return { ok: false, status: 503, reason: 'connection_limit' };
+    }
+    ipCounts.set(ip, count + 1);
+    total++;
+    return { ok: true };
+  }
+
+  /**
+   * 释放一个连接占用的名额（每次 acquire 成功后调用一次）
+   * @param {string} ip
+   */
+  function release(ip) {
+    const count = ipCounts.get(ip) || 0;
+    if (count <= 1) {
+      ipCounts.delete(ip);
+    } else {
+      ipCounts.set(ip, count - 1);
+    }
+    total = Math.max(0, total - 1);
+  }
+
+  /**
+   * 更新上限（配置热重载时调用，已建立的连接不受影响）
+   * @param {object} next
+   */
+  function reconfigure(next) {
+    current = next;
+  }
+
+  return { acquire, release, reconfigure };
+}
+
+module.exports = { createRateLimiter, createConnectionLimiter };
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * 消息确认与送达回执模块（messages.acks）
+ * - 业务消息可携带消息 ID（msgId），服务端受理后回复 ack，拒绝时回复 nack 并附带原因
+ * - 同时携带 "receipt": true 的消息按接收方跟踪送达回执：接收方回复 receipt 后转发给发送方，
+ *   超过 receiptTimeout 仍未回执的接收方报告为投递失败；全部接收方有结果后向发送方发送汇总
+ * - 待回执消息按「发送方 ID + 消息 ID」登记，发送方断开时丢弃其全部待回执消息
+ */
+
+// 消息 ID 最大长度（字符）
+const MAX_MSG_ID_LENGTH = 128;
+
+/**
+ * 校验消息 ID 是否合法（1～128 个字符的字符串或安全整数）
+ * @param {*} msgId
+ * @returns {boolean}
+ */
+function isValidMessageId(msgId) {
+  return (typeof msgId === 'string' && msgId.length > 0 && msgId.length <= MAX_MSG_ID_LENGTH) ||
+    Number.isSafeInteger(msgId);
+}
+
+/**
+ * 创建回执跟踪器
+ * @param {object}   options
+ * @param {number}   options.timeout    - 等待接收方回执的时间（毫秒）
+ * @param {number}   options.maxPending - 单个发送方同时等待回执的消息数上限
+ * @param {Function} options.onReceipt  - 某个接收方有结果时调用
+ *   (senderId, msgId, { status: 'delivered'|'failed', reason?: string, recipient: { id, name } })
+ * @param {Function} options.onComplete - 全部接收方有结果后调用 (senderId, msgId, { delivered, failed })
+ * @returns {{ check: Function, track: Function, confirm: Function, fail: Function, dropSender: Function,
+ *             reconfigure: Function, close: Function }}
+ */
+function createReceiptTracker({ timeout, maxPending, onReceipt, onComplete }) {
+  // Map: 发送方 ID → Map: 消息 ID → { waiting: Map<接收方 ID, { id, name }>, delivered, failed, timer }
+  const senders = new Map();
+
+  /**
+   * 查找待回执消息
+   * @param {string}        senderId
+   * @param {string|number} msgId
+   * @returns {object|undefined}
+   */
+  function lookup(senderId, msgId) {
+    const pending = senders.get(senderId);
+    return pending ? pending.get(msgId) : undefined;
+  }
+
+  /**
+   * 移除待回执消息并发送汇总
+   * @param {string}        senderId
+   * @param {string|number} msgId
+   * @param {object}        entry
+   */
+  function complete(senderId, msgId, entry) {
+    clearTimeout(entry.timer);
+    const pending = senders.get(senderId);
+    pending.delete(msgId);
+    if (pending.size === 0) senders.delete(senderId);
+    onComplete(senderId, msgId, { delivered: entry.delivered, failed: entry.failed });
+  }
+
+  /**
+   * 记录一个接收方的结果，全部接收方有结果后发送汇总
+   * @param {string}        senderId
+   * @param {string|number} msgId
+   * @param {object}        entry
+   * @param {string}        recipientId
+   * @param {string}        status - 'delivered' / 'failed'
+   * @param {string}        [reason]
+   */
+  function settle(senderId, msgId, entry, recipientId, status, reason) {
+    const recipient = entry.waiting.get(recipientId);
+    entry.waiting.delete(recipientId);
+    entry[status]++;
+    onReceipt(senderId, msgId, reason ? { status, reason, recipient } : { status, recipient });
+    if (entry.waiting.size === 0) complete(senderId, msgId, entry);
+  }
+
+  /**
+   * 等待超时：尚未回执的接收方全部报告为失败
+   * @param {string}        senderId
+   * @param {string|number} msgId
+   */
+  function expire(senderId, msgId) {
+    const entry = lookup(senderId, msgId);
+    if (!entry) return;
+    Array.from(entry.waiting.keys()).forEach((recipientId) => {
+      // 最后一个接收方结算时 entry 已移除，不再重复处理
+      if (entry.waiting.has(recipientId)) settle(senderId, msgId, entry, recipientId, 'failed', 'timeout');
+    });
+  }
+
+  /**
+   * 发送方断开：丢弃其全部待回执消息（不再发送回执与汇总）
+   * @param {string} senderId
+   */
+  function dropSender(senderId) {
+    const pending = senders.get(senderId);
+    if (!pending) return;
+    pending.forEach((entry) => clearTimeout(entry.timer));
+    senders.delete(senderId);
+  }
+
+  return {
+    /**
+     * 检查能否登记一条需要回执的消息（调用方据此决定回复 ack 还是 nack）
+     * @param {string}        senderId
+     * @param {string|number} msgId
+     * @returns {{ ok: boolean, code?: string }}
+     *   code 取值：duplicate_msg_id（同一消息 ID 仍在等待回执）、too_many_pending（待回执消息数超出上限）
+     */
+    check(senderId, msgId) {
+      const pending = senders.get(senderId);
+      if (pending && pending.has(msgId)) return { ok: false, code: 'duplicate_msg_id' };
+      if (pending && pending.size >= maxPending) return { ok: false, code: 'too_many_pending' };
+      return { ok: true };
+    },
+
+    /**
+     * 登记一条需要回执的消息（须先经 check() 检查；没有接收方时立即发送汇总）
+     * @param {string}        senderId
+     * @param {string|number} msgId
+     * @param {Array<{ id: string, name: string|null }>} recipients - 预期的接收方
+     */
+    track(senderId, msgId, recipients) {
+      const entry = {
+        waiting:   new Map(recipients.map((recipient) => [recipient.id, recipient])),
+        delivered: 0,
+        failed:    0,
+        timer:     null,
+      };
+      if (!senders.has(senderId)) senders.set(senderId, new Map());
+      senders.get(senderId).set(msgId, entry);
+
+      if (entry.waiting.size === 0) {
+        complete(senderId, msgId, entry);
+      } else {
+        entry.timer = setTimeout(() => expire(senderId, msgId), timeout);
+        entry.timer.unref();
+      }
+    },
+
+    /**
+     * 接收方确认收到消息
+     * @param {string}        senderId
+     * @param {string|number} msgId
+     * @param {string}        recipientId
+     * @returns {boolean} 是否为等待中的回执（消息不存在、已超时或该接收方不在预期列表中时为 false）
+     */
+    confirm(senderId, msgId, recipientId) {
+      const entry = lookup(senderId, msgId);
+      if (!entry || !entry.waiting.has(recipientId)) return false;
+      settle(senderId, msgId, entry, recipientId, 'delivered');
+      return true;
+    },
+
+    /**
+     * 消息未能交给接收方（如慢速客户端策略丢弃、被消息处理管道跳过），不再等待该接收方回执
+     * @param {string}        senderId
+     * @param {string|number} msgId
+     * @param {string}        recipientId
+     * @param {string}        reason
+     */
+    fail(senderId, msgId, recipientId, reason) {
+      const entry = lookup(senderId, msgId);
+      if (entry && entry.waiting.has(recipientId)) settle(senderId, msgId, entry, recipientId, 'failed', reason);
+    },
+
+    /** 发送方断开时调用，见 dropSender() */
+    dropSender,
+
+    /**
+     * 热重载时更新等待时间与上限（只影响之后登记的消息）
+     * @param {{ receiptTimeout: number, maxPending: number }} settings
+     */
+    reconfigure(settings) {
+      timeout    = settings.receiptTimeout;
+      maxPending = settings.maxPending;
+    },
+
+    /**
+     * 清除全部待回执消息与定时器
+     */
+    close() {
+      Array.from(senders.keys()).forEach(dropSender);
+    },
+  };
+}
+
+module.exports = { createReceiptTracker, isValidMessageId };
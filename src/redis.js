@@ -0,0 +1,250 @@
+'use strict';
+
+/**
+ * 最小化 Redis 客户端（RESP2 协议，仅用于集群背板的发布 / 订阅）
+ * - 支持 AUTH、PUBLISH、SUBSCRIBE，断线后按指数退避自动重连，重连后重新认证与订阅
+ * - 不依赖第三方库；命令在未连接时立即失败，由调用方决定是否重试
+ */
+
+const net = require('net');
+
+// 重连等待时间（毫秒）：从 RECONNECT_MIN_MS 开始逐次翻倍，最长 RECONNECT_MAX_MS
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 30000;
+
+// 连接超时（毫秒）
+const CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * 将命令编码为 RESP 数组
+ * @param {Array<string|Buffer|number>} args
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  args.forEach((arg) => {
+    const buf = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg), 'utf8');
+    parts.push(Buffer.from(`$${buf.length}\r\n`), buf, Buffer.from('\r\n'));
+  });
+  return Buffer.concat(parts);
+}
+
+/**
+ * 从缓冲区的指定位置解析一个 RESP 值
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{ value: *, offset: number }|null} 数据不完整时返回 null；错误回复的 value 为 Error
+ */
+function parseReply(buf, offset) {
+  if (offset >= buf.length) return null;
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) return { value: null, offset: next };
+      if (buf.length < next + length + 2) return null;
+      return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`无法识别的 Redis 回复类型：${type}`);
+  }
+}
+
+/**
+ * 创建 Redis 连接
+ * @param {object}   options
+ * @param {string}   options.host
+ * @param {number}   options.port
+ * @param {string}   [options.password] - 为空时不认证
+ * @param {string}   options.label      - 连接用途（用于日志）
+ * @param {object}   options.logger     - 日志模块实例
+ * @param {Function} [options.onMessage] - 订阅消息回调 (channel, message)
+ * @param {Function} [options.onReady]   - 连接（含重连）完成认证与订阅后的回调
+ * @returns {{ command: Function, subscribe: Function, close: Function, connected: boolean }}
+ */
+function createRedisClient({ host, port, password, label, logger, onMessage, onReady }) {
+  let socket       = null;
+  let ready        = false;
+  let closed       = false;
+  let buffer       = Buffer.alloc(0);
+  let retryDelay   = RECONNECT_MIN_MS;
+  let retryTimer   = null;
+  let everReady    = false;
+  let reported     = false; // 本次断线是否已记录日志（重试期间只记录一次）
+
+  // 等待回复的命令（按发送顺序）：[{ resolve, reject }]
+  let pending = [];
+
+  // 已订阅的频道（重连后重新订阅）
+  const channels = new Set();
+
+  /**
+   * 向已建立的连接写入命令（不检查是否已完成认证）
+   * @param {Array} args
+   * @returns {Promise<*>}
+   */
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * 处理收到的数据：订阅消息交给回调，其余按顺序匹配等待中的命令
+   * @param {Buffer} chunk
+   */
+  function onData(chunk) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      let reply;
+      try {
+        reply = parseReply(buffer, offset);
+      } catch (err) {
+        logger.error(`Redis 连接（${label}）收到无法解析的数据：${err.message}，正在重连`);
+        socket.destroy();
+        return;
+      }
+      if (!reply) break;
+      offset = reply.offset;
+      const value = reply.value;
+
+      if (Array.isArray(value) && value[0] === 'message' && channels.size > 0) {
+        if (onMessage) onMessage(value[1], value[2]);
+        continue;
+      }
+      const waiter = pending.shift();
+      if (!waiter) continue;
+      if (value instanceof Error) waiter.reject(value);
+      else waiter.resolve(value);
+    }
+    buffer = offset >= buffer.length ? Buffer.alloc(0) : buffer.subarray(offset);
+  }
+
+  /**
+   * 连接断开：拒绝全部等待中的命令并安排重连
+   * @param {Error} [err]
+   */
+  function onClose(err) {
+    const wasReady = ready;
+    ready  = false;
+    socket = null;
+    buffer = Buffer.alloc(0);
+    const failed = pending;
+    pending = [];
+    failed.forEach(({ reject }) => reject(new Error('Redis 连接已断开')));
+    if (closed) return;
+
+    if (wasReady || !reported) {
+      logger.warn(
+        `Redis 连接（${label}）${wasReady ? '已断开' : `无法连接 ${host}:${port}`}` +
+        `${err ? `：${err.message}` : ''}，${retryDelay / 1000} 秒后重连`
+      );
+      reported = true;
+    }
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+  }
+
+  /**
+   * 建立连接并完成认证与订阅
+   */
+  function connect() {
+    retryTimer = null;
+    let lastError = null;
+    const conn = net.connect({ host, port });
+    socket = conn;
+    conn.setNoDelay(true);
+    conn.setTimeout(CONNECT_TIMEOUT_MS, () => conn.destroy(new Error('连接超时')));
+    conn.on('data', onData);
+    conn.on('error', (err) => { lastError = err; });
+    conn.on('close', () => {
+      if (socket === conn) onClose(lastError);
+    });
+    conn.on('connect', () => {
+      conn.setTimeout(0);
+      const steps = [];
+      if (password) steps.push(['AUTH', password]);
+      if (channels.size > 0) steps.push(['SUBSCRIBE', ...channels]);
+
+      steps.reduce((chain, args) => chain.then(() => send(args)), Promise.resolve()).then(() => {
+        ready = true;
+        reported = false;
+        retryDelay = RECONNECT_MIN_MS;
+        logger.info(`Redis 连接（${label}）已${everReady ? '恢复' : '建立'} → ${host}:${port}`);
+        everReady = true;
+        if (onReady) onReady();
+      }).catch((err) => {
+        logger.error(`Redis 连接（${label}）初始化失败：${err.message}`);
+        lastError = err;
+        conn.destroy();
+      });
+    });
+  }
+
+  connect();
+
+  return {
+    /**
+     * 执行一条命令（未连接时立即失败）
+     * @param {Array<string|Buffer|number>} args
+     * @returns {Promise<*>}
+     */
+    command(args) {
+      if (!ready) return Promise.reject(new Error('Redis 未连接'));
+      return send(args);
+    },
+
+    /**
+     * 订阅频道（连接建立前调用时在连接后订阅；订阅后本连接只能用于接收消息）
+     * @param {string} channel
+     * @returns {Promise<void>}
+     */
+    subscribe(channel) {
+      channels.add(channel);
+      if (!ready) return Promise.resolve();
+      return send(['SUBSCRIBE', channel]).then(() => undefined);
+    },
+
+    /**
+     * 关闭连接并停止重连
+     */
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.end();
+    },
+
+    /** 是否已连接并完成初始化 */
+    get connected() {
+      return ready;
+    },
+  };
+}
+
+module.exports = { createRedisClient };
@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * 客户端连接注册表
+ * - 统一登记所有监听器（WS / WSS）上的在线连接，使不同协议的客户端可以互相通信
+ * - 每个连接归属一个分组（group）：默认所有监听器共享 'shared' 分组，
+ *   配置为隔离（isolated）的监听器使用以协议标签命名的独立分组
+ * - 消息投递、在线人数统计与优雅关闭均以注册表为准
+ * - 为每个连接分配服务端唯一 ID，并维护客户端自选名称索引，用于定向（单播）消息
+ */
+
+const crypto = require('crypto');
+
+// 共享分组名称（未隔离的监听器均归入此分组）
+const SHARED_GROUP = 'shared';
+
+// 客户端名称最大长度（字符）
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * 校验客户端名称是否合法
+ * @param {*} name
+ * @returns {boolean}
+ */
+function isValidClientName(name) {
+  return typeof name === 'string' &&
+    name.length > 0 &&
+    name.length <= MAX_NAME_LENGTH;
+}
+
+/**
+ * 创建客户端注册表
+ * @returns {{ add: Function, remove: Function, get: Function, has: Function, setName: Function,
+ *             find: Function, findTarget: Function, groupMembers: Function, peersOf: Function, filterGroup: Function,
+ *             forEach: Function, size: number }}
+ */
+function createClientRegistry() {
+  // Map: WebSocket → { socket, id, name, ip, proto, group, connectedAt }
+  const clientMap = new Map();
+
+  // Map: 客户端 ID → WebSocket
+  const idMap = new Map();
+
+  // Map: 客户端名称 → WebSocket（名称全局唯一）
+  const nameMap = new Map();
+
+  // Map: 分组名 → Set<WebSocket>
+  const groupMap = new Map();
+
+  /**
+   * 登记一个新连接
+   * @param {WebSocket} socket
+   * @param {object}    info
+   * @param {string}    info.ip    - 客户端 IP
+   * @param {string}    info.proto - 协议标签（'WS' 或 'WSS'）
+   * @param {string}    info.group - 所属分组
+   * @returns {object}  连接信息对象
+   */
+  function add(socket, { ip, proto, group }) {
+    const id = crypto.randomUUID();
+    const info = { socket, id, name: null, ip, proto, group, connectedAt: Date.now() };
+    clientMap.set(socket, info);
+    idMap.set(id, socket);
+
+    let members = groupMap.get(group);
+    if (!members) {
+      members = new Set();
+      groupMap.set(group, members);
+    }
+    members.add(socket);
+
+    return info;
+  }
+
+  /**
+   * 注销一个连接（可重复调用）
+   * @param {WebSocket} socket
+   * @returns {object|undefined} 被注销的连接信息
+   */
+  function remove(socket) {
+    const info = clientMap.get(socket);
+    if (!info) return undefined;
+
+    clientMap.delete(socket);
+    idMap.delete(info.id);
+    if (info.name !== null && nameMap.get(info.name) === socket) {
+      nameMap.delete(info.name);
+    }
+    const members = groupMap.get(info.group);
+    if (members) {
+      members.delete(socket);
+      if (members.size === 0) {
+        groupMap.delete(info.group);
+      }
+    }
+    return info;
+  }
+
+  /**
+   * 获取连接信息
+   * @param {WebSocket} socket
+   * @returns {object|undefined}
+   */
+  function get(socket) {
+    return clientMap.get(socket);
+  }
+
+  /**
+   * 判断连接是否已登记
+   * @param {WebSocket} socket
+   * @returns {boolean}
+   */
+  function has(socket) {
+    return clientMap.has(socket);
+  }
+
+  /**
+   * 设置（或更换）连接的客户端名称
+   * @param {WebSocket} socket
+   * @param {string}    name
+   * @returns {{ ok: boolean, code?: string }}
+   *   code 取值：invalid_name（名称非法）、name_taken（名称已被其他连接占用）
+   */
+  function setName(socket, name) {
+    const info = clientMap.get(socket);
+    if (!info) return { ok: false, code: 'not_registered' };
+    if (!isValidClientName(name)) return { ok: false, code: 'invalid_name' };
+
+    const owner = nameMap.get(name);
+    if (owner && owner !== socket) {
+      return { ok: false, code: 'name_taken' };
+    }
+
+    if (info.name !== null) {
+      nameMap.delete(info.name);
+    }
+    info.name = name;
+    nameMap.set(name, socket);
+    return { ok: true };
+  }
+
+  /**
+   * 按客户端 ID 或名称查找连接（ID 优先，不限分组）
+   * @param {string} key - 客户端 ID 或名称
+   * @returns {object|undefined} 连接信息
+   */
+  function find(key) {
+    const socket = idMap.get(key) || nameMap.get(key);
+    return socket ? clientMap.get(socket) : undefined;
+  }
+
+  /**
+   * 按客户端 ID 或名称查找同一分组内的目标连接（ID 优先）
+   * @param {string} key   - 客户端 ID 或名称
+   * @param {string} group - 发送方所属分组
+   * @returns {object|undefined} 目标连接信息
+   */
+  function findTarget(key, group) {
+    const info = find(key);
+    return (info && info.group === group) ? info : undefined;
+  }
+
+  /**
+   * 获取某分组的全部连接（分组不存在时返回空集合）
+   * @param {string} group
+   * @returns {Set<WebSocket>}
+   */
+  function groupMembers(group) {
+    return groupMap.get(group) || new Set();
+  }
+
+  /**
+   * 获取与指定连接处于同一分组的全部连接（含其自身）
+   * @param {WebSocket} socket
+   * @returns {Set<WebSocket>}
+   */
+  function peersOf(socket) {
+    const info = clientMap.get(socket);
+    return info ? groupMembers(info.group) : new Set();
+  }
+
+  /**
+   * 从给定连接集合中筛选出属于指定分组的连接
+   * @param {Iterable<WebSocket>} sockets
+   * @param {string}              group
+   * @returns {Set<WebSocket>}
+   */
+  function filterGroup(sockets, group) {
+    const result = new Set();
+    for (const socket of sockets) {
+      const info = clientMap.get(socket);
+      if (info && info.group === group) {
+        result.add(socket);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 遍历全部连接
+   * @param {Function} fn - 回调 (info, socket) => void
+   */
+  function forEach(fn) {
+    clientMap.forEach(fn);
+  }
+
+  return {
+    add,
+    remove,
+    get,
+    has,
+    setName,
+    find,
+    findTarget,
+    groupMembers,
+    peersOf,
+    filterGroup,
+    forEach,
+
+    /** 全部在线连接数（跨所有监听器） */
+    get size() {
+      return clientMap.size;
+    },
+  };
+}
+
+module.exports = { createClientRegistry, isValidClientName, SHARED_GROUP };
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * 房间（频道）管理模块
+ * - 客户端可通过控制消息加入 / 离开命名房间
+ * - 携带 room 字段的业务消息只投递给该房间的成员
+ * - 限制单个连接可同时加入的房间数量
+ * - 连接断开时自动退出其加入的全部房间
+ */
+
+// 房间名最大长度（字符）
+const MAX_ROOM_NAME_LENGTH = 64;
+
+/**
+ * 校验房间名是否合法
+ * @param {*} room
+ * @returns {boolean}
+ */
+function isValidRoomName(room) {
+  return typeof room === 'string' &&
+    room.length > 0 &&
+    room.length <= MAX_ROOM_NAME_LENGTH;
+}
+
+/**
+ * 创建房间管理器
+ * @param {object} options
+ * @param {number} options.maxRoomsPerClient - 单个连接最多可加入的房间数
+ * @returns {{ join: Function, leave: Function, leaveAll: Function, members: Function, roomsOf: Function,
+ *             setMaxRoomsPerClient: Function }}
+ */
+function createRoomManager({ maxRoomsPerClient }) {
+  // Map: 房间名 → Set<WebSocket>
+  const roomMap = new Map();
+
+  // Map: WebSocket → Set<房间名>
+  const socketRooms = new Map();
+
+  /**
+   * 将连接加入房间
+   * @param {WebSocket} socket
+   * @param {string}    room
+   * @returns {{ ok: boolean, code?: string, members: number }}
+   *   code 取值：invalid_room（房间名非法）、room_limit（超出房间数上限）
+   */
+  function join(socket, room) {
+    if (!isValidRoomName(room)) {
+      return { ok: false, code: 'invalid_room', members: 0 };
+    }
+
+    let rooms = socketRooms.get(socket);
+    if (rooms && rooms.has(room)) {
+      // 重复加入视为成功，不重复计数
+      return { ok: true, members: roomMap.get(room).size };
+    }
+    if (rooms && rooms.size >= maxRoomsPerClient) {
+      return { ok: false, code: 'room_limit', members: roomMap.has(room) ? roomMap.get(room).size : 0 };
+    }
+
+    if (!rooms) {
+      rooms = new Set();
+      socketRooms.set(socket, rooms);
+    }
+    rooms.add(room);
+
+    let members = roomMap.get(room);
+    if (!members) {
+      members = new Set();
+      roomMap.set(room, members);
+    }
+    members.add(socket);
+
+    return { ok: true, members: members.size };
+  }
+
+  /**
+   * 将连接移出房间
+   * @param {WebSocket} socket
+   * @param {string}    room
+   * @returns {{ ok: boolean, code?: string, members: number }}
+   *   code 取值：not_in_room（该连接不在此房间中）
+   */
+  function leave(socket, room) {
+    const rooms = socketRooms.get(socket);
+    if (!rooms || !rooms.has(room)) {
+      return { ok: false, code: 'not_in_room', members: roomMap.has(room) ? roomMap.get(room).size : 0 };
+    }
+
+    rooms.delete(room);
+    if (rooms.size === 0) {
+      socketRooms.delete(socket);
+    }
+
+    const members = roomMap.get(room);
+    members.delete(socket);
+    if (members.size === 0) {
+      // 空房间立即回收
+      roomMap.delete(room);
+    }
+
+    return { ok: true, members: members.size };
+  }
+
+  /**
+   * 将连接移出其加入的所有房间（连接断开时调用）
+   * @param {WebSocket} socket
+   * @returns {Array<{ room: string, members: number }>} 被移出的房间及剩余人数
+   */
+  function leaveAll(socket) {
+    const rooms = socketRooms.get(socket);
+    if (!rooms) return [];
+
+    const result = [];
+    Array.from(rooms).forEach((room) => {
+      const { members } = leave(socket, room);
+      result.push({ room, members });
+    });
+    return result;
+  }
+
+  /**
+   * 获取房间的成员集合（房间不存在时返回空集合）
+   * @param {string} room
+   * @returns {Set<WebSocket>}
+   */
+  function members(room) {
+    return roomMap.get(room) || new Set();
+  }
+
+  /**
+   * 获取连接已加入的房间列表
+   * @param {WebSocket} socket
+   * @returns {string[]}
+   */
+  function roomsOf(socket) {
+    const rooms = socketRooms.get(socket);
+    return rooms ? Array.from(rooms) : [];
+  }
+
+  /**
+   * 调整单个连接的房间数上限（配置热重载时调用，已加入的房间不受影响）
+   * @param {number} limit
+   */
+  function setMaxRoomsPerClient(limit) {
+    maxRoomsPerClient = limit;
+  }
+
+  return { join, leave, leaveAll, members, roomsOf, setMaxRoomsPerClient };
+}
+
+module.exports = { createRoomManager, isValidRoomName };
@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * JSON Schema 校验模块（draft-07 常用子集）
+ * - 支持的关键字：type、enum、const、
+ *   properties、required、additionalProperties、minProperties、maxProperties、
+ *   items、minItems、maxItems、minLength、maxLength、pattern、
+ *   minimum、maximum、exclusiveMinimum、exclusiveMaximum、allOf、anyOf、oneOf、not
+ * - 不支持 $ref、format 等关键字，未知关键字按规范忽略
+ * - 编译时检查 schema 本身（类型名、正则表达式等），运行时只做校验
+ */
+
+// 支持的 type 取值
+const SCHEMA_TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+
+// 单次校验最多收集的错误条数
+const MAX_ERRORS = 10;
+
+/**
+ * 获取 JSON 值的类型名
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 判断值是否属于 schema 中声明的类型
+ * @param {*}      value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * 判断两个 JSON 值是否相等（用于 enum / const）
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  const type = typeOf(a);
+  if (type !== typeOf(b) || (type !== 'object' && type !== 'array')) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => deepEqual(a[key], b[key]));
+}
+
+/**
+ * 将 JSON Pointer 片段转义后拼接到路径
+ * @param {string}        base
+ * @param {string|number} key
+ * @returns {string}
+ */
+function childPath(base, key) {
+  return `${base}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * 编译 schema，返回校验函数
+ * @param {object|boolean} schema
+ * @param {string} [where] - schema 内的位置（用于错误信息）
+ * @returns {Function} (value, path, errors) => void，将错误追加到 errors
+ */
+function compileNode(schema, where = '#') {
+  if (schema === true) return () => {};
+  if (schema === false) {
+    return (value, path, errors) => errors.push({ path, message: '不允许出现该值' });
+  }
+  if (typeOf(schema) !== 'object') {
+    throw new Error(`schema ${where} 必须为对象或布尔值`);
+  }
+
+  // 各关键字的检查函数
+  const checks = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    types.forEach((type) => {
+      if (!SCHEMA_TYPES.includes(type)) throw new Error(`schema ${where}/type 不支持的类型：${type}`);
+    });
+    checks.push((value, path, errors) => {
+      if (!types.some((type) => matchType(value, type))) {
+        errors.push({ path, message: `类型应为 ${types.join(' / ')}` });
+      }
+    });
+  }
+
+  if (schema.enum !== undefined) {
+    if (!Array.isArray(schema.enum)) throw new Error(`schema ${where}/enum 必须为数组`);
+    checks.push((value, path, errors) => {
+      if (!schema.enum.some((item) => deepEqual(item, value))) {
+        errors.push({ path, message: `取值应为 ${schema.enum.map((item) => JSON.stringify(item)).join(' / ')} 之一` });
+      }
+    });
+  }
+
+  if (schema.const !== undefined) {
+    checks.push((value, path, errors) => {
+      if (!deepEqual(schema.const, value)) {
+        errors.push({ path, message: `取值应为 ${JSON.stringify(schema.const)}` });
+      }
+    });
+  }
+
+  // ── 字符串 ────────────────────────────────────────────────
+  if (schema.minLength !== undefined || schema.maxLength !== undefined || schema.pattern !== undefined) {
+    let regex = null;
+    if (schema.pattern !== undefined) {
+      try {
+        regex = new RegExp(schema.pattern, 'u');
+      } catch (err) {
+        throw new Error(`schema ${where}/pattern 不是合法的正则表达式：${err.message}`);
+      }
+    }
+    checks.push((value, path, errors) => {
+      if (typeof value !== 'string') return;
+      // 按 Unicode 码点计算长度
+      const length = Array.from(value).length;
+      if (schema.minLength !== undefined && length < schema.minLength) {
+        errors.push({ path, message: `长度不能少于 ${schema.minLength}` });
+      }
+      if (schema.maxLength !== undefined && length > schema.maxLength) {
+        errors.push({ path, message: `长度不能超过 ${schema.maxLength}` });
+      }
+      if (regex && !regex.test(value)) {
+        errors.push({ path, message: `不匹配格式 ${schema.pattern}` });
+      }
+    });
+  }
+
+  // ── 数值 ──────────────────────────────────────────────────
+  const bounds = [
+    ['minimum',          (value, limit) => value >= limit, '不能小于'],
+    ['maximum',          (value, limit) => value <= limit, '不能大于'],
+    ['exclusiveMinimum', (value, limit) => value > limit,  '必须大于'],
+    ['exclusiveMaximum', (value, limit) => value < limit,  '必须小于'],
+  ].filter(([keyword]) => schema[keyword] !== undefined);
+  if (bounds.length > 0) {
+    bounds.forEach(([keyword]) => {
+      if (typeof schema[keyword] !== 'number') throw new Error(`schema ${where}/${keyword} 必须为数字`);
+    });
+    checks.push((value, path, errors) => {
+      if (typeof value !== 'number') return;
+      bounds.forEach(([keyword, test, text]) => {
+        if (!test(value, schema[keyword])) errors.push({ path, message: `${text} ${schema[keyword]}` });
+      });
+    });
+  }
+
+  // ── 对象 ──────────────────────────────────────────────────
+  const properties = {};
+  if (schema.properties !== undefined) {
+    if (typeOf(schema.properties) !== 'object') throw new Error(`schema ${where}/properties 必须为对象`);
+    Object.keys(schema.properties).forEach((key) => {
+      properties[key] = compileNode(schema.properties[key], `${where}/properties/${key}`);
+    });
+  }
+  const required = schema.required !== undefined ? schema.required : [];
+  if (!Array.isArray(required)) throw new Error(`schema ${where}/required 必须为数组`);
+  const additional = schema.additionalProperties !== undefined
+    ? compileNode(schema.additionalProperties, `${where}/additionalProperties`)
+    : null;
+  const hasObjectChecks = schema.properties !== undefined || required.length > 0 || additional !== null ||
+    schema.minProperties !== undefined || schema.maxProperties !== undefined;
+
+  if (hasObjectChecks) {
+    checks.push((value, path, errors) => {
+      if (typeOf(value) !== 'object') return;
+      required.forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push({ path: childPath(path, key), message: '缺少必填字段' });
+        }
+      });
+      const keys = Object.keys(value);
+      keys.forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+          properties[key](value[key], childPath(path, key), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath(path, key), message: '不允许的字段' });
+        } else if (additional) {
+          additional(value[key], childPath(path, key), errors);
+        }
+      });
+      if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+        errors.push({ path, message: `字段数不能少于 ${schema.minProperties}` });
+      }
+      if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+        errors.push({ path, message: `字段数不能超过 ${schema.maxProperties}` });
+      }
+    });
+  }
+
+  // ── 数组 ──────────────────────────────────────────────────
+  const items = schema.items !== undefined ? compileNode(schema.items, `${where}/items`) : null;
+  if (items || schema.minItems !== undefined || schema.maxItems !== undefined) {
+    checks.push((value, path, errors) => {
+      if (!Array.isArray(value)) return;
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `元素个数不能少于 ${schema.minItems}` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `元素个数不能超过 ${schema.maxItems}` });
+      }
+      if (items) {
+        for (let i = 0; i < value.length && errors.length < MAX_ERRORS; i++) {
+          items(value[i], childPath(path, i), errors);
+        }
+      }
+    });
+  }
+
+  // ── 组合 ──────────────────────────────────────────────────
+  ['allOf', 'anyOf', 'oneOf'].forEach((keyword) => {
+    if (schema[keyword] === undefined) return;
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+      throw new Error(`schema ${where}/${keyword} 必须为非空数组`);
+    }
+    const branches = schema[keyword].map((item, i) => compileNode(item, `${where}/${keyword}/${i}`));
+    checks.push((value, path, errors) => {
+      if (keyword === 'allOf') {
+        branches.forEach((branch) => branch(value, path, errors));
+        return;
+      }
+      const passed = branches.filter((branch) => {
+        const branchErrors = [];
+        branch(value, path, branchErrors);
+        return branchErrors.length === 0;
+      }).length;
+      if (keyword === 'anyOf' && passed === 0) {
+        errors.push({ path, message: '不满足 anyOf 中的任何一个条件' });
+      }
+      if (keyword === 'oneOf' && passed !== 1) {
+        errors.push({ path, message: `应恰好满足 oneOf 中的一个条件（实际满足 ${passed} 个）` });
+      }
+    });
+  });
+
+  if (schema.not !== undefined) {
+    const not = compileNode(schema.not, `${where}/not`);
+    checks.push((value, path, errors) => {
+      const notErrors = [];
+      not(value, path, notErrors);
+      if (notErrors.length === 0) errors.push({ path, message: '不应满足 not 中的条件' });
+    });
+  }
+
+  return (value, path, errors) => {
+    for (const check of checks) {
+      if (errors.length >= MAX_ERRORS) return;
+      check(value, path, errors);
+    }
+  };
+}
+
+/**
+ * 编译 JSON Schema
+ * @param {object|boolean} schema
+ * @returns {Function} (value) => Array<{ path: string, message: string }>，校验通过时返回空数组；
+ *   path 为 JSON Pointer 形式的字段位置（根为 ""），最多返回 MAX_ERRORS 条
+ * @throws {Error} schema 本身不合法时抛出
+ */
+function compileSchema(schema) {
+  const validate = compileNode(schema);
+  return (value) => {
+    const errors = [];
+    validate(value, '', errors);
+    return errors.slice(0, MAX_ERRORS);
+  };
+}
+
+module.exports = { compileSchema };
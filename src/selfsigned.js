@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * 自签名证书生成模块（tls.selfSigned）
+ * - 完全离线、不依赖 openssl：以 node:crypto 生成 RSA 2048 密钥，按 X.509 v3 格式直接编码证书（DER）并签名
+ * - 证书主题仅含 CN；subjectAltName 含 CN 与 altNames 中的主机名和 IP；用途限定为 TLS 服务端（serverAuth）
+ * - 启用后，tls.cert 与 tls.key 两个文件都不存在时，在启动 WSS 监听器前生成并写入；
+ *   也可通过命令行 gen-cert 子命令手动生成
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const net    = require('net');
+const path   = require('path');
+
+// 对象标识符
+const OID_COMMON_NAME        = '2.5.4.3';
+const OID_SHA256_WITH_RSA    = '1.2.840.113549.1.1.11';
+const OID_BASIC_CONSTRAINTS  = '2.5.29.19';
+const OID_KEY_USAGE          = '2.5.29.15';
+const OID_EXT_KEY_USAGE      = '2.5.29.37';
+const OID_SUBJECT_ALT_NAME   = '2.5.29.17';
+const OID_SERVER_AUTH        = '1.3.6.1.5.5.7.3.1';
+
+// 证书生效时间向前回拨（毫秒），容忍客户端与服务端之间的时钟偏差
+const CLOCK_SKEW_MS = 60 * 60 * 1000;
+
+// ── DER 编码 ──────────────────────────────────────────────────
+/**
+ * 编码 TLV 结构
+ * @param {number}   tag
+ * @param {Buffer[]} contents
+ * @returns {Buffer}
+ */
+function tlv(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  let header;
+  if (body.length < 0x80) {
+    header = Buffer.from([tag, body.length]);
+  } else {
+    const lengthBytes = [];
+    for (let n = body.length; n > 0; n = Math.floor(n / 256)) lengthBytes.unshift(n % 256);
+    header = Buffer.from([tag, 0x80 | lengthBytes.length, ...lengthBytes]);
+  }
+  return Buffer.concat([header, body]);
+}
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set      = (...items) => tlv(0x31, ...items);
+const explicit = (index, content) => tlv(0xa0 | index, content);
+
+/**
+ * 编码无符号大整数（大端字节序）
+ * @param {Buffer} bytes
+ * @returns {Buffer}
+ */
+function integer(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const value = bytes.subarray(start);
+  return tlv(0x02, value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value);
+}
+
+/**
+ * 编码对象标识符
+ * @param {string} dotted - 如 "2.5.4.3"
+ * @returns {Buffer}
+ */
+function oid(dotted) {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [40 * parts[0] + parts[1]];
+  parts.slice(2).forEach((part) => {
+    const chunk = [part & 0x7f];
+    for (let rest = part >>> 7; rest > 0; rest >>>= 7) chunk.unshift(0x80 | (rest & 0x7f));
+    bytes.push(...chunk);
+  });
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+/**
+ * 编码时间：2050 年之前使用 UTCTime，之后使用 GeneralizedTime（RFC 5280 4.1.2.5）
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+function time(date) {
+  const digits = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  const year = date.getUTCFullYear();
+  return year < 2050 ? tlv(0x17, Buffer.from(digits.slice(2))) : tlv(0x18, Buffer.from(digits));
+}
+
+/**
+ * 编码扩展项
+ * @param {string}  id
+ * @param {boolean} critical
+ * @param {Buffer}  value - 扩展值（DER）
+ * @returns {Buffer}
+ */
+function extension(id, critical, value) {
+  return critical
+    ? sequence(oid(id), tlv(0x01, Buffer.from([0xff])), tlv(0x04, value))
+    : sequence(oid(id), tlv(0x04, value));
+}
+
+/**
+ * 将 IP 地址转换为 4 或 16 字节
+ * @param {string} ip
+ * @returns {Buffer}
+ */
+function ipBytes(ip) {
+  if (net.isIPv4(ip)) return Buffer.from(ip.split('.').map(Number));
+
+  // IPv6：结尾为 IPv4 形式（如 ::ffff:192.0.2.1）时先转换为两组十六进制，再展开 "::"
+  let text = ip;
+  const v4 = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (v4) {
+    const [a, b, c, d] = v4.slice(1).map(Number);
+    text = `${text.slice(0, v4.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  const bytes = Buffer.alloc(16);
+  headGroups.concat(zeros, tailGroups).forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+  return bytes;
+}
+
+// ── 证书生成 ──────────────────────────────────────────────────
+/**
+ * 生成自签名证书与私钥
+ * @param {object}   options
+ * @param {string}   options.commonName   - 证书主题 CN
+ * @param {string[]} options.altNames     - 附加的主机名与 IP（CN 为主机名或 IP 时自动加入）
+ * @param {number}   options.days         - 有效天数
+ * @param {string}   [options.passphrase] - 非空时以 AES-256-CBC 加密私钥
+ * @returns {{ cert: string, key: string, fingerprint: string, altNames: string[], validTo: Date }}
+ *          cert / key 为 PEM 文本，fingerprint 为 SHA-256 指纹
+ */
+function createSelfSignedCertificate({ commonName, altNames, days, passphrase }) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const names = Array.from(new Set([commonName].concat(altNames).filter(isValidAltName)));
+  const notBefore = new Date(Date.now() - CLOCK_SKEW_MS);
+  const notAfter  = new Date(notBefore.getTime() + CLOCK_SKEW_MS + days * 24 * 60 * 60 * 1000);
+
+  const serial = crypto.randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x40; // 正数且不以 0 开头
+  const algorithm = sequence(oid(OID_SHA256_WITH_RSA), Buffer.from([0x05, 0x00]));
+  const name = sequence(set(sequence(oid(OID_COMMON_NAME), tlv(0x0c, Buffer.from(commonName, 'utf8')))));
+
+  const generalNames = names.map((entry) => (
+    net.isIP(entry) ? tlv(0x87, ipBytes(entry)) : tlv(0x82, Buffer.from(entry, 'ascii'))
+  ));
+  const extensions = [
+    extension(OID_BASIC_CONSTRAINTS, true, sequence()),
+    // digitalSignature + keyEncipherment（BIT STRING：首字节为末尾未使用的位数）
+    extension(OID_KEY_USAGE, true, tlv(0x03, Buffer.from([0x05, 0xa0]))),
+    extension(OID_EXT_KEY_USAGE, false, sequence(oid(OID_SERVER_AUTH))),
+  ];
+  if (generalNames.length > 0) {
+    extensions.push(extension(OID_SUBJECT_ALT_NAME, false, sequence(...generalNames)));
+  }
+
+  const tbs = sequence(
+    explicit(0, integer(Buffer.from([2]))), // v3
+    integer(serial),
+    algorithm,
+    name,
+    sequence(time(notBefore), time(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const der = sequence(tbs, algorithm, tlv(0x03, Buffer.from([0]), signature));
+
+  const cert = `-----BEGIN CERTIFICATE-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+  const key  = privateKey.export(passphrase
+    ? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }
+    : { type: 'pkcs8', format: 'pem' });
+
+  const x509 = new crypto.X509Certificate(cert);
+  return { cert, key, fingerprint: x509.fingerprint256, altNames: names, validTo: new Date(x509.validTo) };
+}
+
+/**
+ * 是否为可写入 subjectAltName 的主机名（可含 *. 通配符前缀）或 IP 地址
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidAltName(value) {
+  if (typeof value !== 'string') return false;
+  if (net.isIP(value)) return true;
+  return value.length <= 253 && /^(\*\.)?[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/.test(value);
+}
+
+/**
+ * 生成自签名证书并写入 tls.cert / tls.key（私钥文件权限为 0600）
+ * @param {object} tls    - parseTlsConfig() 的返回值（使用 cert / key / passphrase / selfSigned）
+ * @param {object} logger
+ * @returns {{ fingerprint: string, altNames: string[], validTo: Date }}
+ */
+function writeSelfSignedCertificate(tls, logger) {
+  const { commonName, altNames, days } = tls.selfSigned;
+  const result = createSelfSignedCertificate({ commonName, altNames, days, passphrase: tls.passphrase });
+
+  fs.mkdirSync(path.dirname(tls.key), { recursive: true });
+  fs.mkdirSync(path.dirname(tls.cert), { recursive: true });
+  fs.writeFileSync(tls.key, result.key, { mode: 0o600 });
+  // mode 只在新建文件时生效，覆盖已有文件（gen-cert --force）时需单独收紧权限
+  fs.chmodSync(tls.key, 0o600);
+  fs.writeFileSync(tls.cert, result.cert);
+
+  logger.info(
+    `已生成自签名证书 → 证书：${tls.cert}，私钥：${tls.key}，CN：${commonName}，` +
+    `SAN：${result.altNames.join('、') || '无'}，有效期至：${result.validTo.toISOString()}，` +
+    `SHA-256 指纹：${result.fingerprint}`,
+    { event: 'tls_self_signed', cert: tls.cert, commonName, altNames: result.altNames, fingerprint: result.fingerprint }
+  );
+  logger.warn('自签名证书不受客户端信任：客户端需导入该证书或核对上述指纹，或关闭证书校验（仅限测试）');
+  return result;
+}
+
+/**
+ * tls.selfSigned 启用且证书与私钥文件都不存在时生成自签名证书
+ * @param {object} tls    - parseTlsConfig() 的返回值
+ * @param {object} logger
+ * @returns {boolean} 是否生成了新证书
+ */
+function ensureSelfSignedCertificate(tls, logger) {
+  if (!tls.selfSigned.enabled || fs.existsSync(tls.cert) || fs.existsSync(tls.key)) return false;
+  writeSelfSignedCertificate(tls, logger);
+  return true;
+}
+
+module.exports = { createSelfSignedCertificate, writeSelfSignedCertificate, ensureSelfSignedCertificate, isValidAltName };
@@ -0,0 +1,2355 @@
+'use strict';
+
+/**
+ * WebSocket 服务端（可嵌入的库形式，命令行入口见 server.js）
+ * 功能：
+ *  - 根据配置启动 WS（明文）和/或 WSS（TLS 加密）服务器
+ *  - WSS 支持按 SNI 主机名选择证书，证书文件更新后原地替换，无需重启；证书缺失时可自动生成自签名证书
+ *  - WSS 可选双向 TLS：校验客户端证书，证书 CN 作为连接身份与名称
+ *  - 可选的握手鉴权（API Key / JWT），未通过的升级请求返回 401 / 403
+ *  - 客户端连接/断开时记录日志
+ *  - 收到消息后广播给其他所有在线客户端（排除发送方），WS 与 WSS 客户端互通
+ *  - 支持房间订阅：携带 room 字段的消息仅投递给该房间成员
+ *  - 可选的历史消息缓冲：广播消息附带序号，客户端重连后可请求补发错过的消息
+ *  - 可选的离线消息队列：具名客户端离线期间的定向消息与广播存盘，重新连接后按顺序补发
+ *  - 每个连接分配服务端唯一 ID（可附加客户端自选名称），携带 to 字段的消息定向投递给单个客户端
+ *  - 可选的消息确认：携带 msgId 的消息受理后回复 ack / nack，可按接收方转发送达回执，超时未回执报告为失败
+ *  - 通过原生 ping/pong 帧实现心跳检测，自动清理僵尸连接
+ *  - 可选的在线状态：向同分组客户端推送上下线事件，客户端可查询在线列表（可限定房间）
+ *  - 可选的限流：每连接消息数 / 字节数令牌桶，单 IP 与全局并发连接数上限
+ *  - 可选的 HTTP 管理接口：健康检查、在线客户端列表、踢出客户端、HTTP 推送消息
+ *  - 可选的 Prometheus 指标接口（/metrics）
+ *  - 可选的集群模式：多个实例通过背板（Redis / TCP mesh）互通广播与定向消息，在线人数与客户端列表集群汇总
+ *  - 监听 config.json 变化或 SIGHUP 信号热重载配置，仅重启受影响的监听器，不断开其他连接
+ *
+ * 用法：const server = createServer({ config | configPath, logger, hooks }); await server.start();
+ * 返回的对象是 EventEmitter，触发 listening / connection / message / disconnect / reload / close 事件
+ */
+
+const EventEmitter = require('events');
+
+const http  = require('http');
+const https = require('https');
+const fs    = require('fs');
+const path  = require('path');
+const WebSocket = require('ws');
+
+const { loadConfig, parseConfig, getConfigPath } = require('./config');
+const { createLogger }           = require('./logger');
+const { createHeartbeatManager } = require('./heartbeat');
+const { broadcast, unicast, createFanoutQueue } = require('./broadcast');
+const { createRoomManager, isValidRoomName } = require('./rooms');
+const { createClientRegistry, isValidClientName, SHARED_GROUP } = require('./registry');
+const { createAuthenticator, createProtocolSelector } = require('./auth');
+const { createAdminApi }         = require('./admin');
+const { createServerMetrics, labelToken } = require('./metrics');
+const { createTlsManager }       = require('./tls');
+const { ensureSelfSignedCertificate } = require('./selfsigned');
+const { createHistory }          = require('./history');
+const { createOfflineQueue }     = require('./offline');
+const { createRateLimiter, createConnectionLimiter } = require('./ratelimit');
+const { createOutboundManager }  = require('./outbound');
+const { createProxyResolver, createProxyProtocolServer, peerAddress } = require('./proxy');
+const { createUpgradePolicy }    = require('./upgrade');
+const { buildDeflateOptions, createCompressionStats } = require('./compression');
+const { createPipeline, createClientView } = require('./pipeline');
+const { createCluster }          = require('./cluster');
+const { createReceiptTracker, isValidMessageId } = require('./receipts');
+
+// ── 工具函数：客户端日志描述 ──────────────────────────────────
+/**
+ * 生成用于日志的客户端描述：
+ * 已鉴权时为「身份（IP）」，已设置名称时为「名称（IP）」，否则为 IP
+ * @param {object} info - 注册表中的连接信息
+ * @returns {string}
+ */
+function clientLabel(info) {
+  if (info.identity) return `${info.identity.name}（${info.ip}）`;
+  if (info.name)     return `${info.name}（${info.ip}）`;
+  return info.ip;
+}
+
+/**
+ * 生成客户端的结构化日志字段（json 日志格式下输出）
+ * @param {object} info - 注册表中的连接信息
+ * @returns {{ ip: string, protocol: string, clientId: string, name: string|null, identity: string|null }}
+ */
+function clientFields(info) {
+  return {
+    ip:       info.ip,
+    protocol: info.proto,
+    clientId: info.id,
+    name:     info.name,
+    identity: info.identity ? info.identity.name : null,
+  };
+}
+
+/**
+ * 将压缩比格式化为百分比（无数据时为「-」）
+ * @param {number|null} ratio
+ * @returns {string}
+ */
+function formatRatio(ratio) {
+  return ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`;
+}
+
+// ── 工具函数：获取客户端在握手 URL 中请求的名称 ─────────────────
+/**
+ * 从升级请求 URL 的查询参数 name 中读取客户端自选名称
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function getRequestedName(req) {
+  try {
+    return new URL(req.url, 'http://localhost').searchParams.get('name');
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 判断文本消息是否以「{」开头（跳过前导空白），即可能是 JSON 对象
+ * 控制消息与携带 to / room / msgId 的业务消息都是 JSON 对象，其他文本消息无需解析
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function looksLikeJsonObject(data) {
+  for (let i = 0; i < data.length; i++) {
+    const byte = data[i];
+    if (byte === 0x7b) return true; // {
+    if (byte !== 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d) return false;
+  }
+  return false;
+}
+
+// ── 工具函数：关闭原因 ────────────────────────────────────────
+// 关闭原因的最大字节数：关闭帧负载上限 125 字节，减去 2 字节关闭码
+const MAX_CLOSE_REASON_BYTES = 123;
+
+/**
+ * 将关闭原因截断到 123 个 UTF-8 字节以内（不截断多字节字符），超长时 ws 会抛出 RangeError
+ * @param {string} [reason]
+ * @returns {string|undefined}
+ */
+function closeReason(reason) {
+  if (reason === undefined || reason === null) return undefined;
+  const text = String(reason);
+  if (Buffer.byteLength(text) <= MAX_CLOSE_REASON_BYTES) return text;
+  let result = '';
+  let bytes  = 0;
+  for (const char of text) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > MAX_CLOSE_REASON_BYTES) break;
+    result += char;
+  }
+  return result;
+}
+
+// ── 工具函数：拒绝升级请求 ────────────────────────────────────
+const HTTP_STATUS_TEXT = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  429: 'Too Many Requests',
+  503: 'Service Unavailable',
+};
+
+/**
+ * 以 HTTP 错误响应拒绝一个 WebSocket 升级请求并关闭底层连接
+ * @param {net.Socket} socket  - 升级请求的底层 TCP / TLS 连接
+ * @param {number}     status  - HTTP 状态码
+ * @param {string}     message - 响应正文
+ */
+function rejectUpgrade(socket, status, message) {
+  if (!socket.writable) {
+    socket.destroy();
+    return;
+  }
+  const body = `${status} ${message}`;
+  const headers = [
+    `HTTP/1.1 ${status} ${HTTP_STATUS_TEXT[status] || 'Error'}`,
+    'Connection: close',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+  ];
+  if (status === 401) {
+    headers.push('WWW-Authenticate: Bearer');
+  }
+  socket.end(`${headers.join('\r\n')}\r\n\r\n${body}`);
+}
+
+// 限流处理方式的日志描述
+const RATE_LIMIT_ACTION_TEXT = {
+  drop:  '丢弃消息',
+  warn:  '丢弃消息并通知客户端',
+  close: '关闭连接（1008）',
+};
+
+/**
+ * 将管理接口提交的消息序列化为字符串（对象转 JSON，字符串原样发送）
+ * @param {*} message
+ * @returns {string}
+ */
+function serializeAdminMessage(message) {
+  return typeof message === 'string' ? message : JSON.stringify(message);
+}
+
+/**
+ * 计算监听器的连接分组：隔离模式下使用独立分组，否则归入共享分组
+ * @param {string}  proto    - 协议标签（'WS' 或 'WSS'）
+ * @param {boolean} isolated - 是否隔离
+ * @returns {string}
+ */
+function resolveGroup(proto, isolated) {
+  return isolated ? proto : SHARED_GROUP;
+}
+
+// 监听器标识（启动顺序）
+const LISTENER_KEYS = ['WS', 'WSS', 'admin', 'metrics'];
+
+/**
+ * 计算监听器在给定配置下的签名：签名变化时需要重启该监听器，为 null 时不应运行
+ * @param {string} key - 监听器标识
+ * @param {object} cfg - 配置对象
+ * @returns {string|null}
+ */
+function listenerSignature(key, cfg) {
+  switch (key) {
+    case 'WS':
+      return cfg.ws.enabled ? JSON.stringify(cfg.ws) : null;
+    case 'WSS':
+      // 证书变化不重启 WSS 监听器，由 tlsManager 原地替换；
+      // 客户端证书校验模式决定 HTTPS 服务器是否请求证书，变化时需重启
+      return cfg.wss.enabled ? JSON.stringify([cfg.wss, cfg.tls.clientAuth]) : null;
+    case 'admin':
+      return (cfg.admin.enabled && cfg.admin.port !== null)
+        ? JSON.stringify([cfg.admin.host, cfg.admin.port])
+        : null;
+    case 'metrics':
+      return (cfg.metrics.enabled && cfg.metrics.port !== null)
+        ? JSON.stringify([cfg.metrics.host, cfg.metrics.port])
+        : null;
+    default:
+      return null;
+  }
+}
+
+// 停止监听器时，客户端完成关闭握手的最长等待时间（毫秒），超时后强制断开
+const LISTENER_CLOSE_TIMEOUT = 3000;
+
+// 配置文件变化后的防抖时间（毫秒）：编辑器保存时往往连续触发多次事件
+const RELOAD_DEBOUNCE_MS = 300;
+
+/**
+ * 等待监听器在配置地址上开始监听
+ * @param {object} entry - 监听器记录
+ * @returns {Promise<boolean>} 监听失败（如端口被占用）时 resolve false
+ */
+function waitListening(entry) {
+  const { primary } = entry;
+  if (primary.listening) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const onListening = () => { primary.off('error', onError); resolve(true); };
+    const onError     = () => { primary.off('listening', onListening); resolve(false); };
+    primary.once('listening', onListening);
+    primary.once('error', onError);
+  });
+}
+
+/**
+ * 将嵌入方传入的日志对象包装为日志模块的接口（日志级别、输出位置与关闭由嵌入方自行管理）
+ * @param {object} custom - 需实现 debug / info / warn / error 方法
+ * @returns {object}
+ */
+function adaptLogger(custom) {
+  ['debug', 'info', 'warn', 'error'].forEach((level) => {
+    if (typeof custom[level] !== 'function') {
+      throw new Error(`自定义日志对象缺少 ${level} 方法`);
+    }
+  });
+  return {
+    filePath:    null,
+    debug:       (message, fields) => custom.debug(message, fields),
+    info:        (message, fields) => custom.info(message, fields),
+    warn:        (message, fields) => custom.warn(message, fields),
+    error:       (message, fields) => custom.error(message, fields),
+    reconfigure: () => {},
+    close:       () => Promise.resolve(),
+  };
+}
+
+// ── 服务实例 ──────────────────────────────────────────────────
+/**
+ * 创建 WebSocket 服务实例（调用 start() 后开始监听）
+ * @param {object} [options]
+ * @param {object} [options.config]     - 原始配置对象（格式同 config.json）；传入时不读取、不监听配置文件
+ * @param {string} [options.configPath] - 配置文件路径，默认为运行根目录下的 config.json
+ * @param {object} [options.overrides]  - 覆盖的配置项（"section.field" → 值），热重载后仍然生效
+ * @param {object} [options.logger]     - 自定义日志对象（debug / info / warn / error），默认按 log 配置写日志文件
+ * @param {object} [options.hooks]      - 消息处理管道钩子（onConnect / onMessage / onOutgoing / onDisconnect），
+ *                                        作为名为 api 的阶段排在配置的阶段之后
+ * @returns {EventEmitter} 服务实例；配置无效时抛出异常
+ */
+function createServer(options = {}) {
+  // 配置来源：配置文件路径，或嵌入方传入的配置对象（configPath 为 null）
+  const configPath = options.config === undefined ? path.resolve(options.configPath || getConfigPath()) : null;
+  const overrides  = options.overrides || {};
+  let config = configPath === null ? parseConfig(options.config, overrides) : loadConfig(configPath, overrides);
+
+  const logger = options.logger ? adaptLogger(options.logger) : createLogger(config.log);
+
+  // 嵌入方钩子作为固定阶段追加到消息处理管道
+  const apiStages = options.hooks ? [{ name: 'api', hooks: options.hooks }] : [];
+
+  const server = new EventEmitter();
+
+  // 启动时间（用于计算运行时长），start() 时更新
+  let startedAt = Date.now();
+
+  /**
+   * 触发服务事件；监听函数抛出的异常只记录日志，不影响消息处理
+   * @param {string} event
+   * @param {*}      payload
+   */
+  function emitEvent(event, payload) {
+    try {
+      server.emit(event, payload);
+    } catch (err) {
+      logger.error(`服务事件 ${event} 的监听函数出错：${err.message}`, { event: 'listener_error', name: event, error: err.message });
+    }
+  }
+
+  // ── 工具函数：获取客户端真实 IP ────────────────────────────────
+  /**
+   * 获取客户端真实 IP：直连对端为可信代理时按 X-Forwarded-For 从右向左解析，
+   * 经 PROXY protocol 接入时以 PROXY 头中的源地址作为对端地址
+   * @param {http.IncomingMessage} req
+   * @returns {string}
+   */
+  function getClientIp(req) {
+    return proxyResolver.clientIp(req);
+  }
+
+  // ── 工具函数：向单个客户端回复控制消息 ────────────────────────
+  /**
+   * 向客户端发送一条 JSON 控制消息（发送失败仅记录日志）
+   * @param {WebSocket} socket
+   * @param {string}    ip      - 客户端 IP（用于日志）
+   * @param {object}    payload - 待发送的消息对象
+   */
+  function reply(socket, ip, payload) {
+    if (socket.readyState !== WebSocket.OPEN) return;
+    try {
+      const text = JSON.stringify(payload);
+      socket.send(text);
+      compressionStats.countSent(socket, Buffer.byteLength(text));
+    } catch (err) {
+      logger.error(`回复客户端消息失败，IP：${ip}，类型：${payload.type}，错误：${err.message}`);
+    }
+  }
+
+  /**
+   * 读取业务消息携带的消息 ID（未启用 messages.acks、不是 JSON 对象或未携带时为 undefined）
+   * @param {*} parsed - 解析后的消息
+   * @returns {*}
+   */
+  function messageIdOf(parsed) {
+    if (!config.messages.acks.enabled || parsed === null || typeof parsed !== 'object') return undefined;
+    return parsed.msgId;
+  }
+
+  /**
+   * 在解析消息之前就要拒绝时（限流、超长）读取合法的消息 ID
+   * @param {Buffer}  rawData
+   * @param {boolean} isBinary
+   * @returns {string|number|undefined}
+   */
+  function peekMessageId(rawData, isBinary) {
+    if (!config.messages.acks.enabled || isBinary || !looksLikeJsonObject(rawData)) return undefined;
+    try {
+      const msgId = messageIdOf(JSON.parse(rawData.toString('utf8')));
+      return isValidMessageId(msgId) ? msgId : undefined;
+    } catch (_) {
+      return undefined;
+    }
+  }
+
+  /**
+   * 拒绝一条业务消息：携带消息 ID 时回复 nack，否则回复 error
+   * @param {WebSocket} socket
+   * @param {string}    ip
+   * @param {string|number|undefined} msgId
+   * @param {object}    detail - { code, ...附加字段 }
+   */
+  function rejectMessage(socket, ip, msgId, detail) {
+    if (msgId === undefined) {
+      reply(socket, ip, Object.assign({ type: 'error' }, detail));
+      return;
+    }
+    metrics.messageAcks.inc({ result: 'nack' });
+    reply(socket, ip, Object.assign({ type: 'nack', msgId }, detail));
+  }
+
+  /**
+   * 需要送达回执的消息登记前检查（同一消息 ID 仍在等待回执、待回执消息过多），不能登记时回复 nack
+   * @param {WebSocket}     socket
+   * @param {object}        info  - 发送方连接信息
+   * @param {string|number} msgId
+   * @returns {boolean} 是否可以继续处理
+   */
+  function canTrackReceipt(socket, info, msgId) {
+    const check = receipts.check(info.id, msgId);
+    if (!check.ok) rejectMessage(socket, info.ip, msgId, { code: check.code });
+    return check.ok;
+  }
+
+  /**
+   * 受理一条携带消息 ID 的业务消息：回复 ack，需要送达回执时登记预期的接收方
+   * @param {WebSocket}     socket
+   * @param {object}        info       - 发送方连接信息
+   * @param {string|number} msgId
+   * @param {Array<{ id: string, name: string|null }>|null} recipients - 不需要回执时为 null
+   * @param {object}        [extra]    - ack 的附加字段
+   */
+  function acceptMessage(socket, info, msgId, recipients, extra) {
+    metrics.messageAcks.inc({ result: 'ack' });
+    reply(socket, info.ip, Object.assign({ type: 'ack', msgId }, extra));
+    if (recipients) receipts.track(info.id, msgId, recipients);
+  }
+
+  // ── 监听器集合（用于热重载与优雅关闭） ────────────────────────
+  // Map: 监听器标识（'WS' / 'WSS' / 'admin' / 'metrics'）→
+  //      { label, httpServers, primary, wsServer|null, signature }（primary 为配置地址上实际监听端口的服务器）
+  const listeners = new Map();
+
+  // ── 全局共享组件 ──────────────────────────────────────────────
+  // 所有监听器共用同一个连接注册表、心跳管理器与房间管理器，
+  // 保证投递范围、在线人数与关闭流程覆盖全部客户端
+  const registry = createClientRegistry();
+
+  // 运行指标始终采集，仅在 metrics.enabled 时对外暴露
+  const metrics = createServerMetrics();
+
+  const hbMgr = createHeartbeatManager({
+    interval: config.heartbeat.interval,
+    timeout:  config.heartbeat.timeout,
+    logger,
+    onReap:   (socket) => {
+      metrics.zombiesReaped.inc();
+      // 标记为心跳超时清理，断开时推送 timeout 事件而非 leave
+      const info = registry.get(socket);
+      if (info) info.reaped = true;
+    },
+  });
+
+  const rooms = createRoomManager({ maxRoomsPerClient: config.rooms.maxPerClient });
+
+  // 消息压缩统计：各连接压缩前后的字节数，用于评估压缩效果
+  const compressionStats = createCompressionStats({
+    onBytes: (kind, direction, bytes) => {
+      (kind === 'payload' ? metrics.payloadBytes : metrics.wireBytes).inc({ direction }, bytes);
+    },
+  });
+
+  // 可信代理解析器（随配置热重载更新）
+  const proxyResolver = createProxyResolver(config.trustedProxies);
+
+  // 升级请求准入策略：路径、Origin 与子协议白名单（随配置热重载更新）
+  const upgradePolicy = createUpgradePolicy(config.upgrade, config.auth.protocolPrefix);
+
+  // ingest 模式（只上报）的连接：不接收任何广播
+  const ingestClients = new Set();
+
+  // 消息限流与连接数限制（限额随配置热重载更新）
+  const messageLimiter    = createRateLimiter(config.rateLimit);
+  const connectionLimiter = createConnectionLimiter(config.rateLimit);
+
+  // 送达回执跟踪（messages.acks）：接收方的回执与超时结果转发给仍在线的发送方
+  const receipts = createReceiptTracker({
+    timeout:    config.messages.acks.receiptTimeout,
+    maxPending: config.messages.acks.maxPending,
+    onReceipt:  (senderId, msgId, result) => {
+      metrics.messageReceipts.inc({ status: result.status });
+      const sender = registry.find(senderId);
+      if (sender) reply(sender.socket, sender.ip, Object.assign({ type: 'receipt', msgId }, result));
+    },
+    onComplete: (senderId, msgId, { delivered, failed }) => {
+      const sender = registry.find(senderId);
+      if (!sender) return;
+      reply(sender.socket, sender.ip, { type: 'delivery_report', msgId, delivered, failed });
+      if (failed > 0) {
+        logger.warn(
+          `消息未全部送达 → 发送方：${clientLabel(sender)}，消息 ID：${msgId}，已送达：${delivered}，失败：${failed}`,
+          { event: 'delivery_failed', ...clientFields(sender), msgId, delivered, failed }
+        );
+      }
+    },
+  });
+
+  // 出站缓冲管理器：广播时检查接收方的待发送缓冲，按 backpressure.policy 处理慢速客户端
+  const outbound = createOutboundManager({
+    settings: config.backpressure,
+    logger,
+    describe: (socket) => {
+      const info = registry.get(socket);
+      return info
+        ? { label: clientLabel(info), fields: clientFields(info) }
+        : { label: '未知客户端', fields: {} };
+    },
+    onPolicy: (policy) => metrics.slowConsumer.inc({ policy }),
+    onWrite:  compressionStats.countSent,
+  });
+
+  // 广播扇出队列（本实例独有）：大规模广播分批扇出，单独发送的消息先补齐排队中的广播
+  const fanout = createFanoutQueue();
+
+  /**
+   * 向单个客户端发送一条不经广播的消息（在线状态事件、历史续传、离线补发）
+   * 先补齐该客户端在排队中的广播，避免先于更早的广播到达
+   * @param {WebSocket} socket
+   * @param {Buffer}    data
+   * @param {object}    [options] - 同 outbound.send()
+   * @returns {string} 同 outbound.send()
+   */
+  function sendInOrder(socket, data, options) {
+    fanout.flushTo(socket);
+    return outbound.send(socket, data, options);
+  }
+
+  // 历史消息缓冲（未启用时为 null）；enabled / perRoom / file 仅在启动时读取
+  const historyStartup = config.history;
+  const history = config.history.enabled
+    ? createHistory({
+      size:    config.history.size,
+      maxAge:  config.history.maxAge,
+      perRoom: config.history.perRoom,
+      file:    config.history.file,
+      logger,
+    })
+    : null;
+
+  // 离线消息队列（未启用时为 null）；enabled / dir 仅在启动时读取
+  const offlineStartup = config.offlineQueue;
+  const offline = config.offlineQueue.enabled
+    ? createOfflineQueue({ settings: config.offlineQueue, logger })
+    : null;
+
+  // 消息处理管道（start() 时创建，pipeline 配置变化时重建）
+  let pipeline = null;
+
+  // 集群（未启用时为 null，start() 时创建）；cluster 配置仅在启动时读取
+  const clusterStartup = config.cluster;
+  let cluster = null;
+
+  // WSS 证书（含 SNI 证书）管理器，证书文件变化时原地替换
+  const tlsManager = createTlsManager({ logger });
+
+  // 鉴权器随配置热重载重新创建
+  let authenticator = createAuthenticator(config.auth);
+
+  // ── 消息投递（附带运行指标统计） ──────────────────────────────
+  /**
+   * 执行一次广播，扇出完成后记录扇出耗时、转发数量、字节数与失败次数
+   * 启用历史消息时为文本消息分配序号并将实际发送的消息写入缓冲
+   * 启用集群时将本节点发起的广播经背板转发给其他节点（序号由各节点各自分配）
+   * 启用离线消息队列时将实际发送的消息存入投递范围内离线身份的队列
+   * @param {object}      options        - 同 broadcast() 的参数（outbound / fanout 由本函数提供），另加：
+   * @param {string|null} options.group  - 发送方分组（管理接口广播为 null）
+   * @param {boolean}     [options.remote] - 是否为其他节点转发来的广播（不再转发，防止环路）
+   * @param {Function}    [options.onDelivered] - 扇出结束后的回调 (sentCount)，参数为实际送达的本节点客户端数
+   */
+  function runBroadcast({ group, remote = false, onDelivered, ...options }) {
+    // 二进制消息无法注入序号，不进入历史消息缓冲
+    const seq    = history && !options.isBinary ? history.nextSeq() : undefined;
+    const begin  = process.hrtime.bigint();
+    const senderInfo = options.sender ? registry.get(options.sender) : undefined;
+    const result = broadcast(Object.assign({}, options, {
+      seq,
+      normalizeJson: config.messages.normalizeJson,
+      transform: pipeline.hasOutgoingHooks
+        ? (client, payload) => transformFor(senderInfo, client, payload, options.isBinary)
+        : undefined,
+      outbound,
+      fanout,
+      exclude: ingestClients,
+      onComplete: (stats) => {
+        metrics.broadcastDuration.observe(Number(process.hrtime.bigint() - begin) / 1e9);
+        metrics.messagesForwarded.inc({ kind: 'broadcast' }, stats.sentCount);
+        metrics.bytesSent.inc(undefined, stats.bytes);
+        metrics.sendFailures.inc(undefined, stats.failedCount);
+        if (onDelivered) onDelivered(stats.sentCount);
+      },
+    }));
+    if (cluster && !remote) {
+      cluster.publishBroadcast({
+        group,
+        room:        options.room !== undefined ? options.room : null,
+        senderId:    senderInfo ? senderInfo.id : null,
+        senderLabel: options.senderLabel,
+        data:        options.rawData,
+        isBinary:    Boolean(options.isBinary),
+      });
+    }
+    if (seq !== undefined) {
+      history.record({
+        seq,
+        room:  options.room !== undefined ? options.room : null,
+        group,
+        data:  result.outgoing,
+      });
+    }
+    if (offline) {
+      const queued = offline.enqueueBroadcast({
+        group,
+        room:   options.room !== undefined ? options.room : null,
+        data:   result.outgoing !== null ? Buffer.from(result.outgoing, 'utf8') : Buffer.from(options.rawData),
+        binary: Boolean(options.isBinary),
+        // 已在集群其他节点上线的身份由该节点投递
+        skip:   cluster ? (name) => cluster.hasIdentity(name) : undefined,
+      });
+      if (queued.length > 0) {
+        const deepest = queued.reduce((max, item) => (item.depth > max.depth ? item : max));
+        logger.info(
+          `消息广播已存入 ${queued.length} 个离线客户端的队列 → 发送方：${options.senderLabel}，` +
+          `队列最深：${deepest.name}（${deepest.depth} 条）`,
+          { event: 'offline_enqueue', ...options.logFields, queued: queued.length, deepest: deepest.name, depth: deepest.depth }
+        );
+      }
+    }
+  }
+
+  /**
+   * 定向消息的目标为离线身份时存入其队列
+   * @param {string}      name        - 目标名称
+   * @param {string}      outgoing    - 已序列化的待发送消息
+   * @param {string|null} group       - 发送方分组（管理接口为 null）
+   * @param {string}      senderLabel - 发送方描述（用于日志）
+   * @param {object}      [logFields]
+   * @returns {string|null} 'queued'（已入队）、'full'（离线队列总容量已满）；目标不是离线身份时为 null
+   */
+  function enqueueDirect(name, outgoing, group, senderLabel, logFields) {
+    const result = offline ? offline.enqueue(name, Buffer.from(outgoing, 'utf8'), false, group) : null;
+    if (!result) return null;
+    if (!result.queued) return 'full';
+    logger.info(
+      `定向消息已存入离线队列 → 发送方：${senderLabel}，目标：${name}，队列深度：${result.depth} 条（${result.bytes} 字节）`,
+      { event: 'offline_enqueue', ...logFields, to: name, depth: result.depth, bytes: result.bytes }
+    );
+    return 'queued';
+  }
+
+  /**
+   * 鉴权身份的连接上线时登记到离线队列（以鉴权身份为键，与客户端名称无关），并按顺序补发队列中的消息
+   * 登记成功时记录 info.offlineIdentity，连接断开时据此调用 offline.disconnect()
+   * 逐条确认：交给出站缓冲（sent / queued）的消息才从队列移除；被出站钩子跳过或被丢弃的消息留待下次上线补发，
+   * 连接已断开时停止补发
+   * @param {WebSocket} socket
+   * @param {object}    info - 注册表中的连接信息
+   */
+  function flushOffline(socket, info) {
+    if (!offline || !info.identity) return;
+    const name = info.identity.name;
+    const messages = offline.connect(name, { group: info.group, mode: info.mode });
+    if (messages === null) return;
+    info.offlineIdentity = name;
+    if (messages.length === 0) return;
+    let sent = 0;
+    for (const message of messages) {
+      let payload = message.data;
+      if (pipeline.hasOutgoingHooks) {
+        const replaced = transformFor(undefined, socket, message.data, message.binary);
+        if (replaced === null) continue;
+        if (replaced !== undefined) payload = replaced;
+      }
+      const result = sendInOrder(socket, payload, { binary: message.binary });
+      if (result === 'sent' || result === 'queued') {
+        offline.confirm(name, message);
+        sent++;
+      } else if (result !== 'dropped') {
+        break;
+      }
+    }
+    metrics.messagesForwarded.inc({ kind: 'offline' }, sent);
+    logger.info(
+      `离线消息已补发 → 客户端：${clientLabel(info)}，共 ${messages.length} 条，已发送 ${sent} 条` +
+      `${sent < messages.length ? `，其余 ${messages.length - sent} 条留在队列中` : ''}`,
+      { event: 'offline_flush', ...clientFields(info), queued: messages.length, sent }
+    );
+  }
+
+  /**
+   * 对单个接收方执行消息处理管道的接收方钩子
+   * @param {object|undefined} senderInfo - 发送方连接信息（服务端发起的消息为 undefined）
+   * @param {WebSocket}        recipient
+   * @param {Buffer}           payload    - 待发送的消息
+   * @param {boolean}          [isBinary]
+   * @returns {Buffer|null|undefined} 同 broadcast() 的 transform：undefined 发送原消息，null 跳过，Buffer 为改写后的消息
+   */
+  function transformFor(senderInfo, recipient, payload, isBinary = false) {
+    const recipientInfo = registry.get(recipient);
+    if (!recipientInfo) return undefined;
+    const result = pipeline.outgoing({
+      sender:    senderInfo ? senderInfo.view : null,
+      recipient: recipientInfo.view,
+      data:      payload,
+      isBinary,
+    });
+    if (result.action === 'drop') return null;
+    return result.changed ? Buffer.from(JSON.stringify(result.message), 'utf8') : undefined;
+  }
+
+  /**
+   * 按 rateLimit.action 处理一次消息超限
+   * @param {WebSocket} socket
+   * @param {object}    info  - 注册表中的连接信息
+   * @param {string}    limit - 超限项：'messages' / 'bytes'
+   * @param {string|number} [msgId] - 消息 ID（携带时以 nack 通知客户端）
+   */
+  function handleRateViolation(socket, info, limit, msgId) {
+    const { action } = config.rateLimit;
+    metrics.rateLimited.inc({ kind: limit });
+    logger.warn(
+      `消息速率超限 → 客户端：${clientLabel(info)}，超限项：${limit === 'messages' ? '每秒消息数' : '每秒字节数'}，` +
+      `处理方式：${RATE_LIMIT_ACTION_TEXT[action]}`,
+      { event: 'rate_limited', ...clientFields(info), limit, action }
+    );
+    if (action === 'warn') {
+      rejectMessage(socket, info.ip, msgId, { code: 'rate_limited', limit });
+    } else if (action === 'close' && socket.readyState === WebSocket.OPEN) {
+      socket.close(1008, 'rate limit exceeded');
+    }
+  }
+
+  /**
+   * 处理接收方发来的送达回执 {"type":"receipt","msgId":"xxx","to":"<发送方 ID>"}
+   * 发送方在本节点时直接结算，在其他节点时经集群转发；对应不到等待中的消息（已超时、重复回执）时忽略
+   * @param {WebSocket} socket
+   * @param {object}    info    - 注册表中的连接信息（接收方）
+   * @param {object}    request - 客户端请求
+   */
+  function handleReceipt(socket, info, request) {
+    const { msgId, to } = request;
+    if (!isValidMessageId(msgId) || !isValidClientName(to)) {
+      reply(socket, info.ip, { type: 'error', code: 'invalid_receipt' });
+      return;
+    }
+    if (receipts.confirm(to, msgId, info.id)) return;
+
+    const remote = cluster && !registry.find(to) ? cluster.findClient(to, null) : undefined;
+    if (remote) {
+      cluster.sendReceipt(remote.node, { senderId: remote.client.id, msgId, recipientId: info.id });
+      return;
+    }
+    logger.debug(
+      `忽略无法对应的送达回执 → 接收方：${clientLabel(info)}，发送方：${to}，消息 ID：${msgId}`,
+      { event: 'receipt_ignored', ...clientFields(info), to, msgId }
+    );
+  }
+
+  /**
+   * 处理客户端的历史消息续传请求 {"type":"resume","since":N,"room":"xxx"}
+   * 按序补发 since 之后的广播消息，最后回复 resumed 汇总（complete 为 false 表示缺口无法补齐）
+   * @param {WebSocket} socket
+   * @param {object}    info    - 注册表中的连接信息
+   * @param {object}    request - 客户端请求
+   */
+  function handleResume(socket, info, request) {
+    const { ip } = info;
+    if (!history) {
+      reply(socket, ip, { type: 'error', code: 'history_disabled' });
+      return;
+    }
+    const since = request.since;
+    if (!Number.isInteger(since) || since < 0) {
+      reply(socket, ip, { type: 'error', code: 'invalid_seq', since });
+      return;
+    }
+    const room = request.room !== undefined ? request.room : null;
+    if (room !== null && !rooms.roomsOf(socket).includes(room)) {
+      reply(socket, ip, { type: 'error', code: 'not_in_room', room });
+      return;
+    }
+
+    const result = history.since(since, { room, group: info.group });
+    let sent  = 0;
+    let bytes = 0;
+    for (let data of result.messages) {
+      if (socket.readyState !== WebSocket.OPEN) break;
+      if (pipeline.hasOutgoingHooks) {
+        const replaced = transformFor(undefined, socket, Buffer.from(data, 'utf8'));
+        if (replaced === null) continue;
+        if (replaced !== undefined) data = replaced.toString('utf8');
+      }
+      // 经出站缓冲管理器发送：慢速客户端按策略丢弃或断开，断开（或发送失败）时停止补发
+      const sendResult = sendInOrder(socket, Buffer.from(data, 'utf8'));
+      if (sendResult === 'dropped') continue;
+      if (sendResult !== 'sent' && sendResult !== 'queued') break;
+      sent++;
+      bytes += Buffer.byteLength(data);
+    }
+    metrics.messagesForwarded.inc({ kind: 'replay' }, sent);
+    metrics.bytesSent.inc(undefined, bytes);
+
+    reply(socket, ip, {
+      type:     'resumed',
+      room:     room !== null ? room : undefined,
+      since,
+      count:    sent,
+      complete: result.complete,
+      oldest:   result.oldest,
+      latest:   result.latest,
+    });
+    logger.info(
+      `历史消息续传 → 客户端：${clientLabel(info)}，${room !== null ? `房间：${room}，` : ''}` +
+      `起始序号：${since}，补发 ${sent} 条，${result.complete ? '已完整补齐' : '部分消息已淘汰，无法完整补齐'}`,
+      { event: 'resume', ...clientFields(info), room, since, count: sent, complete: result.complete }
+    );
+  }
+
+  /**
+   * 生成在线状态事件与在线列表中的客户端信息（IP 仅在 presence.includeIp 启用时提供）
+   * @param {object} info - 注册表中的连接信息，或集群中其他节点的客户端信息（含 node 字段）
+   * @returns {object}
+   */
+  function describePresence(info) {
+    const remote = info.socket === undefined;
+    return {
+      id:          info.id,
+      name:        info.name,
+      identity:    remote ? info.identity : (info.identity ? info.identity.name : null),
+      protocol:    remote ? info.protocol : info.proto,
+      path:        info.path,
+      mode:        info.mode,
+      connectedAt: remote ? info.connectedAt : new Date(info.connectedAt).toISOString(),
+      ip:          config.presence.includeIp ? info.ip : undefined,
+      node:        remote ? info.node : undefined,
+    };
+  }
+
+  /**
+   * 向同一分组的其他在线客户端推送在线状态事件（presence.events 启用时）
+   * ingest 模式的连接不接收广播，同样不接收在线状态事件
+   * @param {object} info    - 上线 / 下线客户端的连接信息
+   * @param {string} event   - 'join' / 'leave' / 'timeout' / 'update'
+   * @param {object} [extra] - 附加字段（如下线时的关闭码与原因）
+   */
+  function notifyPresence(info, event, extra) {
+    if (!config.presence.events) return;
+    const members = registry.groupMembers(info.group);
+    const payload = Buffer.from(JSON.stringify(Object.assign(
+      { type: 'presence', event, client: describePresence(info) },
+      extra,
+      { online: members.size }
+    )), 'utf8');
+
+    let sent = 0;
+    members.forEach((client) => {
+      if (client === info.socket || ingestClients.has(client) || client.readyState !== WebSocket.OPEN) return;
+      const result = sendInOrder(client, payload);
+      if (result === 'sent' || result === 'queued') sent++;
+    });
+    metrics.messagesForwarded.inc({ kind: 'presence' }, sent);
+    metrics.bytesSent.inc(undefined, payload.length * sent);
+    logger.debug(
+      `在线状态推送 → 客户端：${clientLabel(info)}，事件：${event}，已推送至 ${sent} 个客户端`,
+      { event: 'presence', ...clientFields(info), presence: event, recipients: sent }
+    );
+  }
+
+  /**
+   * 处理客户端的在线列表查询 {"type":"roster","room":"xxx"}
+   * 不带 room 时返回同分组的全部在线客户端（启用集群时包含其他节点的客户端），
+   * 带 room 时返回本节点该房间的成员（查询方须已加入该房间）
+   * @param {WebSocket} socket
+   * @param {object}    info    - 注册表中的连接信息
+   * @param {object}    request - 客户端请求
+   */
+  function handleRoster(socket, info, request) {
+    const { ip } = info;
+    if (!config.presence.roster) {
+      reply(socket, ip, { type: 'error', code: 'roster_disabled' });
+      return;
+    }
+    const room = request.room !== undefined ? request.room : null;
+    if (room !== null && !isValidRoomName(room)) {
+      reply(socket, ip, { type: 'error', code: 'invalid_room', room });
+      return;
+    }
+    if (room !== null && !rooms.roomsOf(socket).includes(room)) {
+      reply(socket, ip, { type: 'error', code: 'not_in_room', room });
+      return;
+    }
+
+    const members = room !== null
+      ? registry.filterGroup(rooms.members(room), info.group)
+      : registry.groupMembers(info.group);
+    const clients = [];
+    members.forEach((member) => {
+      const memberInfo = registry.get(member);
+      if (memberInfo) clients.push(describePresence(memberInfo));
+    });
+    if (room === null && cluster) {
+      cluster.remoteClients()
+        .filter((client) => client.group === info.group)
+        .forEach((client) => clients.push(describePresence(client)));
+    }
+
+    reply(socket, ip, {
+      type:  'roster',
+      room:  room !== null ? room : undefined,
+      count: clients.length,
+      clients,
+    });
+  }
+
+  /**
+   * 执行一次定向投递并记录转发数量与字节数
+   * 消息处理管道跳过该接收方时不投递，但视为已处理（不向发送方报告投递失败）
+   * @param {object}    options        - 同 unicast() 的参数（outbound / fanout 由本函数提供），另加：
+   * @param {WebSocket} [options.sender] - 发送方 socket（管理接口发起时省略）
+   * @returns {boolean} 是否投递成功
+   */
+  function runUnicast({ sender, ...options }) {
+    if (pipeline.hasOutgoingHooks) {
+      const senderInfo = sender ? registry.get(sender) : undefined;
+      const replaced = transformFor(senderInfo, options.target, Buffer.from(options.outgoing, 'utf8'));
+      if (replaced === null) return true;
+      if (replaced !== undefined) options.outgoing = replaced.toString('utf8');
+    }
+    const delivered = unicast(Object.assign(options, { outbound, fanout }));
+    if (delivered) {
+      metrics.messagesForwarded.inc({ kind: 'direct' });
+      metrics.bytesSent.inc(undefined, Buffer.byteLength(options.outgoing));
+    }
+    return delivered;
+  }
+
+  // ── 集群：处理其他节点转发的消息 ──────────────────────────────
+  /**
+   * 将其他节点转发的广播投递给本节点客户端（投递范围与发送方节点相同：分组、房间）
+   * @param {object} message - cluster 的 broadcast 信封
+   */
+  function handleClusterBroadcast({ node, group, room, senderId, senderLabel, data, isBinary }) {
+    let targets;
+    if (room !== null) {
+      targets = group !== null ? registry.filterGroup(rooms.members(room), group) : rooms.members(room);
+    } else if (group !== null) {
+      targets = registry.groupMembers(group);
+    } else {
+      targets = new Set();
+      registry.forEach((info, socket) => targets.add(socket));
+    }
+    runBroadcast({
+      group,
+      remote:      true,
+      sender:      null,
+      senderLabel: `${senderLabel}（节点 ${node}）`,
+      logFields:   { source: 'cluster', node, clientId: senderId },
+      rawData:     data,
+      isBinary,
+      clients:     targets,
+      room:        room !== null ? room : undefined,
+      logger,
+    });
+  }
+
+  /**
+   * 将其他节点转发的定向消息投递给本节点客户端
+   * @param {object} message - cluster 的 direct 信封
+   */
+  function handleClusterDirect({ node, targetId, senderLabel, outgoing }) {
+    const target = registry.find(targetId);
+    const delivered = target && runUnicast({
+      senderLabel: `${senderLabel}（节点 ${node}）`,
+      logFields:   { source: 'cluster', node, to: target.id },
+      target:      target.socket,
+      targetLabel: clientLabel(target),
+      outgoing,
+      logger,
+    });
+    if (!delivered) {
+      logger.warn(
+        `跨节点定向消息投递失败 → 来源节点：${node}，目标：${targetId}，原因：目标不存在或已离线`,
+        { event: 'direct_failed', source: 'cluster', node, to: targetId }
+      );
+    }
+  }
+
+  /**
+   * 结算其他节点转发来的送达回执（发送方在本节点）
+   * @param {object} message - cluster 的 receipt 信封
+   */
+  function handleClusterReceipt({ senderId, msgId, recipientId }) {
+    receipts.confirm(senderId, msgId, recipientId);
+  }
+
+  /**
+   * 按其他节点（管理接口）的请求踢出本节点客户端
+   * @param {object} message - cluster 的 kick 信封
+   */
+  function handleClusterKick({ node, targetId, reason }) {
+    const info = registry.find(targetId);
+    if (!info) return;
+    logger.info(
+      `集群节点请求踢出客户端 → 来源节点：${node}，客户端：${clientLabel(info)}，ID：${info.id}`,
+      { event: 'admin_kick', source: 'cluster', node, ...clientFields(info) }
+    );
+    info.socket.close(1008, closeReason(reason));
+  }
+
+  /**
+   * 生成日志中的在线人数描述（启用集群时附带集群总人数）
+   * @returns {string}
+   */
+  function onlineText() {
+    return cluster
+      ? `${registry.size} 人（集群共 ${registry.size + cluster.remoteCount()} 人）`
+      : `${registry.size} 人`;
+  }
+
+  // ── HTTP 管理接口 ─────────────────────────────────────────────
+  /**
+   * 生成管理接口展示用的客户端信息
+   * @param {object} info - 注册表中的连接信息
+   * @returns {object}
+   */
+  function describeClient(info) {
+    const hb = hbMgr.getStatus(info.socket);
+    return {
+      id:          info.id,
+      name:        info.name,
+      identity:    info.identity ? info.identity.name : null,
+      ip:          info.ip,
+      protocol:    info.proto,
+      group:       info.group,
+      path:        info.path,
+      mode:        info.mode,
+      rooms:       rooms.roomsOf(info.socket),
+      connectedAt: new Date(info.connectedAt).toISOString(),
+      traffic:     info.traffic.stats(),
+      lastPongAt:  hb ? new Date(hb.lastPongAt).toISOString() : null,
+      node:        cluster ? cluster.nodeId : undefined,
+    };
+  }
+
+  // 管理接口可调用的服务操作
+  const adminService = {
+    getStatus() {
+      const byProtocol = {};
+      registry.forEach((info) => {
+        byProtocol[info.proto] = (byProtocol[info.proto] || 0) + 1;
+      });
+      return {
+        startedAt: new Date(startedAt).toISOString(),
+        uptime:    Math.round((Date.now() - startedAt) / 1000),
+        // 启用集群时为集群总人数，各节点人数见 cluster.nodes
+        online:    registry.size + (cluster ? cluster.remoteCount() : 0),
+        byProtocol,
+        compression: Object.assign({ enabled: config.compression.enabled }, compressionStats.summary()),
+        cluster:   cluster
+          ? { node: cluster.nodeId, backplane: config.cluster.backplane, nodes: cluster.describeNodes(registry.size) }
+          : undefined,
+        offlineQueue: offline ? offline.summary() : undefined,
+        listeners: Array.from(listeners.values(), ({ label, primary }) => ({
+          label,
+          listening: primary.listening,
+        })),
+      };
+    },
+
+    isReady() {
+      const all = Array.from(listeners.values());
+      return all.length > 0 && all.every(({ primary }) => primary.listening);
+    },
+
+    listClients() {
+      const list = [];
+      registry.forEach((info) => list.push(describeClient(info)));
+      // 其他节点上的客户端只有基本信息（无房间、流量与心跳数据）
+      return cluster ? list.concat(cluster.remoteClients()) : list;
+    },
+
+    getClient(key) {
+      const info = registry.find(key);
+      if (info) return describeClient(info);
+      const remote = cluster ? cluster.findClient(key, null) : undefined;
+      return remote ? Object.assign({}, remote.client, { node: remote.node }) : null;
+    },
+
+    kickClient(key, reason) {
+      const info = registry.find(key);
+      if (!info) {
+        const remote = cluster ? cluster.findClient(key, null) : undefined;
+        if (!remote) return false;
+        logger.info(
+          `管理接口踢出客户端 → 节点：${remote.node}，ID：${remote.client.id}（已转发给该节点）`,
+          { event: 'admin_kick', node: remote.node, clientId: remote.client.id }
+        );
+        cluster.kick(remote.node, remote.client.id, closeReason(reason));
+        return true;
+      }
+      logger.info(`管理接口踢出客户端 → 客户端：${clientLabel(info)}，ID：${info.id}`, { event: 'admin_kick', ...clientFields(info) });
+      info.socket.close(1008, closeReason(reason));
+      return true;
+    },
+
+    broadcast({ message, room }) {
+      if (room !== undefined && !isValidRoomName(room)) {
+        return Promise.resolve({ ok: false, error: 'invalid_room' });
+      }
+      // 管理接口广播不区分分组，覆盖全部在线客户端
+      const targets = new Set();
+      if (room !== undefined) {
+        rooms.members(room).forEach((socket) => targets.add(socket));
+      } else {
+        registry.forEach((info, socket) => targets.add(socket));
+      }
+      // 扇出结束后返回实际送达的客户端数（不含 ingest 模式、未就绪、被出站钩子跳过或被慢速客户端策略丢弃的连接）
+      return new Promise((resolve) => {
+        runBroadcast({
+          group:       null,
+          sender:      null,
+          senderLabel: '管理接口',
+          logFields:   { source: 'admin' },
+          rawData:     serializeAdminMessage(message),
+          clients:     targets,
+          room,
+          onDelivered: (recipients) => resolve({ ok: true, recipients }),
+          logger,
+        });
+      });
+    },
+
+    sendTo(key, message) {
+      const target = registry.find(key);
+      if (!target) {
+        const remote = cluster ? cluster.findClient(key, null) : undefined;
+        if (!remote) {
+          return enqueueDirect(key, serializeAdminMessage(message), null, '管理接口', { source: 'admin' }) === 'queued';
+        }
+        cluster.sendDirect(remote.node, {
+          targetId:    remote.client.id,
+          senderId:    null,
+          senderLabel: '管理接口',
+          outgoing:    serializeAdminMessage(message),
+        });
+        return true;
+      }
+      return runUnicast({
+        senderLabel: '管理接口',
+        logFields:   { source: 'admin', to: target.id },
+        target:      target.socket,
+        targetLabel: clientLabel(target),
+        outgoing:    serializeAdminMessage(message),
+        logger,
+      });
+    },
+  };
+
+  /**
+   * 按当前配置创建管理接口（未启用时返回 null）
+   * @returns {{ handle: Function }|null}
+   */
+  function createAdminApiFromConfig() {
+    return config.admin.enabled
+      ? createAdminApi({ token: config.admin.token, logger, service: adminService })
+      : null;
+  }
+
+  // 管理接口随配置热重载重新创建（令牌可能变化）
+  let adminApi = createAdminApiFromConfig();
+
+  // ── Prometheus 指标接口 ───────────────────────────────────────
+  /**
+   * 处理指标接口请求
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse}  res
+   * @returns {boolean} 请求路径为指标路径时返回 true（已处理）
+   */
+  function handleMetricsRequest(req, res) {
+    if (!config.metrics.enabled) return false;
+    const pathname = req.url.split('?')[0];
+    if (req.method !== 'GET' || pathname !== config.metrics.path) return false;
+
+    compressionStats.collect();
+    metrics.clusterNodes.set(undefined, cluster ? cluster.describeNodes(registry.size).length : 0);
+    const body = metrics.render();
+    res.writeHead(200, {
+      'Content-Type':   'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+    });
+    res.end(body);
+    return true;
+  }
+
+  /**
+   * WS / WSS 监听端口上的普通 HTTP 请求处理
+   * - 管理接口 / 指标接口复用监听端口时，交由对应接口处理
+   * - 其余请求返回 426，提示客户端使用 WebSocket 协议
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse}  res
+   */
+  function handleHttpRequest(req, res) {
+    if (adminApi && config.admin.port === null && adminApi.handle(req, res)) {
+      return;
+    }
+    if (config.metrics.port === null && handleMetricsRequest(req, res)) {
+      return;
+    }
+    const body = '426 Upgrade Required';
+    res.writeHead(426, {
+      'Content-Type':   'text/plain; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+      'Upgrade':        'websocket',
+    });
+    res.end(body);
+  }
+
+  // ── 统一的连接处理逻辑 ────────────────────────────────────────
+  /**
+   * 为一个 noServer 模式的 WebSocket.Server 绑定连接事件处理器
+   * @param {WebSocket.Server} wss   - ws 服务器实例（noServer: true）
+   * @param {string}           proto - 协议标签，用于日志（'WS' 或 'WSS'）
+   * @param {string}           group - 连接所属分组（共享分组或隔离分组）
+   */
+  function attachHandlers(wss, proto, group) {
+    wss.on('connection', (socket, req) => {
+      const ip = getClientIp(req);
+      const info = registry.add(socket, { ip, proto, group });
+      // 连接路径与模式（由 upgrade.paths 决定）
+      info.path = req.route.path;
+      info.mode = req.route.mode;
+      if (info.mode === 'ingest') ingestClients.add(socket);
+      // 收发字节数统计（压缩前 / 线路上）
+      info.traffic = compressionStats.track(socket, req.socket);
+      metrics.connections.inc({ protocol: proto });
+      metrics.connectsTotal.inc({ protocol: proto });
+      // 握手阶段鉴权得到的身份（未启用鉴权时为 null）
+      info.identity = req.identity || null;
+      // 供消息处理管道各阶段读取的客户端视图
+      info.view = createClientView(info);
+      const identityStr = info.identity ? `，身份：${info.identity.name}（${info.identity.method}）` : '';
+
+      // 客户端证书身份直接作为名称（用于定向消息路由），不接受客户端自选名称；
+      // 否则握手 URL 中携带 ?name=xxx 时尝试登记客户端名称
+      const certBound     = Boolean(info.identity && info.identity.method === 'clientCert');
+      const requestedName = certBound ? info.identity.name : getRequestedName(req);
+      const nameResult = requestedName !== null ? registry.setName(socket, requestedName) : null;
+      // 启用离线消息队列时，未自选名称的鉴权客户端默认以身份为名称，使发给该身份的定向消息在线时也能送达；
+      // 名称已被同一身份的其他连接占用时保持匿名，不回复错误
+      if (requestedName === null && offline && info.identity) {
+        registry.setName(socket, info.identity.name);
+      }
+      const nameStr = info.name ? `，名称：${info.name}` : '';
+      const pathStr = config.upgrade.paths.length > 0 ? `，路径：${info.path}（${info.mode}）` : '';
+
+      logger.info(
+        `客户端已连接 → 协议：${proto}，IP：${ip}，ID：${info.id}${nameStr}${identityStr}${pathStr}，` +
+        `当前在线：${onlineText()}`,
+        { event: 'connect', ...clientFields(info), path: info.path, mode: info.mode, online: registry.size }
+      );
+      if (cluster) cluster.markDirty();
+
+      // 消息处理管道的连接钩子：拒绝时以 1008 关闭连接（连接进入关闭状态，后续欢迎消息与业务消息均不再处理）
+      const admission = pipeline.connect(info.view);
+      info.admitted = admission.ok;
+      if (!admission.ok) {
+        logger.warn(
+          `连接被消息处理管道拒绝 → 客户端：${clientLabel(info)}，阶段：${admission.stage}，原因：${admission.code}`,
+          { event: 'pipeline_rejected', ...clientFields(info), stage: admission.stage, code: admission.code }
+        );
+        socket.close(1008, closeReason(admission.code));
+      }
+
+      // 告知客户端其服务端分配的 ID
+      reply(socket, ip, { type: 'welcome', id: info.id, name: info.name });
+      if (nameResult && !nameResult.ok) {
+        reply(socket, ip, { type: 'error', code: nameResult.code, name: requestedName });
+      }
+
+      // 通知同分组的其他客户端与嵌入方，补发离线消息（被消息处理管道拒绝的连接不处理）
+      if (info.admitted) {
+        notifyPresence(info, 'join');
+        emitEvent('connection', info.view);
+        flushOffline(socket, info);
+      }
+
+      // 注册到心跳管理器
+      hbMgr.register(socket, ip);
+
+      // 本连接的消息限流状态
+      const limiter = messageLimiter.forConnection();
+
+      // ── 消息事件 ──────────────────────────────────────────────
+      socket.on('message', (rawData, isBinary) => {
+        // 连接已进入关闭流程（如被消息处理管道拒绝）时不再处理消息
+        if (socket.readyState !== WebSocket.OPEN) return;
+        metrics.messagesReceived.inc({ protocol: proto });
+        metrics.bytesReceived.inc({ protocol: proto }, rawData.length);
+
+        // 限流：超限消息不做任何处理（包括控制消息）
+        const violation = limiter.check(rawData.length);
+        if (violation) {
+          handleRateViolation(socket, info, violation,
+            config.rateLimit.action === 'warn' ? peekMessageId(rawData, isBinary) : undefined);
+          return;
+        }
+
+        // 超出 messages.maxBytes 的消息不做处理，通知客户端但不断开连接
+        if (config.messages.maxBytes > 0 && rawData.length > config.messages.maxBytes) {
+          rejectMessage(socket, ip, peekMessageId(rawData, isBinary), { code: 'oversized', limit: config.messages.maxBytes });
+          logger.warn(
+            `消息超出长度上限 → 客户端：${clientLabel(info)}，大小：${rawData.length} 字节，上限：${config.messages.maxBytes} 字节`,
+            { event: 'message_oversized', ...clientFields(info), bytes: rawData.length, limit: config.messages.maxBytes }
+          );
+          return;
+        }
+
+        // 拦截应用层心跳消息 {"type":"ping"}
+        // 用于支持未实现原生 WebSocket pong 的测试客户端
+        // 控制消息均为 JSON 对象文本：二进制消息与不以「{」开头的文本消息不解码、不解析，直接广播
+        // （消息处理管道或 message 事件的监听函数需要解析结果时仍解析全部文本消息）
+        let parsed = null;
+        let isJson = false;
+        if (!isBinary && (looksLikeJsonObject(rawData) || pipeline.hasMessageHooks || server.listenerCount('message') > 0)) {
+          try {
+            parsed = JSON.parse(rawData.toString('utf8'));
+            isJson = true;
+          } catch (_) {}
+        }
+
+        if (parsed && parsed.type === 'ping') {
+          // 标记该连接为存活（等同于收到原生 pong）
+          hbMgr.markAlive(socket);
+          // 回复应用层 pong
+          reply(socket, ip, { type: 'pong' });
+          return; // 不广播心跳消息
+        }
+
+        // 拦截房间控制消息 {"type":"join","room":"xxx"} / {"type":"leave","room":"xxx"}
+        if (parsed && parsed.type === 'join') {
+          const result = rooms.join(socket, parsed.room);
+          if (!result.ok) {
+            reply(socket, ip, { type: 'error', code: result.code, room: parsed.room });
+            logger.warn(
+              `加入房间失败 → 客户端：${clientLabel(info)}，房间：${parsed.room}，原因：${result.code}`,
+              { event: 'room_join_failed', ...clientFields(info), room: parsed.room, reason: result.code }
+            );
+            return;
+          }
+          reply(socket, ip, { type: 'joined', room: parsed.room, members: result.members });
+          logger.info(
+            `客户端加入房间 → 客户端：${clientLabel(info)}，房间：${parsed.room}，房间人数：${result.members} 人`,
+            { event: 'room_join', ...clientFields(info), room: parsed.room, members: result.members }
+          );
+          return;
+        }
+
+        if (parsed && parsed.type === 'leave') {
+          const result = rooms.leave(socket, parsed.room);
+          if (!result.ok) {
+            reply(socket, ip, { type: 'error', code: result.code, room: parsed.room });
+            return;
+          }
+          reply(socket, ip, { type: 'left', room: parsed.room, members: result.members });
+          logger.info(
+            `客户端离开房间 → 客户端：${clientLabel(info)}，房间：${parsed.room}，房间人数：${result.members} 人`,
+            { event: 'room_leave', ...clientFields(info), room: parsed.room, members: result.members }
+          );
+          return;
+        }
+
+        // 拦截历史消息续传请求 {"type":"resume","since":N}
+        if (parsed && parsed.type === 'resume') {
+          handleResume(socket, info, parsed);
+          return;
+        }
+
+        // 拦截在线列表查询 {"type":"roster","room":"xxx"}
+        if (parsed && parsed.type === 'roster') {
+          handleRoster(socket, info, parsed);
+          return;
+        }
+
+        // 拦截名称登记消息 {"type":"identify","name":"xxx"}
+        if (parsed && parsed.type === 'identify') {
+          if (certBound) {
+            reply(socket, ip, { type: 'error', code: 'name_locked', name: parsed.name });
+            return;
+          }
+          const result = registry.setName(socket, parsed.name);
+          if (!result.ok) {
+            reply(socket, ip, { type: 'error', code: result.code, name: parsed.name });
+            return;
+          }
+          reply(socket, ip, { type: 'identified', id: info.id, name: info.name });
+          notifyPresence(info, 'update');
+          if (cluster) cluster.markDirty();
+          logger.info(`客户端已登记名称 → IP：${ip}，ID：${info.id}，名称：${info.name}`, { event: 'identify', ...clientFields(info) });
+          return;
+        }
+
+        // 拦截送达回执 {"type":"receipt","msgId":"xxx","to":"<发送方 ID>"}（仅启用 messages.acks 时）
+        if (parsed && parsed.type === 'receipt' && config.messages.acks.enabled) {
+          handleReceipt(socket, info, parsed);
+          return;
+        }
+
+        // 消息确认：携带 msgId 的业务消息受理后回复 ack，拒绝时回复 nack；另带 "receipt": true 时跟踪送达回执
+        const msgId = messageIdOf(parsed);
+        if (msgId !== undefined && !isValidMessageId(msgId)) {
+          reply(socket, ip, { type: 'error', code: 'invalid_msg_id' });
+          return;
+        }
+        const wantsReceipt = msgId !== undefined && parsed.receipt === true;
+
+        // subscribe 模式（只订阅）的连接不能发送业务消息
+        if (info.mode === 'subscribe') {
+          rejectMessage(socket, ip, msgId, { code: 'subscribe_only' });
+          return;
+        }
+
+        // 消息处理管道：校验、过滤与改写业务消息
+        if (pipeline.hasMessageHooks) {
+          const result = pipeline.message({
+            client:  info.view,
+            message: isJson ? parsed : undefined,
+            data:    rawData,
+            isBinary,
+          });
+          if (result.action === 'reject') {
+            // 拒绝码可能来自自定义模块，指标中只保留合法的标识符
+            metrics.pipelineRejected.inc({ stage: result.stage, code: labelToken(result.code) });
+            rejectMessage(socket, ip, msgId, Object.assign({ code: result.code }, result.detail));
+            logger.warn(
+              `消息被处理管道拒绝 → 发送方：${clientLabel(info)}，阶段：${result.stage}，原因：${result.code}`,
+              { event: 'pipeline_rejected', ...clientFields(info), stage: result.stage, code: result.code }
+            );
+            return;
+          }
+          if (result.action === 'drop') {
+            logger.debug(
+              `消息被处理管道丢弃 → 发送方：${clientLabel(info)}，阶段：${result.stage}`,
+              { event: 'pipeline_dropped', ...clientFields(info), stage: result.stage }
+            );
+            // 丢弃视为已受理，没有接收方
+            if (msgId !== undefined && (!wantsReceipt || canTrackReceipt(socket, info, msgId))) {
+              acceptMessage(socket, info, msgId, wantsReceipt ? [] : null);
+            }
+            return;
+          }
+          if (result.changed) {
+            // 改写后的消息以 JSON 文本转发
+            parsed   = result.message;
+            rawData  = Buffer.from(JSON.stringify(parsed), 'utf8');
+            isBinary = false;
+            isJson   = true;
+          }
+        }
+
+        emitEvent('message', { client: info.view, message: isJson ? parsed : undefined, data: rawData, isBinary });
+
+        // 携带 to 字段的消息定向投递给单个客户端（按 ID 或名称查找）
+        // 本节点找不到目标时，按集群中其他节点的客户端列表转发（投递结果由目标节点记录）
+        if (parsed && parsed.to !== undefined) {
+          const validTarget = isValidClientName(parsed.to);
+          const target   = validTarget ? registry.findTarget(parsed.to, group) : undefined;
+          if (wantsReceipt && !canTrackReceipt(socket, info, msgId)) return;
+          // 注入发送方 ID，便于接收方回复
+          const outgoing = JSON.stringify(Object.assign({}, parsed, { from: info.id }));
+          let delivered  = target && runUnicast({
+            sender:      socket,
+            senderLabel: clientLabel(info),
+            logFields:   { ...clientFields(info), to: target.id },
+            target:      target.socket,
+            targetLabel: clientLabel(target),
+            outgoing,
+            logger,
+          });
+          const remote = !target && validTarget && cluster ? cluster.findClient(parsed.to, group) : undefined;
+          if (remote) {
+            cluster.sendDirect(remote.node, {
+              targetId:    remote.client.id,
+              senderId:    info.id,
+              senderLabel: clientLabel(info),
+              outgoing,
+            });
+            logger.debug(
+              `定向消息已转发至集群节点 → 发送方：${clientLabel(info)}，目标：${parsed.to}，节点：${remote.node}`,
+              { event: 'direct_forwarded', ...clientFields(info), to: remote.client.id, node: remote.node }
+            );
+            delivered = true;
+          }
+          // 目标为离线身份时存入离线队列（不跟踪送达回执）
+          const queued = !delivered && validTarget
+            ? enqueueDirect(parsed.to, outgoing, group, clientLabel(info), clientFields(info))
+            : null;
+          if (queued === 'queued') {
+            if (msgId !== undefined) {
+              acceptMessage(socket, info, msgId, null, { to: parsed.to, queued: true });
+            }
+            return;
+          }
+          if (queued === 'full') {
+            rejectMessage(socket, ip, msgId, { code: 'offline_queue_full', to: parsed.to });
+            return;
+          }
+          if (!delivered) {
+            rejectMessage(socket, ip, msgId, { code: 'target_not_found', to: parsed.to });
+            logger.warn(
+              `定向消息投递失败 → 发送方：${clientLabel(info)}，目标：${parsed.to}，原因：目标不存在或已离线`,
+              { event: 'direct_failed', ...clientFields(info), to: parsed.to }
+            );
+            return;
+          }
+          if (msgId !== undefined) {
+            const recipient = target || remote.client;
+            acceptMessage(socket, info, msgId, wantsReceipt ? [{ id: recipient.id, name: recipient.name }] : null, { to: recipient.id });
+          }
+          return;
+        }
+
+        // 携带 room 字段的消息仅投递给房间成员
+        const room = (parsed && parsed.room !== undefined) ? parsed.room : null;
+        if (room !== null && !isValidRoomName(room)) {
+          rejectMessage(socket, ip, msgId, { code: 'invalid_room', room });
+          return;
+        }
+        const clients = room !== null
+          ? registry.filterGroup(rooms.members(room), group)
+          : registry.groupMembers(group);
+
+        // 需要送达回执时以当前在线的接收方为预期列表，并注入发送方 ID 供接收方回执
+        let expected = null;
+        if (wantsReceipt) {
+          if (!canTrackReceipt(socket, info, msgId)) return;
+          expected = new Map();
+          clients.forEach((client) => {
+            const recipient = registry.get(client);
+            if (recipient && client !== socket && !ingestClients.has(client) && client.readyState === WebSocket.OPEN) {
+              expected.set(client, { id: recipient.id, name: recipient.name });
+            }
+          });
+          rawData = Buffer.from(JSON.stringify(Object.assign({}, parsed, { from: info.id })), 'utf8');
+        }
+        if (msgId !== undefined) {
+          acceptMessage(socket, info, msgId, expected ? Array.from(expected.values()) : null);
+        }
+
+        // 普通业务消息：广播给其他客户端（或房间内其他成员）
+        runBroadcast({
+          group,
+          sender:      socket,
+          senderLabel: clientLabel(info),
+          logFields:   clientFields(info),
+          rawData,
+          isBinary,
+          clients,
+          room:        room !== null ? room : undefined,
+          onUndelivered: expected
+            ? (client, reason) => {
+              const recipient = expected.get(client);
+              if (recipient) receipts.fail(info.id, msgId, recipient.id, reason);
+            }
+            : undefined,
+          logger,
+        });
+      });
+
+      // ── 关闭事件 ─────────────────────────────────────────────
+      socket.on('close', (code, reason) => {
+        registry.remove(socket);
+        ingestClients.delete(socket);
+        receipts.dropSender(info.id);
+        metrics.connections.dec({ protocol: proto });
+        metrics.disconnectsTotal.inc({ protocol: proto, code });
+        hbMgr.unregister(socket);
+        const leftRooms = rooms.leaveAll(socket);
+        if (info.offlineIdentity) {
+          // 连接异常时房间已在 error 事件中退出
+          offline.disconnect(info.offlineIdentity, leftRooms.length > 0 ? leftRooms.map(({ room }) => room) : info.roomsAtError || []);
+        }
+        leftRooms.forEach(({ room, members }) => {
+          logger.info(
+            `客户端离开房间 → 客户端：${clientLabel(info)}，房间：${room}，房间人数：${members} 人（连接断开）`,
+            { event: 'room_leave', ...clientFields(info), room, members }
+          );
+        });
+        info.traffic.close();
+        const traffic = info.traffic.stats();
+        const reasonStr = reason ? reason.toString('utf8') : '无';
+        // 协商了压缩的连接附带压缩比（线路字节数 / 消息字节数）
+        const trafficStr = traffic.compressed
+          ? `，压缩比：发送 ${formatRatio(traffic.ratioOut)} / 接收 ${formatRatio(traffic.ratioIn)}`
+          : '';
+        logger.info(
+          `客户端已断开 → 协议：${proto}，客户端：${clientLabel(info)}，` +
+          `关闭码：${code}，原因：${reasonStr}${trafficStr}，` +
+          `当前在线：${onlineText()}`,
+          { event: 'disconnect', ...clientFields(info), code, reason: reasonStr, online: registry.size, traffic }
+        );
+        if (info.admitted) {
+          const reasonText = reason ? reason.toString('utf8') : '';
+          pipeline.disconnect({ client: info.view, code, reason: reasonText });
+          notifyPresence(info, info.reaped ? 'timeout' : 'leave', { code, reason: reasonText });
+          emitEvent('disconnect', { client: info.view, code, reason: reasonText });
+        }
+        if (cluster) cluster.markDirty();
+      });
+
+      // ── 错误事件 ─────────────────────────────────────────────
+      socket.on('error', (err) => {
+        registry.remove(socket);
+        hbMgr.unregister(socket);
+        info.roomsAtError = rooms.leaveAll(socket).map(({ room }) => room);
+        logger.error(
+          `客户端连接异常 → 协议：${proto}，客户端：${clientLabel(info)}，错误：${err.message}`,
+          { event: 'client_error', ...clientFields(info), error: err.message }
+        );
+      });
+    });
+
+    wss.on('error', (err) => {
+      logger.error(`${proto} 服务器错误：${err.message}`);
+    });
+  }
+
+  /**
+   * 将一个 HTTP/HTTPS 服务器的 WebSocket 升级请求转发给 wsServer 处理
+   * 这是 noServer 模式的核心：多个 HTTP 服务器共享同一个 WebSocket 实例
+   * 升级前先执行握手鉴权，未通过的请求直接以 HTTP 401 / 403 拒绝
+   * @param {http.Server|https.Server} httpSrv - HTTP(S) 服务器
+   * @param {WebSocket.Server}         wsServer - WebSocket 服务器（noServer 模式）
+   * @param {string}                   proto    - 协议标签，用于日志（'WS' 或 'WSS'）
+   */
+  function bindUpgrade(httpSrv, wsServer, proto) {
+    httpSrv.on('upgrade', (req, socket, head) => {
+      const ip = getClientIp(req);
+
+      // 准入检查：路径、Origin 与子协议
+      const admission = upgradePolicy.check(req);
+      if (!admission.ok) {
+        // 只记录路径：查询串中可能携带鉴权令牌（?token=）
+        const pathname = req.url.split('?')[0];
+        logger.warn(
+          `升级请求被拒绝 → 协议：${proto}，IP：${ip}，路径：${pathname}，` +
+          `Origin：${req.headers.origin || '无'}，原因：${admission.reason}，已返回 HTTP ${admission.status}`,
+          { event: 'upgrade_rejected', ip, protocol: proto, path: pathname, origin: req.headers.origin || null, reason: admission.reason, status: admission.status }
+        );
+        rejectUpgrade(socket, admission.status, admission.reason);
+        return;
+      }
+      req.route = admission.route;
+
+      // 连接数限制：占用名额，底层连接关闭（握手被拒或 WebSocket 断开）时释放
+      const slot = connectionLimiter.acquire(ip);
+      if (!slot.ok) {
+        metrics.rateLimited.inc({ kind: slot.reason });
+        logger.warn(
+          `连接数超限 → 协议：${proto}，IP：${ip}，原因：${slot.reason}，已返回 HTTP ${slot.status}`,
+          { event: 'connection_limited', ip, protocol: proto, reason: slot.reason, status: slot.status }
+        );
+        rejectUpgrade(socket, slot.status, slot.reason);
+        return;
+      }
+      socket.once('close', () => connectionLimiter.release(ip));
+
+      const result = authenticator.authenticate(req);
+      if (!result.ok) {
+        logger.warn(
+          `握手鉴权失败 → 协议：${proto}，IP：${ip}，` +
+          `原因：${result.reason}，已返回 HTTP ${result.status}`,
+          { event: 'auth_failed', ip, protocol: proto, reason: result.reason, status: result.status }
+        );
+        rejectUpgrade(socket, result.status, result.reason);
+        return;
+      }
+      // 双向 TLS 连接以客户端证书身份为准
+      const certIdentity = req.socket.encrypted ? tlsManager.verifyClient(req.socket).identity : null;
+      req.identity = certIdentity || result.identity;
+
+      wsServer.handleUpgrade(req, socket, head, (ws) => {
+        wsServer.emit('connection', ws, req);
+      });
+    });
+  }
+
+  /**
+   * 创建并启动 HTTP(S) 监听器
+   * - 始终在配置的 host:port 上监听
+   * - 若 host 不是 0.0.0.0 / 127.0.0.1，则额外在 127.0.0.1 的同一端口上监听，
+   *   保证本机 localhost 始终可以连接（port 为 0 时使用主监听器实际分配到的端口）
+   * @param {object}   options
+   * @param {Function} options.serverFactory - 创建 HTTP(S) 服务器的工厂函数（无参数）
+   * @param {string}   options.host          - 配置的监听地址
+   * @param {number}   options.port          - 监听端口（0 表示由系统分配）
+   * @param {string}   options.proto         - 协议标签（'WS' 或 'WSS'）
+   * @param {string}   options.scheme        - URL scheme（'ws' 或 'wss'）
+   * @param {WebSocket.Server} options.wsServer - noServer 模式的 ws 实例
+   * @param {boolean}  [options.proxyProtocol] - 是否要求连接以 PROXY protocol 头开始
+   * @returns {{ httpServers: Array, primary: net.Server }} 创建的 HTTP 服务器列表（含 PROXY protocol 前置服务器，
+   *          用于优雅关闭）与配置地址上的监听服务器
+   */
+  function startListeners({ serverFactory, host, port, proto, scheme, wsServer, proxyProtocol }) {
+    const httpServers = [];
+
+    /**
+     * 返回实际监听端口的服务器：启用 PROXY protocol 时为前置 TCP 服务器，
+     * 解析 PROXY 头后再将连接交给 HTTP(S) 服务器
+     * @param {http.Server|https.Server} srv
+     * @returns {net.Server}
+     */
+    function listenTarget(srv) {
+      if (!proxyProtocol) return srv;
+      const front = createProxyProtocolServer({ target: srv, isTrusted: proxyResolver.isTrusted, proto, logger });
+      httpServers.push(front);
+      return front;
+    }
+
+    // 是否需要额外监听 127.0.0.1
+    const needLoopback = (host !== '0.0.0.0' && host !== '127.0.0.1' && host !== '::1');
+
+    // ── 主监听器（配置的 host）─────────────────────────────────
+    const primaryServer = serverFactory();
+    bindUpgrade(primaryServer, wsServer, proto);
+    primaryServer.on('request', handleHttpRequest);
+    httpServers.push(primaryServer);
+
+    const primaryTarget = listenTarget(primaryServer);
+
+    // ── 本地回环监听器（127.0.0.1）────────────────────────────
+    // 在主监听器绑定后再监听，以便 port 为 0 时使用同一个实际端口
+    let loopbackTarget = null;
+    if (needLoopback) {
+      const loopbackServer = serverFactory();
+      bindUpgrade(loopbackServer, wsServer, proto);
+      loopbackServer.on('request', handleHttpRequest);
+      httpServers.push(loopbackServer);
+
+      loopbackTarget = listenTarget(loopbackServer);
+      loopbackTarget.on('error', (err) => {
+        // 回环监听失败不影响主服务，仅记录警告
+        logger.warn(`${proto} 本地回环监听器（127.0.0.1）失败：${err.message}`);
+      });
+    }
+
+    primaryTarget.listen(port, host, () => {
+      const boundPort = primaryTarget.address().port;
+      logger.info(`${proto} 服务已启动 → ${scheme}://${host}:${boundPort}${proxyProtocol ? '（PROXY protocol）' : ''}`);
+      if (loopbackTarget) {
+        // 回环监听器启动成功后无需重复打印（此处已输出）
+        loopbackTarget.listen(boundPort, '127.0.0.1');
+        logger.info(`${proto} 同时监听本地回环 → ${scheme}://127.0.0.1:${boundPort}`);
+      }
+      hbMgr.start();
+    });
+    primaryTarget.on('error', (err) => {
+      logger.error(`${proto} 主监听器（${host}:${port}）失败：${err.message}`);
+    });
+
+    return { httpServers, primary: primaryTarget };
+  }
+
+  // 子协议协商：避免将携带令牌的子协议作为首选协议回显（随配置热重载更新）
+  let protocolSelector = createProtocolSelector(config.auth.protocolPrefix, config.upgrade.subprotocols);
+
+  /**
+   * 创建 WSS 使用的 HTTPS 服务器（证书由 tlsManager 提供并随文件更新替换），并记录 TLS 握手失败
+   * @returns {https.Server}
+   */
+  function createTlsServer() {
+    const srv = https.createServer(tlsManager.serverOptions());
+    tlsManager.attach(srv);
+    // TLS 握手失败（证书不受信任、协议不匹配、非 TLS 流量等）
+    srv.on('tlsClientError', (err, tlsSocket) => {
+      metrics.tlsHandshakeErrors.inc();
+      const ip = peerAddress(tlsSocket);
+      logger.warn(
+        `WSS TLS 握手失败 → IP：${ip || '未知'}，错误：${err.message}`,
+        { event: 'tls_error', ip, protocol: 'WSS', error: err.message }
+      );
+    });
+    // 双向 TLS：客户端证书缺失（require 模式）或不受信任时直接断开
+    srv.on('secureConnection', (tlsSocket) => {
+      const result = tlsManager.verifyClient(tlsSocket);
+      if (result.ok) return;
+      metrics.clientCertRejected.inc({ reason: result.reason });
+      const ip = peerAddress(tlsSocket);
+      logger.warn(
+        `WSS 客户端证书校验失败 → IP：${ip || '未知'}，` +
+        `原因：${result.reason}（${result.detail}），已断开连接`,
+        { event: 'client_cert_rejected', ip, protocol: 'WSS', reason: result.reason, detail: result.detail }
+      );
+      tlsSocket.destroy();
+    });
+    return srv;
+  }
+
+  /**
+   * 按当前配置启动 WS 或 WSS 监听器
+   * @param {string} proto - 协议标签（'WS' 或 'WSS'）
+   * @returns {object|null} 监听器记录；WSS 证书读取失败时返回 null
+   */
+  function startWebSocketListener(proto) {
+    const isTls    = proto === 'WSS';
+    const settings = isTls ? config.wss : config.ws;
+
+    // 读取并校验证书文件（启用 tls.selfSigned 且证书缺失时先生成自签名证书）
+    if (isTls) {
+      try {
+        ensureSelfSignedCertificate(config.tls, logger);
+      } catch (err) {
+        logger.error(`生成自签名证书失败：${err.message}，WSS 服务将不会启动`);
+        return null;
+      }
+      try {
+        tlsManager.load(config.tls);
+      } catch (err) {
+        logger.error(`读取 TLS 证书失败：${err.message}，WSS 服务将不会启动`);
+        return null;
+      }
+    }
+
+    // noServer 模式：WebSocket 实例不绑定任何 HTTP 服务器，
+    // 由 bindUpgrade() 手动转发升级请求，支持多个 HTTP 实例共享
+    const wsServer = new WebSocket.Server({
+      noServer:          true,
+      maxPayload:        config.maxPayload,
+      perMessageDeflate: buildDeflateOptions(config.compression),
+      handleProtocols:   (protocols) => protocolSelector(protocols),
+    });
+    attachHandlers(wsServer, proto, resolveGroup(proto, settings.isolated));
+    if (settings.isolated) {
+      logger.info(`${proto} 监听器已配置为隔离模式，仅与同协议客户端互通`);
+    }
+
+    const { httpServers, primary } = startListeners({
+      serverFactory: isTls ? createTlsServer : () => http.createServer(),
+      host:   settings.host,
+      port:   settings.port,
+      proto,
+      scheme: isTls ? 'wss' : 'ws',
+      wsServer,
+      proxyProtocol: settings.proxyProtocol,
+    });
+
+    return { label: proto, httpServers, primary, wsServer };
+  }
+
+  /**
+   * 启动一个独立的辅助 HTTP 监听器（管理接口 / 指标接口）
+   * @param {object}   options
+   * @param {string}   options.label   - 名称，用于日志
+   * @param {string}   options.host    - 监听地址
+   * @param {number}   options.port    - 监听端口（0 表示由系统分配）
+   * @param {string}   options.path    - 对外展示的路径，用于日志
+   * @param {Function} options.handler - (req, res) => boolean，返回 false 时响应 404
+   * @returns {object} 监听器记录
+   */
+  function startHttpService({ label, host, port, path: urlPath, handler }) {
+    const srv = http.createServer((req, res) => {
+      if (!handler(req, res)) {
+        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ error: 'not_found' }));
+      }
+    });
+    srv.listen(port, host, () => {
+      logger.info(`${label}已启动 → http://${host}:${srv.address().port}${urlPath}`);
+    });
+    srv.on('error', (err) => {
+      logger.error(`${label}监听器（${host}:${port}）失败：${err.message}`);
+    });
+    return { label, httpServers: [srv], primary: srv, wsServer: null };
+  }
+
+  /**
+   * 按当前配置启动一个监听器
+   * @param {string} key - 监听器标识
+   * @returns {object|null} 监听器记录，启动失败时返回 null
+   */
+  function startListener(key) {
+    switch (key) {
+      case 'WS':
+      case 'WSS':
+        return startWebSocketListener(key);
+      case 'admin':
+        return startHttpService({
+          label:   '管理接口',
+          host:    config.admin.host,
+          port:    config.admin.port,
+          path:    '/admin',
+          handler: (req, res) => adminApi !== null && adminApi.handle(req, res),
+        });
+      case 'metrics':
+        return startHttpService({
+          label:   '指标接口',
+          host:    config.metrics.host,
+          port:    config.metrics.port,
+          path:    config.metrics.path,
+          handler: handleMetricsRequest,
+        });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 停止一个监听器：关闭其上的客户端连接与全部 HTTP 监听器，其他监听器不受影响
+   * @param {string} key    - 监听器标识
+   * @param {number} code   - 向客户端发送的关闭码
+   * @param {string} reason - 关闭原因
+   * @returns {Promise<void>} 全部 HTTP 监听器关闭后 resolve
+   */
+  function stopListener(key, code, reason) {
+    const entry = listeners.get(key);
+    if (!entry) return Promise.resolve();
+    listeners.delete(key);
+
+    const { label, httpServers, wsServer } = entry;
+    httpServers.forEach((srv) => tlsManager.detach(srv));
+    if (wsServer) {
+      wsServer.clients.forEach((client) => client.close(code, reason));
+    }
+    const forceTimer = setTimeout(() => {
+      if (wsServer) wsServer.clients.forEach((client) => client.terminate());
+    }, LISTENER_CLOSE_TIMEOUT);
+
+    return Promise.all(httpServers.map((srv) => new Promise((resolve) => {
+      // 断开管理接口等 HTTP keep-alive 连接，避免阻塞关闭
+      if (srv.closeIdleConnections) srv.closeIdleConnections();
+      srv.close(() => resolve());
+    }))).then(() => {
+      clearTimeout(forceTimer);
+      if (wsServer) wsServer.close();
+      logger.info(`${label} 服务器已关闭`);
+    });
+  }
+
+  /**
+   * 使运行中的监听器与当前配置一致：
+   * 仅停止 / 启动 / 重启签名发生变化的监听器，签名未变的监听器及其连接保持不动
+   * @returns {Promise<void>}
+   */
+  function syncListeners() {
+    const changed = LISTENER_KEYS.filter((key) => {
+      const entry = listeners.get(key);
+      const signature = listenerSignature(key, config);
+      return entry ? entry.signature !== signature : signature !== null;
+    });
+
+    // 先停止全部受影响的监听器，避免端口互换时冲突
+    return Promise.all(changed.map((key) => {
+      const restart = listenerSignature(key, config) !== null;
+      return stopListener(key, restart ? 1012 : 1001, restart ? '服务重启' : '服务已停用');
+    })).then(() => {
+      changed.forEach((key) => {
+        const signature = listenerSignature(key, config);
+        if (signature === null) return;
+        const entry = startListener(key);
+        if (entry) {
+          entry.signature = signature;
+          listeners.set(key, entry);
+        }
+      });
+    });
+  }
+
+  // ── 配置热重载 ────────────────────────────────────────────────
+  // 串行执行重载，避免前一次监听器重启尚未完成时再次重载
+  let reloadChain = Promise.resolve();
+  let configWatcher = null;
+  let reloadTimer = null;
+  let shuttingDown = false;
+
+  /**
+   * 将当前配置中可在运行时调整的部分应用到各组件
+   * - 日志、心跳、房间上限、鉴权、管理令牌立即生效
+   * - TLS 证书变化时原地替换 WSS 证书（新握手生效）
+   * - maxPayload 与压缩参数对之后建立的连接生效（已建立的连接保持握手时协商的结果）
+   * @param {string[]} changed - 发生变化的配置项
+   */
+  function applyRuntimeSettings(changed) {
+    logger.reconfigure(config.log);
+    hbMgr.reconfigure(config.heartbeat);
+    rooms.setMaxRoomsPerClient(config.rooms.maxPerClient);
+    receipts.reconfigure(config.messages.acks);
+    messageLimiter.reconfigure(config.rateLimit);
+    connectionLimiter.reconfigure(config.rateLimit);
+    outbound.reconfigure(config.backpressure);
+    proxyResolver.reconfigure(config.trustedProxies);
+    upgradePolicy.reconfigure(config.upgrade, config.auth.protocolPrefix);
+    if (changed.includes('pipeline')) {
+      try {
+        pipeline.reconfigure(config.pipeline);
+        logger.info(`消息处理管道已更新：${pipeline.describe().join(' → ') || '未配置'}`);
+      } catch (err) {
+        logger.error(`${err.message}，继续使用原有的消息处理管道`);
+      }
+    }
+    authenticator    = createAuthenticator(config.auth);
+    protocolSelector = createProtocolSelector(config.auth.protocolPrefix, config.upgrade.subprotocols);
+    adminApi         = createAdminApiFromConfig();
+    if (history) {
+      history.reconfigure(config.history);
+    }
+    if (offline) {
+      offline.reconfigure(config.offlineQueue);
+    }
+    if (changed.includes('offlineQueue') && (
+      config.offlineQueue.enabled !== offlineStartup.enabled || config.offlineQueue.dir !== offlineStartup.dir)) {
+      logger.warn('offlineQueue.enabled / offlineQueue.dir 的修改需重启服务后生效');
+    }
+    if (changed.includes('history') && (
+      config.history.enabled !== historyStartup.enabled ||
+      config.history.perRoom !== historyStartup.perRoom ||
+      config.history.file !== historyStartup.file)) {
+      logger.warn('history.enabled / history.perRoom / history.file 的修改需重启服务后生效');
+    }
+    if (changed.includes('cluster') && JSON.stringify(config.cluster) !== JSON.stringify(clusterStartup)) {
+      logger.warn('cluster 配置的修改需重启服务后生效');
+    }
+    if (changed.includes('tls') && listeners.has('WSS')) {
+      try {
+        ensureSelfSignedCertificate(config.tls, logger);
+      } catch (err) {
+        logger.error(`生成自签名证书失败：${err.message}`);
+      }
+      tlsManager.update(config.tls, '配置变化');
+    }
+    listeners.forEach(({ wsServer }) => {
+      if (!wsServer) return;
+      wsServer.options.maxPayload        = config.maxPayload;
+      wsServer.options.perMessageDeflate = buildDeflateOptions(config.compression);
+    });
+    updateConfigWatcher();
+  }
+
+  /**
+   * 重新加载配置并应用变化；新配置校验失败时保留原配置
+   * @param {string} trigger - 触发方式，用于日志
+   * @param {object} [raw]   - 新的原始配置对象，不传时重新读取配置文件
+   * @returns {Promise<string[]|null>} 变更项列表；新配置无效或服务已停止时为 null
+   */
+  function reloadConfig(trigger, raw) {
+    reloadChain = reloadChain.then(() => {
+      if (shuttingDown) return null;
+
+      let next;
+      try {
+        if (raw === undefined && configPath === null) {
+          throw new Error('服务以配置对象创建，重新加载时需传入新的配置对象');
+        }
+        next = raw === undefined ? loadConfig(configPath, overrides) : parseConfig(raw, overrides);
+      } catch (err) {
+        logger.error(
+          `配置重新加载失败（触发方式：${trigger}）：${err.message}，继续使用原配置`,
+          { event: 'config_reload_failed', trigger, error: err.message }
+        );
+        return null;
+      }
+
+      const changed = Object.keys(next).filter((key) => JSON.stringify(next[key]) !== JSON.stringify(config[key]));
+      if (changed.length === 0) {
+        logger.info(`配置无变化（触发方式：${trigger}）`);
+        return changed;
+      }
+
+      config = next;
+      applyRuntimeSettings(changed);
+      logger.info(
+        `配置已重新加载（触发方式：${trigger}），变更项：${changed.join('、')}`,
+        { event: 'config_reloaded', trigger, changed }
+      );
+      return syncListeners().then(() => {
+        emitEvent('reload', { trigger, changed });
+        return changed;
+      });
+    }).catch((err) => {
+      logger.error(`应用新配置时出错：${err.message}`);
+      return null;
+    });
+    return reloadChain;
+  }
+
+  /**
+   * 按 reload.watch 配置开启或关闭配置文件监听（以配置对象创建的服务没有配置文件，不监听）
+   * 监听配置文件所在目录而非文件本身：编辑器常以「写临时文件再重命名」的方式保存
+   */
+  function updateConfigWatcher() {
+    if (config.reload.watch && !configWatcher && configPath !== null) {
+      const fileName = path.basename(configPath);
+      try {
+        configWatcher = fs.watch(path.dirname(configPath), (eventType, changedName) => {
+          if (changedName !== fileName) return;
+          clearTimeout(reloadTimer);
+          reloadTimer = setTimeout(() => reloadConfig('文件变化'), RELOAD_DEBOUNCE_MS);
+        });
+        configWatcher.on('error', (err) => {
+          logger.warn(`配置文件监听出错：${err.message}`);
+        });
+        configWatcher.unref();
+      } catch (err) {
+        logger.warn(`无法监听配置文件变化：${err.message}，可发送 SIGHUP 信号手动重载`);
+      }
+    } else if (!config.reload.watch && configWatcher) {
+      configWatcher.close();
+      configWatcher = null;
+    }
+  }
+
+  // ── 启动与关闭 ────────────────────────────────────────────────
+  let started  = false;
+  let stopping = null;
+
+  /**
+   * 消息处理管道在 start() 中创建，此前调用发送类方法时抛出明确的错误
+   * @param {string} method - 方法名（用于错误信息）
+   */
+  function assertStarted(method) {
+    if (!started || !pipeline) {
+      throw new Error(`服务尚未启动，不能调用 ${method}()`);
+    }
+  }
+
+  /**
+   * 记录启动配置摘要
+   */
+  function logStartup() {
+    logger.info(`===== CBWebSocketServer 启动中 =====`);
+    logger.info(`配置文件：${configPath === null ? '未使用（由调用方传入配置对象）' : configPath}`);
+    if (Object.keys(overrides).length > 0) {
+      logger.info(`覆盖的配置项：${Object.keys(overrides).map((key) => `${key}=${overrides[key]}`).join('，')}`);
+    }
+    if (logger.filePath) {
+      logger.info(`日志文件路径：${logger.filePath}（格式：${config.log.format}，级别：${config.log.level}）`);
+    }
+    logger.info(`WS 服务：${config.ws.enabled ? '已启用' : '已禁用'}，WSS 服务：${config.wss.enabled ? '已启用' : '已禁用'}`);
+    logger.info(`单条消息最大字节数：${(config.maxPayload / 1024 / 1024).toFixed(1)} MB（${config.maxPayload} 字节）`);
+    logger.info(
+      `消息压缩：${config.compression.enabled
+        ? `已启用（permessage-deflate，阈值 ${config.compression.threshold} 字节，级别 ${config.compression.level}）`
+        : '未启用'}`
+    );
+    logger.info(
+      `消息处理管道：${config.pipeline.length + apiStages.length > 0
+        ? config.pipeline.map((stage) => stage.name).concat(apiStages.map((stage) => stage.name)).join(' → ')
+        : '未配置'}`
+    );
+    logger.info(`握手鉴权：${config.auth.enabled ? `已启用（${config.auth.methods.join(' / ')}）` : '未启用'}`);
+    if (config.history.enabled) {
+      const { size, maxAge, perRoom, file } = config.history;
+      logger.info(
+        `历史消息：已启用（${perRoom ? '按房间分别缓冲，' : ''}每个缓冲区最多 ${size} 条，` +
+        `${maxAge > 0 ? `保留 ${maxAge / 1000} 秒` : '不限时长'}${file ? `，持久化到 ${file}` : ''}）`
+      );
+    }
+    if (adminApi && config.admin.port === null) {
+      logger.info('管理接口已启用 → 复用 WS / WSS 监听端口，路径前缀 /admin');
+    }
+    if (config.metrics.enabled && config.metrics.port === null) {
+      logger.info(`指标接口已启用 → 复用 WS / WSS 监听端口，路径 ${config.metrics.path}`);
+    }
+  }
+
+  /**
+   * 创建集群（未启用时返回 null）
+   * @returns {object|null}
+   */
+  function createClusterFromConfig() {
+    if (!config.cluster.enabled) return null;
+    const instance = createCluster({
+      settings:   config.cluster,
+      maxPayload: config.maxPayload,
+      logger,
+      snapshot:   () => {
+        const list = [];
+        registry.forEach((info) => list.push({
+          id:          info.id,
+          name:        info.name,
+          identity:    info.identity ? info.identity.name : null,
+          ip:          info.ip,
+          protocol:    info.proto,
+          group:       info.group,
+          path:        info.path,
+          mode:        info.mode,
+          connectedAt: new Date(info.connectedAt).toISOString(),
+        }));
+        return list;
+      },
+      handlers: {
+        broadcast: handleClusterBroadcast,
+        direct:    handleClusterDirect,
+        receipt:   handleClusterReceipt,
+        kick:      handleClusterKick,
+      },
+      onTraffic: (direction, type) => metrics.clusterMessages.inc({ direction, type }),
+    });
+    logger.info(`集群：已启用（节点 ID：${instance.nodeId}，背板：${instance.describe()}）`);
+    return instance;
+  }
+
+  /**
+   * 启动服务：创建消息处理管道与集群，按配置启动全部监听器
+   * 没有任何 WS / WSS 监听器成功启动时关闭服务并 reject（实例不可再次启动）
+   * @returns {Promise<object>} 各监听器的实际地址，见 addresses()
+   */
+  function start() {
+    if (started) return Promise.reject(new Error('服务已启动过，不能重复启动'));
+    started = true;
+    logStartup();
+
+    try {
+      pipeline = createPipeline({ stages: config.pipeline, extra: apiStages, logger });
+    } catch (err) {
+      logger.error(`${err.message}，服务未启动`);
+      return stop().then(() => { throw err; });
+    }
+
+    cluster = createClusterFromConfig();
+    startedAt = Date.now();
+
+    return syncListeners()
+      .then(() => Promise.all(Array.from(listeners.values(), waitListening)))
+      .then(() => {
+        // WSS 证书读取失败、端口被占用等导致无服务可用时关闭服务
+        const live = ['WS', 'WSS'].filter((key) => listeners.has(key) && listeners.get(key).primary.listening);
+        if (live.length === 0) {
+          logger.error('没有可用的 WS / WSS 监听器，服务退出');
+          return stop().then(() => { throw new Error('没有可用的 WS / WSS 监听器'); });
+        }
+        updateConfigWatcher();
+        const bound = addresses();
+        emitEvent('listening', bound);
+        return bound;
+      });
+  }
+
+  /**
+   * 优雅关闭：断开全部客户端，关闭监听器、集群与历史消息持久化，写出日志缓冲
+   * 重复调用返回同一个 Promise
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    if (stopping) return stopping;
+    shuttingDown = true;
+
+    // 停止配置监听与心跳定时器
+    clearTimeout(reloadTimer);
+    if (configWatcher) configWatcher.close();
+    hbMgr.stop();
+    receipts.close();
+    // 放弃排队中的广播，避免停止后仍在后台扇出
+    fanout.clear('服务已停止');
+
+    // 关闭所有已连接的 WebSocket 客户端（跨所有监听器）；鉴权身份在离线队列中记为离线，保留所在房间
+    registry.forEach((info, client) => {
+      if (info.offlineIdentity) {
+        offline.disconnect(info.offlineIdentity, rooms.roomsOf(client));
+        info.offlineIdentity = null;
+      }
+      try { client.terminate(); } catch (_) {}
+    });
+
+    // 通知其他节点本节点退出
+    if (cluster) cluster.close();
+
+    stopping = Promise.all(Array.from(listeners.keys(), (key) => stopListener(key, 1001, '服务关闭'))).then(() => {
+      // 写出历史消息快照（启用持久化时）与离线消息队列
+      return Promise.all([history ? history.close() : undefined, offline ? offline.close() : undefined]);
+    }).then(() => {
+      logger.info('===== CBWebSocketServer 已停止 =====');
+      return logger.close();
+    }).then(() => {
+      emitEvent('close');
+    });
+    return stopping;
+  }
+
+  /**
+   * 各监听器的实际监听地址（未在监听的监听器不列出）
+   * @returns {Object<string, { host: string, port: number }>} 键为 WS / WSS / admin / metrics
+   */
+  function addresses() {
+    const result = {};
+    listeners.forEach(({ primary }, key) => {
+      const bound = primary.listening ? primary.address() : null;
+      if (bound) result[key] = { host: bound.address, port: bound.port };
+    });
+    return result;
+  }
+
+  return Object.assign(server, {
+    start,
+    stop,
+    addresses,
+
+    /** 日志模块实例（嵌入方传入 logger 时为其包装） */
+    logger,
+
+    /**
+     * 重新加载配置（服务启动后可用）
+     * @param {object} [raw] - 新的原始配置对象；不传时重新读取配置文件
+     * @returns {Promise<string[]|null>} 变更项列表；新配置无效时为 null（保留原配置）
+     */
+    reload(raw) {
+      if (!started) return Promise.reject(new Error('服务尚未启动'));
+      return reloadConfig(raw === undefined ? '重新读取配置文件' : '传入配置对象', raw);
+    },
+
+    /**
+     * 服务状态（同管理接口 GET /admin/status）
+     * @returns {object}
+     */
+    status: () => adminService.getStatus(),
+
+    /**
+     * 在线客户端列表（启用集群时含其他节点的客户端）
+     * @returns {object[]}
+     */
+    clients: () => adminService.listClients(),
+
+    /**
+     * 按客户端 ID 或名称查询
+     * @param {string} key
+     * @returns {object|null}
+     */
+    getClient: (key) => adminService.getClient(key),
+
+    /**
+     * 向单个客户端发送消息（对象按 JSON 发送，字符串原样发送；服务启动后可用）
+     * @param {string}        key     - 客户端 ID 或名称
+     * @param {object|string} message
+     * @returns {boolean} 找不到客户端时返回 false
+     */
+    send(key, message) {
+      assertStarted('send');
+      return adminService.sendTo(key, message);
+    },
+
+    /**
+     * 向全部客户端（或指定房间）广播消息，不区分分组（服务启动后可用）
+     * @param {object|string} message
+     * @param {object}        [options]
+     * @param {string}        [options.room]
+     * @returns {Promise<{ ok: boolean, recipients?: number, error?: string }>} 扇出结束后 resolve，recipients 为实际送达数
+     */
+    broadcast(message, { room } = {}) {
+      assertStarted('broadcast');
+      return adminService.broadcast({ message, room });
+    },
+
+    /**
+     * 断开客户端（关闭码 1008；服务启动后可用）
+     * @param {string} key      - 客户端 ID 或名称
+     * @param {string} [reason] - 超过 123 个 UTF-8 字节时截断
+     * @returns {boolean} 找不到客户端时返回 false
+     */
+    kick(key, reason) {
+      assertStarted('kick');
+      return adminService.kickClient(key, reason);
+    },
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,330 @@
+'use strict';
+
+/**
+ * TLS 证书管理模块（WSS）
+ * - 读取默认证书与按 SNI 主机名区分的额外证书，支持中间证书链与带口令的私钥
+ * - 为 https.createServer 提供 SNICallback，按客户端请求的主机名选择证书（支持 *.example.com 通配符）
+ * - 监听证书 / 私钥文件变化，原地替换安全上下文：已建立的连接不受影响，新握手使用新证书
+ * - 新证书读取或校验失败时记录错误并继续使用原证书
+ * - 证书即将过期（或已过期）时记录警告日志，并每天复查一次
+ * - 可选的客户端证书校验（双向 TLS）：按 tls.clientCa 校验客户端证书，证书主题 CN 作为连接身份
+ */
+
+const fs     = require('fs');
+const tls    = require('tls');
+const crypto = require('crypto');
+
+// 证书文件变化后的防抖时间（毫秒）：续期工具通常会连续写入多个文件
+const RELOAD_DEBOUNCE_MS = 500;
+
+// 证书文件轮询间隔（毫秒）：使用 fs.watchFile 以兼容符号链接替换（如 certbot 的 live 目录）
+const WATCH_INTERVAL_MS = 5000;
+
+// 证书有效期复查间隔（毫秒）
+const EXPIRY_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 读取一组证书凭据文件，返回 tls.createSecureContext 可用的选项
+ * 中间证书链追加在证书之后，握手时一并发送给客户端
+ * @param {{ cert: string, key: string, chain: string|null, passphrase: string }} entry
+ * @param {Buffer[]} clientCa - 用于校验客户端证书的 CA 证书（未启用双向 TLS 时为空数组）
+ * @returns {{ cert: Buffer, key: Buffer, passphrase?: string, ca?: Buffer[] }}
+ */
+function readCredentials(entry, clientCa) {
+  let cert = fs.readFileSync(entry.cert);
+  if (entry.chain) {
+    cert = Buffer.concat([cert, Buffer.from('\n'), fs.readFileSync(entry.chain)]);
+  }
+  const options = { cert, key: fs.readFileSync(entry.key) };
+  if (entry.passphrase) {
+    options.passphrase = entry.passphrase;
+  }
+  if (clientCa.length > 0) {
+    options.ca = clientCa;
+  }
+  return options;
+}
+
+/**
+ * 从客户端证书中提取身份：优先使用主题 CN，缺失时使用完整主题
+ * @param {object} cert - tlsSocket.getPeerCertificate() 的返回值
+ * @returns {{ method: string, name: string, subject: string, fingerprint: string, source: string }}
+ */
+function certificateIdentity(cert) {
+  const subject = cert.subject || {};
+  const cn = Array.isArray(subject.CN) ? subject.CN[0] : subject.CN;
+  const subjectStr = Object.keys(subject).map((key) => `${key}=${subject[key]}`).join(', ');
+  return {
+    method:      'clientCert',
+    name:        cn || subjectStr || cert.fingerprint256,
+    subject:     subjectStr,
+    fingerprint: cert.fingerprint256,
+    source:      'tls',
+  };
+}
+
+/**
+ * 判断 SNI 主机名是否匹配配置的主机名（通配符仅匹配一级子域名）
+ * @param {string} pattern    - 配置的主机名（小写），如 a.example.com 或 *.example.com
+ * @param {string} servername - 客户端请求的主机名（小写）
+ * @returns {boolean}
+ */
+function matchHostname(pattern, servername) {
+  if (!pattern.startsWith('*.')) {
+    return pattern === servername;
+  }
+  const suffix = pattern.slice(1); // .example.com
+  return servername.endsWith(suffix) &&
+    servername.length > suffix.length &&
+    servername.slice(0, -suffix.length).indexOf('.') === -1;
+}
+
+/**
+ * 创建 TLS 证书管理器
+ * @param {object} options
+ * @param {object} options.logger - 日志模块实例
+ * @returns {{ load: Function, update: Function, serverOptions: Function,
+ *             attach: Function, detach: Function, verifyClient: Function }}
+ */
+function createTlsManager({ logger }) {
+  // 当前生效的 TLS 配置与凭据
+  let tlsConfig   = null;
+  let defaultOpts = null;
+  // [{ hostname, cert, context }]，精确主机名排在通配符之前
+  let sniContexts = [];
+
+  // 使用本管理器证书的 HTTPS 服务器
+  const servers = new Set();
+
+  // 已监听的文件路径
+  let watchedFiles = [];
+  let reloadTimer  = null;
+  let expiryTimer  = null;
+
+  /**
+   * 检查证书有效期，临近过期或已过期时记录警告
+   * @param {string} label    - 证书描述，用于日志
+   * @param {Buffer} certPem  - 证书 PEM（取第一张证书）
+   */
+  function checkExpiry(label, certPem) {
+    if (tlsConfig.expiryWarningDays === 0) return;
+
+    let cert;
+    try {
+      cert = new crypto.X509Certificate(certPem);
+    } catch (err) {
+      logger.warn(`无法解析 TLS 证书（${label}）的有效期：${err.message}`);
+      return;
+    }
+
+    const validTo  = new Date(cert.validTo);
+    const daysLeft = Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+    const fields   = { event: 'tls_cert_expiry', certificate: label, validTo: validTo.toISOString(), daysLeft };
+
+    if (daysLeft < 0) {
+      logger.error(`TLS 证书（${label}）已于 ${validTo.toISOString()} 过期，请尽快更换`, fields);
+    } else if (daysLeft < tlsConfig.expiryWarningDays) {
+      logger.warn(`TLS 证书（${label}）将在 ${daysLeft} 天后过期（${validTo.toISOString()}），请及时续期`, fields);
+    }
+  }
+
+  /**
+   * 检查全部证书的有效期
+   */
+  function checkAllExpiry() {
+    checkExpiry('默认证书', defaultOpts.cert);
+    sniContexts.forEach((entry) => checkExpiry(entry.hostname, entry.cert));
+  }
+
+  /**
+   * 读取并校验全部证书，成功后替换当前安全上下文
+   * @param {object} nextConfig - 经 loadConfig() 校验后的 tls 配置
+   * @throws {Error} 文件读取失败、私钥口令错误或证书与私钥不匹配时抛出
+   */
+  function load(nextConfig) {
+    // 先完整构建新的安全上下文，任何一步失败都不影响当前证书
+    const clientCa    = nextConfig.clientAuth !== 'none'
+      ? nextConfig.clientCa.map((file) => fs.readFileSync(file))
+      : [];
+    const nextDefault = readCredentials(nextConfig, clientCa);
+    tls.createSecureContext(nextDefault);
+
+    // SNI 证书同样携带客户端 CA，保证按主机名切换证书后仍能校验客户端证书
+    const nextSni = nextConfig.sni.map((entry) => {
+      const opts = readCredentials(entry, clientCa);
+      let context;
+      try {
+        context = tls.createSecureContext(opts);
+      } catch (err) {
+        throw new Error(`SNI 证书（${entry.hostname}）无效：${err.message}`);
+      }
+      return { hostname: entry.hostname, cert: opts.cert, context };
+    });
+    // 精确匹配优先于通配符
+    nextSni.sort((a, b) => Number(a.hostname.startsWith('*.')) - Number(b.hostname.startsWith('*.')));
+
+    tlsConfig   = nextConfig;
+    defaultOpts = nextDefault;
+    sniContexts = nextSni;
+
+    // 替换运行中服务器的默认证书（新握手生效）
+    servers.forEach((srv) => srv.setSecureContext(defaultOpts));
+
+    checkAllExpiry();
+    if (servers.size > 0) {
+      startWatching();
+    }
+  }
+
+  /**
+   * 加载新证书，失败时记录错误并保留原证书
+   * @param {object} nextConfig - tls 配置
+   * @param {string} trigger    - 触发原因，用于日志
+   * @returns {boolean} 是否替换成功
+   */
+  function update(nextConfig, trigger) {
+    try {
+      load(nextConfig);
+    } catch (err) {
+      logger.error(
+        `TLS 证书重新加载失败（${trigger}）：${err.message}，继续使用原证书`,
+        { event: 'tls_reload_failed', trigger, error: err.message }
+      );
+      return false;
+    }
+    logger.info(`TLS 证书已重新加载（${trigger}），新握手将使用新证书`, { event: 'tls_reloaded', trigger });
+    return true;
+  }
+
+  /**
+   * SNI 回调：按客户端请求的主机名选择证书，未匹配时使用默认证书
+   * @param {string}   servername
+   * @param {Function} callback - (err, secureContext) => void
+   */
+  function SNICallback(servername, callback) {
+    const name  = String(servername || '').toLowerCase();
+    const match = sniContexts.find((entry) => matchHostname(entry.hostname, name));
+    callback(null, match ? match.context : undefined);
+  }
+
+  /**
+   * 生成 https.createServer 的 TLS 选项（需先调用 load()）
+   * 启用双向 TLS 时请求客户端证书，但不在握手阶段直接拒绝，
+   * 由 verifyClient() 判定并记录具体原因
+   * @returns {object}
+   */
+  function serverOptions() {
+    const options = Object.assign({}, defaultOpts, { SNICallback });
+    if (tlsConfig.clientAuth !== 'none') {
+      options.requestCert        = true;
+      options.rejectUnauthorized = false;
+    }
+    return options;
+  }
+
+  /**
+   * 校验已完成握手的 TLS 连接上的客户端证书
+   * @param {tls.TLSSocket} tlsSocket
+   * @returns {{ ok: true, identity: object|null }|{ ok: false, reason: string, detail: string }}
+   *   reason 取值：missing_client_cert（require 模式下未提供证书）、
+   *   untrusted_client_cert（证书不受 tls.clientCa 信任或已过期）
+   */
+  function verifyClient(tlsSocket) {
+    if (tlsConfig.clientAuth === 'none') {
+      return { ok: true, identity: null };
+    }
+
+    const cert = tlsSocket.getPeerCertificate();
+    const presented = Boolean(cert && Object.keys(cert).length > 0);
+
+    if (!presented) {
+      return tlsConfig.clientAuth === 'require'
+        ? { ok: false, reason: 'missing_client_cert', detail: '客户端未提供证书' }
+        : { ok: true, identity: null };
+    }
+    if (!tlsSocket.authorized) {
+      return {
+        ok:     false,
+        reason: 'untrusted_client_cert',
+        detail: String(tlsSocket.authorizationError || '证书校验失败'),
+      };
+    }
+    return { ok: true, identity: certificateIdentity(cert) };
+  }
+
+  /**
+   * 证书文件变化回调（防抖后重新加载）
+   * @param {fs.Stats} curr
+   * @param {fs.Stats} prev
+   */
+  function onFileChange(curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => update(tlsConfig, '证书文件变化'), RELOAD_DEBOUNCE_MS);
+  }
+
+  /**
+   * 按当前配置监听证书相关文件（tls.watch 为 false 时不监听），并启动有效期复查
+   */
+  function startWatching() {
+    stopWatching();
+
+    if (tlsConfig.watch) {
+      const files = new Set();
+      [tlsConfig].concat(tlsConfig.sni).forEach((entry) => {
+        files.add(entry.cert);
+        files.add(entry.key);
+        if (entry.chain) files.add(entry.chain);
+      });
+      if (tlsConfig.clientAuth !== 'none') {
+        tlsConfig.clientCa.forEach((file) => files.add(file));
+      }
+      watchedFiles = Array.from(files);
+      watchedFiles.forEach((file) => {
+        fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, onFileChange).unref();
+      });
+    }
+
+    if (tlsConfig.expiryWarningDays > 0) {
+      expiryTimer = setInterval(checkAllExpiry, EXPIRY_CHECK_INTERVAL_MS);
+      expiryTimer.unref();
+    }
+  }
+
+  /**
+   * 停止文件监听与有效期复查
+   */
+  function stopWatching() {
+    watchedFiles.forEach((file) => fs.unwatchFile(file, onFileChange));
+    watchedFiles = [];
+    clearTimeout(reloadTimer);
+    clearInterval(expiryTimer);
+    reloadTimer = null;
+    expiryTimer = null;
+  }
+
+  /**
+   * 登记一个使用本管理器证书的 HTTPS 服务器，证书更新时同步替换
+   * @param {https.Server} srv
+   */
+  function attach(srv) {
+    servers.add(srv);
+    if (servers.size === 1) {
+      startWatching();
+    }
+  }
+
+  /**
+   * 注销 HTTPS 服务器；全部注销后停止文件监听（可对非 HTTPS 服务器调用，无副作用）
+   * @param {http.Server|https.Server} srv
+   */
+  function detach(srv) {
+    if (servers.delete(srv) && servers.size === 0) {
+      stopWatching();
+    }
+  }
+
+  return { load, update, serverOptions, attach, detach, verifyClient };
+}
+
+module.exports = { createTlsManager };
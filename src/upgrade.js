@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * 升级请求准入模块
+ * - 路径白名单：upgrade.paths 为空时接受任意路径；配置后只接受列出的路径（精确匹配），
+ *   每个路径可指定连接模式：
+ *    broadcast：收发消息（默认）
+ *    ingest   ：只上报，消息照常广播给其他客户端，但本连接不接收广播
+ *    subscribe：只订阅，接收广播，但不能发送业务消息
+ * - Origin 白名单：upgrade.origins 为空时不限制；支持精确匹配与 "https://*.example.com" 形式的通配
+ * - 子协议：upgrade.subprotocols 为服务端支持的子协议列表，按客户端给出的顺序协商；
+ *   客户端只提供了不支持的子协议时拒绝升级（鉴权令牌子协议不参与判断）
+ */
+
+/**
+ * 判断 Origin 是否匹配一条白名单规则
+ * @param {string} origin  - 请求头中的 Origin（已转小写）
+ * @param {string} pattern - 白名单规则（已转小写），"*" 表示任意来源
+ * @returns {boolean}
+ */
+function matchOrigin(origin, pattern) {
+  if (pattern === '*') return true;
+
+  const wildcard = pattern.indexOf('://*.');
+  if (wildcard === -1) return origin === pattern;
+
+  // "https://*.example.com[:port]"：协议与后缀一致，中间为一个或多个子域名标签
+  const prefix = pattern.slice(0, wildcard + 3);
+  const suffix = pattern.slice(wildcard + 4);
+  if (!origin.startsWith(prefix) || !origin.endsWith(suffix)) return false;
+  const sub = origin.slice(prefix.length, origin.length - suffix.length);
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(sub);
+}
+
+/**
+ * 解析 Sec-WebSocket-Protocol 请求头
+ * @param {string|undefined} header
+ * @returns {string[]}
+ */
+function parseProtocols(header) {
+  if (!header) return [];
+  return header.split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+}
+
+/**
+ * 创建升级请求准入策略
+ * @param {object} settings       - upgrade 配置：paths / origins / allowNoOrigin / subprotocols / requireSubprotocol
+ * @param {string} protocolPrefix - 携带鉴权令牌的子协议前缀（auth.protocolPrefix）
+ * @returns {{ check: Function, reconfigure: Function }}
+ */
+function createUpgradePolicy(settings, protocolPrefix) {
+  let current = settings;
+  let prefix  = protocolPrefix;
+
+  /**
+   * 检查升级请求是否允许
+   * @param {http.IncomingMessage} req
+   * @returns {{ ok: true, route: { path: string, mode: string } }|{ ok: false, status: number, reason: string }}
+   *   reason 取值：path_not_allowed（404）、origin_required / origin_not_allowed（403）、
+   *   invalid_url / subprotocol_required / unsupported_subprotocol（400）
+   */
+  function check(req) {
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (_) {
+      return { ok: false, status: 400, reason: 'invalid_url' };
+    }
+
+    // ── 路径 ──────────────────────────────────────────────────
+    let route = { path: pathname, mode: 'broadcast' };
+    if (current.paths.length > 0) {
+      route = current.paths.find((item) => item.path === pathname);
+      if (!route) return { ok: false, status: 404, reason: 'path_not_allowed' };
+    }
+
+    // ── Origin ────────────────────────────────────────────────
+    const origin = req.headers.origin;
+    if (!origin) {
+      if (!current.allowNoOrigin) return { ok: false, status: 403, reason: 'origin_required' };
+    } else if (current.origins.length > 0) {
+      const lower = origin.toLowerCase();
+      if (!current.origins.some((pattern) => matchOrigin(lower, pattern))) {
+        return { ok: false, status: 403, reason: 'origin_not_allowed' };
+      }
+    }
+
+    // ── 子协议 ────────────────────────────────────────────────
+    if (current.subprotocols.length > 0) {
+      const offered = parseProtocols(req.headers['sec-websocket-protocol'])
+        .filter((protocol) => !protocol.startsWith(prefix));
+      if (offered.length === 0) {
+        if (current.requireSubprotocol) return { ok: false, status: 400, reason: 'subprotocol_required' };
+      } else if (!offered.some((protocol) => current.subprotocols.includes(protocol))) {
+        return { ok: false, status: 400, reason: 'unsupported_subprotocol' };
+      }
+    }
+
+    return { ok: true, route };
+  }
+
+  /**
+   * 更新规则（配置热重载时调用，已建立的连接不受影响）
+   * @param {object} next
+   * @param {string} nextPrefix
+   */
+  function reconfigure(next, nextPrefix) {
+    current = next;
+    prefix  = nextPrefix;
+  }
+
+  return { check, reconfigure };
+}
+
+module.exports = { createUpgradePolicy };
@@ -0,0 +1,61 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, connect } = require('./helpers');
+
+test('消息确认与送达回执', async (t) => {
+  const { server, url } = await startServer({ messages: { acks: { enabled: true, receiptTimeout: 300 } } });
+  t.after(() => server.stop());
+
+  const sender = await connect(`${url}/?name=console`);
+  const target = await connect(`${url}/?name=terminal`);
+  const senderWelcome = await sender.next((m) => m.type === 'welcome');
+  const targetWelcome = await target.next((m) => m.type === 'welcome');
+  t.after(() => Promise.all([sender.close(), target.close()]));
+
+  await t.test('定向消息受理后回复 ack', async () => {
+    sender.send({ type: 'cmd', to: 'terminal', msgId: 'c-1' });
+    assert.deepStrictEqual(await sender.next((m) => m.type === 'ack'), { type: 'ack', msgId: 'c-1', to: targetWelcome.id });
+    await target.next((m) => m.type === 'cmd');
+  });
+
+  await t.test('目标不存在时回复 nack', async () => {
+    sender.send({ type: 'cmd', to: 'nobody', msgId: 'c-2' });
+    const nack = await sender.next((m) => m.type === 'nack');
+    assert.strictEqual(nack.msgId, 'c-2');
+    assert.strictEqual(nack.code, 'target_not_found');
+  });
+
+  await t.test('接收方回执转发给发送方并汇总', async () => {
+    sender.send({ type: 'cmd', to: 'terminal', msgId: 'c-3', receipt: true });
+    await sender.next((m) => m.type === 'ack' && m.msgId === 'c-3');
+    const message = await target.next((m) => m.type === 'cmd' && m.msgId === 'c-3');
+    assert.strictEqual(message.from, senderWelcome.id);
+    target.send({ type: 'receipt', msgId: 'c-3', to: message.from });
+
+    const receipt = await sender.next((m) => m.type === 'receipt' && m.msgId === 'c-3');
+    assert.strictEqual(receipt.status, 'delivered');
+    assert.strictEqual(receipt.recipient.id, targetWelcome.id);
+    const report = await sender.next((m) => m.type === 'delivery_report');
+    assert.deepStrictEqual(report, { type: 'delivery_report', msgId: 'c-3', delivered: 1, failed: 0 });
+  });
+
+  await t.test('未回执的接收方超时记为失败', async () => {
+    sender.send({ type: 'notice', msgId: 'b-1', receipt: true });
+    await target.next((m) => m.type === 'notice');
+    const receipt = await sender.next((m) => m.type === 'receipt' && m.msgId === 'b-1');
+    assert.strictEqual(receipt.status, 'failed');
+    assert.strictEqual(receipt.reason, 'timeout');
+    const report = await sender.next((m) => m.type === 'delivery_report' && m.msgId === 'b-1');
+    assert.strictEqual(report.failed, 1);
+  });
+
+  await t.test('同一 msgId 仍在等待回执时拒绝', async () => {
+    sender.send({ type: 'cmd', to: 'terminal', msgId: 'c-4', receipt: true });
+    sender.send({ type: 'cmd', to: 'terminal', msgId: 'c-4', receipt: true });
+    await sender.next((m) => m.type === 'ack' && m.msgId === 'c-4');
+    assert.strictEqual((await sender.next((m) => m.type === 'nack' && m.msgId === 'c-4')).code, 'duplicate_msg_id');
+  });
+});
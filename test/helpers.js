@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * 测试辅助函数
+ * - startServer()：以系统分配的端口启动服务实例（仅 WS，日志静默，不监听配置文件）
+ * - connect()：连接服务端，按顺序收集收到的 JSON 消息，供 next() 逐条等待
+ * - adminRequest()：调用管理接口
+ */
+
+const crypto = require('crypto');
+const http   = require('http');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const WebSocket = require('ws');
+
+const { createServer } = require('../src/server');
+
+// 等待消息的默认超时（毫秒）
+const WAIT_TIMEOUT_MS = 2000;
+
+// 管理接口令牌
+const ADMIN_TOKEN = 'test-admin-token';
+
+// 不输出任何内容的日志对象
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * 将 source 深度合并到 target（数组与非对象值直接覆盖），返回新对象
+ * @param {object} target
+ * @param {object} source
+ * @returns {object}
+ */
+function merge(target, source) {
+  const result = Object.assign({}, target);
+  Object.keys(source).forEach((key) => {
+    const value = source[key];
+    const base  = result[key];
+    result[key] = value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      base !== null && typeof base === 'object' && !Array.isArray(base)
+      ? merge(base, value)
+      : value;
+  });
+  return result;
+}
+
+/**
+ * 创建临时目录（离线消息队列等），进程退出前不会自动删除，由调用方清理
+ * @returns {string}
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cbws-test-'));
+}
+
+/**
+ * 启动服务实例
+ * @param {object} [raw] - 覆盖默认测试配置的原始配置项
+ * @param {object} [options] - 传给 createServer() 的其他选项（如 hooks）
+ * @returns {Promise<{ server: EventEmitter, url: string, port: number }>}
+ */
+async function startServer(raw = {}, options = {}) {
+  const config = merge({
+    ws:     { host: '127.0.0.1', port: 0 },
+    wss:    { enabled: false },
+    admin:  { enabled: true, token: ADMIN_TOKEN },
+    reload: { watch: false },
+  }, raw);
+  const server = createServer(Object.assign({ config, logger: silentLogger }, options));
+  const addresses = await server.start();
+  const port = addresses.WS.port;
+  return { server, url: `ws://127.0.0.1:${port}`, port };
+}
+
+/**
+ * 连接服务端
+ * @param {string} url
+ * @param {object} [options] - 传给 WebSocket 的选项
+ * @returns {Promise<{ ws: WebSocket, next: Function, send: Function, close: Function }>}
+ *          next(predicate?) 返回第一条尚未取走且满足条件的消息
+ */
+function connect(url, options) {
+  const ws = new WebSocket(url, options);
+  const received = [];
+  const waiters  = [];
+
+  ws.on('message', (data, isBinary) => {
+    const message = isBinary ? data : JSON.parse(data.toString('utf8'));
+    const index = waiters.findIndex((waiter) => waiter.predicate(message));
+    if (index !== -1) {
+      const [waiter] = waiters.splice(index, 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(message);
+      return;
+    }
+    received.push(message);
+  });
+
+  const client = {
+    ws,
+
+    next(predicate = () => true, timeout = WAIT_TIMEOUT_MS) {
+      const index = received.findIndex(predicate);
+      if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error('等待消息超时'));
+        }, timeout);
+        waiters.push(waiter);
+      });
+    },
+
+    send(message) {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    },
+
+    close() {
+      if (ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+      return new Promise((resolve) => {
+        ws.once('close', () => resolve());
+        ws.close();
+      });
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(client));
+    ws.once('unexpected-response', (req, res) => reject(Object.assign(new Error(`握手失败：${res.statusCode}`), { status: res.statusCode })));
+    ws.once('error', reject);
+  });
+}
+
+/**
+ * 等待一段时间
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 调用管理接口
+ * @param {number} port
+ * @param {string} method
+ * @param {string} route  - /admin 之后的路径
+ * @param {object} [body]
+ * @param {string} [token]
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+function adminRequest(port, method, route, body, token = ADMIN_TOKEN) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: `/admin${route}`,
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    });
+    req.on('error', reject);
+    req.end(body !== undefined ? JSON.stringify(body) : undefined);
+  });
+}
+
+/**
+ * 签发 HS256 JWT
+ * @param {object} claims
+ * @param {string} secret
+ * @returns {string}
+ */
+function signJwt(claims, secret) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+module.exports = { startServer, connect, delay, adminRequest, signJwt, tempDir, ADMIN_TOKEN };
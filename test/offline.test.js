@@ -0,0 +1,88 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+
+const { startServer, connect, adminRequest, tempDir } = require('./helpers');
+
+const API_KEYS = [
+  { name: 'console', key: 'key-console' },
+  { name: 'terminal', key: 'key-terminal' },
+];
+
+test('离线消息队列', async (t) => {
+  const dir = tempDir();
+  const { server, url, port } = await startServer({
+    auth:         { enabled: true, methods: ['apiKey'], apiKeys: API_KEYS },
+    offlineQueue: { enabled: true, dir },
+    messages:     { acks: { enabled: true } },
+  });
+  t.after(() => server.stop().then(() => fs.rmSync(dir, { recursive: true, force: true })));
+
+  const sender = await connect(`${url}/?token=key-console`);
+  await sender.next((m) => m.type === 'welcome');
+  t.after(() => sender.close());
+
+  await t.test('未自选名称时以身份为名称，自选名称不受限制', async () => {
+    const named = await connect(`${url}/?token=key-terminal&name=display`);
+    assert.strictEqual((await named.next((m) => m.type === 'welcome')).name, 'display');
+    named.send({ type: 'identify', name: 'renamed' });
+    assert.strictEqual((await named.next((m) => m.type === 'identified')).name, 'renamed');
+
+    const plain = await connect(`${url}/?token=key-terminal`);
+    assert.strictEqual((await plain.next((m) => m.type === 'welcome')).name, 'terminal');
+
+    // 同一身份的第二个连接：默认名称已被占用时保持匿名，不回复错误
+    const second = await connect(`${url}/?token=key-terminal`);
+    assert.strictEqual((await second.next((m) => m.type === 'welcome')).name, null);
+    await assert.rejects(second.next((m) => m.type === 'error', 200));
+
+    await Promise.all([named.close(), plain.close(), second.close()]);
+  });
+
+  await t.test('身份离线期间的定向消息与广播在重连后按顺序补发', async () => {
+    sender.send({ type: 'cmd', to: 'terminal', seq: 1, msgId: 'q-1' });
+    assert.deepStrictEqual(
+      await sender.next((m) => m.type === 'ack' && m.msgId === 'q-1'),
+      { type: 'ack', msgId: 'q-1', to: 'terminal', queued: true }
+    );
+    sender.send({ type: 'notice', seq: 2 });
+    const pushed = await adminRequest(port, 'POST', '/clients/terminal/messages', { message: { type: 'push', seq: 3 } });
+    assert.strictEqual(pushed.status, 200);
+
+    // 以其他名称重连同样补发
+    const back = await connect(`${url}/?token=key-terminal&name=elsewhere`);
+    const welcome = await back.next((m) => m.type === 'welcome');
+    assert.strictEqual(welcome.name, 'elsewhere');
+    assert.deepStrictEqual(
+      [await back.next(), await back.next(), await back.next()].map((m) => [m.type, m.seq]),
+      [['cmd', 1], ['notice', 2], ['push', 3]]
+    );
+    await back.close();
+  });
+
+  await t.test('同一身份仍有连接在线时不排队', async () => {
+    const first  = await connect(`${url}/?token=key-terminal&name=t-1`);
+    const second = await connect(`${url}/?token=key-terminal&name=t-2`);
+    await first.next((m) => m.type === 'welcome');
+    await second.next((m) => m.type === 'welcome');
+
+    await first.close();
+    sender.send({ type: 'notice', seq: 4 });
+    assert.strictEqual((await second.next((m) => m.type === 'notice')).seq, 4);
+    await second.close();
+
+    sender.send({ type: 'notice', seq: 5 });
+    const back = await connect(`${url}/?token=key-terminal`);
+    await back.next((m) => m.type === 'welcome');
+    assert.strictEqual((await back.next((m) => m.type === 'notice')).seq, 5);
+    await assert.rejects(back.next((m) => m.type === 'notice', 200));
+    await back.close();
+  });
+
+  await t.test('从未上线过的身份回复 target_not_found', async () => {
+    sender.send({ type: 'cmd', to: 'stranger', msgId: 'q-2' });
+    assert.strictEqual((await sender.next((m) => m.type === 'nack' && m.msgId === 'q-2')).code, 'target_not_found');
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, connect, adminRequest, signJwt } = require('./helpers');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+test('端口为 0 时由系统分配，start() 返回实际端口', async () => {
+  const { server, port } = await startServer();
+  try {
+    assert.ok(port > 0);
+    assert.strictEqual(server.addresses().WS.port, port);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('握手鉴权：API Key 与 JWT', async (t) => {
+  const { server, url } = await startServer({
+    auth: {
+      enabled: true,
+      apiKeys: [{ name: 'console', key: 'key-1' }],
+      jwt:     { secret: JWT_SECRET },
+    },
+  });
+  t.after(() => server.stop());
+
+  await t.test('缺少令牌时返回 401', async () => {
+    await assert.rejects(connect(url), { status: 401 });
+  });
+
+  await t.test('无效的 API Key 返回 401', async () => {
+    await assert.rejects(connect(`${url}/?token=wrong`), { status: 401 });
+  });
+
+  await t.test('有效的 API Key 以其名称为身份', async () => {
+    const client = await connect(`${url}/?token=key-1`);
+    const welcome = await client.next((m) => m.type === 'welcome');
+    assert.strictEqual(server.getClient(welcome.id).identity, 'console');
+    await client.close();
+  });
+
+  await t.test('JWT 以 sub 为身份', async () => {
+    const token = signJwt({ sub: 'terminal-01', exp: Math.floor(Date.now() / 1000) + 60 }, JWT_SECRET);
+    const client = await connect(`${url}/?token=${token}`);
+    const welcome = await client.next((m) => m.type === 'welcome');
+    assert.strictEqual(server.getClient(welcome.id).identity, 'terminal-01');
+    await client.close();
+  });
+
+  await t.test('JWT 缺少身份声明时返回 401', async () => {
+    const token = signJwt({ exp: Math.floor(Date.now() / 1000) + 60 }, JWT_SECRET);
+    await assert.rejects(connect(`${url}/?token=${token}`), { status: 401 });
+    const empty = signJwt({ sub: '', exp: Math.floor(Date.now() / 1000) + 60 }, JWT_SECRET);
+    await assert.rejects(connect(`${url}/?token=${empty}`), { status: 401 });
+  });
+
+  await t.test('JWT 签名错误时返回 401', async () => {
+    const token = signJwt({ sub: 'terminal-01' }, 'other-secret');
+    await assert.rejects(connect(`${url}/?token=${token}`), { status: 401 });
+  });
+});
+
+test('消息投递', async (t) => {
+  const { server, url } = await startServer();
+  t.after(() => server.stop());
+
+  const alice = await connect(`${url}/?name=alice`);
+  const bob   = await connect(`${url}/?name=bob`);
+  const carol = await connect(url);
+  const aliceWelcome = await alice.next((m) => m.type === 'welcome');
+  await bob.next((m) => m.type === 'welcome');
+  await carol.next((m) => m.type === 'welcome');
+  t.after(() => Promise.all([alice.close(), bob.close(), carol.close()]));
+
+  await t.test('广播送达其他客户端，不回送发送方', async () => {
+    alice.send({ type: 'chat', content: 'hi' });
+    assert.strictEqual((await bob.next((m) => m.type === 'chat')).content, 'hi');
+    assert.strictEqual((await carol.next((m) => m.type === 'chat')).content, 'hi');
+    await assert.rejects(alice.next((m) => m.type === 'chat', 200));
+  });
+
+  await t.test('定向消息按名称投递并注入发送方 ID', async () => {
+    alice.send({ type: 'cmd', to: 'bob', action: 'reboot' });
+    const message = await bob.next((m) => m.type === 'cmd');
+    assert.strictEqual(message.from, aliceWelcome.id);
+    await assert.rejects(carol.next((m) => m.type === 'cmd', 200));
+  });
+
+  await t.test('房间消息只投递给房间成员', async () => {
+    bob.send({ type: 'join', room: 'ops' });
+    assert.deepStrictEqual(await bob.next((m) => m.type === 'joined'), { type: 'joined', room: 'ops', members: 1 });
+    alice.send({ type: 'chat', room: 'ops', content: 'room' });
+    assert.strictEqual((await bob.next((m) => m.type === 'chat')).content, 'room');
+    await assert.rejects(carol.next((m) => m.type === 'chat', 200));
+  });
+
+  await t.test('客户端可通过 identify 更换名称', async () => {
+    carol.send({ type: 'identify', name: 'carol' });
+    assert.strictEqual((await carol.next((m) => m.type === 'identified')).name, 'carol');
+    bob.send({ type: 'identify', name: 'alice' });
+    assert.strictEqual((await bob.next((m) => m.type === 'error')).code, 'name_taken');
+  });
+});
+
+test('历史消息续传', async (t) => {
+  const { server, url } = await startServer({ history: { enabled: true } });
+  t.after(() => server.stop());
+
+  const sender = await connect(url);
+  await sender.next((m) => m.type === 'welcome');
+  t.after(() => sender.close());
+
+  const first = await connect(url);
+  await first.next((m) => m.type === 'welcome');
+  sender.send({ type: 'chat', content: 'm1' });
+  const m1 = await first.next((m) => m.type === 'chat');
+  await first.close();
+
+  sender.send({ type: 'chat', content: 'm2' });
+  sender.send({ type: 'chat', content: 'm3' });
+
+  const again = await connect(url);
+  await again.next((m) => m.type === 'welcome');
+  t.after(() => again.close());
+  again.send({ type: 'resume', since: m1.seq });
+  assert.strictEqual((await again.next((m) => m.type === 'chat')).content, 'm2');
+  assert.strictEqual((await again.next((m) => m.type === 'chat')).content, 'm3');
+  const summary = await again.next((m) => m.type === 'resumed');
+  assert.strictEqual(summary.count, 2);
+  assert.strictEqual(summary.complete, true);
+});
+
+test('管理接口', async (t) => {
+  const { server, url, port } = await startServer();
+  t.after(() => server.stop());
+
+  const device = await connect(`${url}/?name=device`);
+  const welcome = await device.next((m) => m.type === 'welcome');
+  t.after(() => device.close());
+
+  await t.test('令牌错误时返回 401', async () => {
+    const result = await adminRequest(port, 'GET', '/status', undefined, 'wrong');
+    assert.strictEqual(result.status, 401);
+  });
+
+  await t.test('查询在线客户端', async () => {
+    const list = await adminRequest(port, 'GET', '/clients');
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.count, 1);
+    const one = await adminRequest(port, 'GET', '/clients/device');
+    assert.strictEqual(one.body.id, welcome.id);
+    const missing = await adminRequest(port, 'GET', '/clients/%E0%A4%A');
+    assert.strictEqual(missing.status, 400);
+  });
+
+  await t.test('广播返回实际送达数', async () => {
+    const result = await adminRequest(port, 'POST', '/broadcast', { message: { type: 'notice', text: '维护' } });
+    assert.deepStrictEqual(result, { status: 200, body: { ok: true, recipients: 1 } });
+    assert.strictEqual((await device.next((m) => m.type === 'notice')).text, '维护');
+    const empty = await adminRequest(port, 'POST', '/broadcast', { message: { type: 'notice' }, room: 'nobody' });
+    assert.deepStrictEqual(empty.body, { ok: true, recipients: 0 });
+  });
+
+  await t.test('向单个客户端推送', async () => {
+    const result = await adminRequest(port, 'POST', '/clients/device/messages', { message: { type: 'push' } });
+    assert.strictEqual(result.status, 200);
+    await device.next((m) => m.type === 'push');
+    const missing = await adminRequest(port, 'POST', '/clients/nobody/messages', { message: { type: 'push' } });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  await t.test('断开客户端', async () => {
+    const closed = new Promise((resolve) => device.ws.once('close', resolve));
+    const result = await adminRequest(port, 'DELETE', `/clients/${welcome.id}`);
+    assert.strictEqual(result.status, 200);
+    await closed;
+  });
+});